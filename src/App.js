@@ -1,19 +1,36 @@
-import React, { Suspense, memo, useMemo } from 'react';
+import React, { Suspense, useMemo } from 'react';
 import './App.css';
 import * as THREE from 'three';
 import { KeyboardControls, Sparkles } from '@react-three/drei';
 import { Canvas } from '@react-three/fiber';
+import { resolveSceneSeed } from './utils/random';
+import { DEFAULT_WIND_SETTINGS } from './utils/wind';
+import { DEFAULT_GRASS_LIGHTING, isGrassLightingEnabled } from './utils/grassLighting';
+import { DEFAULT_GRASS_BRUSH, GrassPaintLayer } from './utils/grassPainter';
+import { DEFAULT_BLADE_VARIANTS } from './utils/bladeAtlas';
+import { CAMERA_MODES, DEFAULT_CAMERA_MODE } from './utils/cameraRig';
+import { onJourneyModeChange, recordJourneyMode } from './utils/journeySession';
+import { DEFAULT_TOUR_URL, loadTour } from './utils/tour';
+import { reportAssetError } from './utils/assetErrors';
+import LoadingScreen from './components/LoadingScreen';
+import AssetErrorPanel from './components/AssetErrorPanel';
 
 // Lazy load components for code splitting and faster initial load
 const Model = React.lazy(() => import('./components/Curve-base'));
 const Hdri = React.lazy(() => import('./components/Hdri'));
-// const Controls = React.lazy(() => import('./components/Controls')); // Disabled - MovingSphere controls camera
 const AmbientParticles = React.lazy(() => import('./components/AmbientParticles'));
 const PerformanceMonitor = React.lazy(() => import('./components/PerformanceMonitor'));
 const SwarmControl = React.lazy(() => import('./components/SwarmControl'));
 const ParticleControls = React.lazy(() => import('./components/ParticleControls'));
 const PostProcessing = React.lazy(() => import('./components/PostProcessing'));
 const RibbonControls = React.lazy(() => import('./components/RibbonControls'));
+const WindField = React.lazy(() => import('./components/WindField'));
+const WindControls = React.lazy(() => import('./components/WindControls'));
+const LightingControls = React.lazy(() => import('./components/LightingControls'));
+const GrassEditorPanel = React.lazy(() => import('./components/GrassEditorPanel'));
+const CameraModeControls = React.lazy(() => import('./components/CameraModeControls'));
+const JourneyControls = React.lazy(() => import('./components/JourneyControls'));
+const TourCaption = React.lazy(() => import('./components/TourCaption'));
 
 // Pre-computed constants for performance
 const KEYBOARD_MAP = [
@@ -24,8 +41,15 @@ const KEYBOARD_MAP = [
   { name: 'shiftKeyPressed', keys: ['ShiftLeft', 'ShiftRight'] },
   { name: 'spaceKeyPressed', keys: ['Space'] },
   { name: 'controlsTogglePressed', keys: ['KeyC'] },
+  { name: 'grassEditorTogglePressed', keys: ['KeyG'] },
+  { name: 'physicsTogglePressed', keys: ['KeyP'] },
+  { name: 'cameraModeCyclePressed', keys: ['KeyV'] },
+  { name: 'tourTogglePressed', keys: ['KeyT'] },
 ];
 
+const TOUR_IDLE_DELAY = 90000; // Milliseconds without input before the guided tour starts by itself
+const TOUR_IDLE_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
 const CAMERA_CONFIG = { position: [4, 4, 4], fov: 60 };
 const GL_CONFIG = { 
   antialias: false, 
@@ -38,15 +62,6 @@ const GL_CONFIG = {
 // Optimized fog object (created once)
 const FOG = new THREE.FogExp2("#228B22", 0.05);
 
-// Memoized loading fallback
-const LoadingFallback = memo(() => (
-  <mesh>
-    <boxGeometry args={[0.5, 0.5, 0.5]} />
-    <meshBasicMaterial color="#90EE90" />
-  </mesh>
-));
-LoadingFallback.displayName = 'LoadingFallback';
-
 // Adaptive performance configuration
 const getParticleConfig = (performanceLevel = 'GOOD') => {
   const configs = {
@@ -58,7 +73,9 @@ const getParticleConfig = (performanceLevel = 'GOOD') => {
   return configs[performanceLevel] || configs.GOOD;
 };
 
-function App() {
+function App({ seed }) {
+  // Scene seed: ?seed= URL parameter, then the prop, then a logged random seed
+  const sceneSeed = useMemo(() => resolveSceneSeed(seed), [seed]);
   const [performanceLevel, setPerformanceLevel] = React.useState('GOOD');
   const [swarmMode, setSwarmMode] = React.useState('normal'); // 'normal', 'swarm', 'returning'
   const [isSwarmButtonDisabled, setIsSwarmButtonDisabled] = React.useState(false);
@@ -73,6 +90,28 @@ function App() {
     complexity: 1.0,
     pulse: 0.4
   });
+  const [windSettings, setWindSettings] = React.useState(DEFAULT_WIND_SETTINGS);
+  const [grassLighting, setGrassLighting] = React.useState(DEFAULT_GRASS_LIGHTING);
+  // Lit grass is compiled in only when forced on or the performance tier allows it
+  const [isGrassLit, setIsGrassLit] = React.useState(() => isGrassLightingEnabled(grassLighting.mode, performanceLevel, true));
+  React.useEffect(() => {
+    setIsGrassLit(wasLit => isGrassLightingEnabled(grassLighting.mode, performanceLevel, wasLit));
+  }, [grassLighting.mode, performanceLevel]);
+  const [isGrassEditorOpen, setIsGrassEditorOpen] = React.useState(false);
+  const [isPhysicsEnabled, setIsPhysicsEnabled] = React.useState(false);
+  const [cameraMode, setCameraMode] = React.useState(DEFAULT_CAMERA_MODE);
+  const [isTourActive, setIsTourActive] = React.useState(false);
+  const [tour, setTour] = React.useState(null); // Parsed tour, loaded the first time one starts
+  const [tourCaption, setTourCaption] = React.useState(null);
+  const [grassBrush, setGrassBrush] = React.useState(DEFAULT_GRASS_BRUSH);
+  const [bladeVariantCount, setBladeVariantCount] = React.useState(DEFAULT_BLADE_VARIANTS.length); // Layers in the loaded blade atlas
+  // Editable copy of the grass instances, filled the first time the editor opens
+  const grassPaintLayer = useMemo(() => new GrassPaintLayer(), []);
+  const grassEditor = useMemo(() => ({
+    enabled: isGrassEditorOpen,
+    brush: grassBrush,
+    layer: grassPaintLayer
+  }), [isGrassEditorOpen, grassBrush, grassPaintLayer]);
   
   // Handle performance changes and adjust settings automatically
   const handlePerformanceChange = React.useCallback((level, fps) => {
@@ -118,6 +157,110 @@ function App() {
     setRibbonMode(newMode);
   }, []);
 
+  // Handle wind setting changes
+  const handleWindSettingsChange = React.useCallback((newSettings) => {
+    setWindSettings(newSettings);
+  }, []);
+
+  // Handle grass lighting changes
+  const handleGrassLightingChange = React.useCallback((newSettings) => {
+    setGrassLighting(newSettings);
+  }, []);
+
+  // Handle grass editor brush changes
+  const handleGrassBrushChange = React.useCallback((newBrush) => {
+    setGrassBrush(newBrush);
+  }, []);
+
+  // The painter may only pick variants the loaded atlas has
+  const handleBladeVariantCount = React.useCallback((count) => {
+    setBladeVariantCount(count);
+    setGrassBrush((brush) => (brush.variant < count ? brush : { ...brush, variant: -1 }));
+  }, []);
+
+  const handleGrassEditorClose = React.useCallback(() => {
+    setIsGrassEditorOpen(false);
+  }, []);
+
+  // Shortcut toggles, shared by the keyboard and the on-screen buttons
+  const toggleControls = React.useCallback(() => {
+    setShowControls(prev => !prev);
+  }, []);
+
+  const toggleGrassEditor = React.useCallback(() => {
+    setIsGrassEditorOpen(prev => !prev);
+  }, []);
+
+  const togglePhysics = React.useCallback(() => {
+    setIsPhysicsEnabled(prev => !prev);
+  }, []);
+
+  const toggleTour = React.useCallback(() => {
+    setIsTourActive(prev => !prev);
+  }, []);
+
+  // Any input during the tour hands control back to the visitor
+  const endTour = React.useCallback(() => {
+    setIsTourActive(false);
+    setTourCaption(null);
+  }, []);
+
+  const cycleCameraMode = React.useCallback(() => {
+    setCameraMode(current => {
+      const index = CAMERA_MODES.findIndex(mode => mode.id === current);
+      return CAMERA_MODES[(index + 1) % CAMERA_MODES.length].id;
+    });
+  }, []);
+
+  // Journeys record every mode change and set them again on playback
+  React.useEffect(() => recordJourneyMode('swarmMode', swarmMode), [swarmMode]);
+  React.useEffect(() => recordJourneyMode('ribbonMode', ribbonMode), [ribbonMode]);
+  React.useEffect(() => recordJourneyMode('cameraMode', cameraMode), [cameraMode]);
+  React.useEffect(() => onJourneyModeChange((type, value) => {
+    if (type === 'swarmMode') {
+      setSwarmMode(value);
+      setIsSwarmButtonDisabled(value === 'returning');
+    } else if (type === 'ribbonMode') {
+      setRibbonMode(value);
+    } else if (type === 'cameraMode') {
+      setCameraMode(value);
+    }
+  }), []);
+
+  // Load the tour the first time it is needed
+  React.useEffect(() => {
+    if (!isTourActive || tour) return undefined;
+    let cancelled = false;
+    loadTour(DEFAULT_TOUR_URL).then(
+      (loaded) => {
+        if (!cancelled) setTour(loaded);
+      },
+      (error) => {
+        if (cancelled) return;
+        reportAssetError('tour', { label: 'Guided tour', url: DEFAULT_TOUR_URL, error, fallback: 'No tour' });
+        setIsTourActive(false);
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [isTourActive, tour]);
+
+  // Visitors who leave the scene alone for a while get the tour
+  React.useEffect(() => {
+    if (isTourActive) return undefined;
+    let timer = setTimeout(() => setIsTourActive(true), TOUR_IDLE_DELAY);
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => setIsTourActive(true), TOUR_IDLE_DELAY);
+    };
+    TOUR_IDLE_EVENTS.forEach(type => window.addEventListener(type, restart, { passive: true }));
+    return () => {
+      clearTimeout(timer);
+      TOUR_IDLE_EVENTS.forEach(type => window.removeEventListener(type, restart));
+    };
+  }, [isTourActive]);
+
   // Handle return transition complete
   const handleReturnComplete = React.useCallback(() => {
     console.log('handleReturnComplete called!');
@@ -135,6 +278,14 @@ function App() {
         return;
       }
       
+      if (event.code === 'KeyT' && !event.repeat) {
+        event.preventDefault();
+        event.stopPropagation();
+        toggleTour(); // Start or leave the guided tour with 'T' key
+        return;
+      }
+      if (isTourActive) endTour(); // Any other key takes over from the tour
+
       if (event.code === 'Space' && !event.repeat) {
         event.preventDefault(); // Prevent page scroll
         event.stopPropagation(); // Stop event from bubbling
@@ -144,7 +295,29 @@ function App() {
       if (event.code === 'KeyC' && !event.repeat) {
         event.preventDefault();
         event.stopPropagation();
-        setShowControls(prev => !prev); // Toggle controls with 'C' key
+        toggleControls(); // Toggle controls with 'C' key
+      }
+      if (event.code === 'KeyG' && !event.repeat) {
+        event.preventDefault();
+        event.stopPropagation();
+        toggleGrassEditor(); // Toggle grass editor with 'G' key
+      }
+      if (event.code === 'KeyP' && !event.repeat) {
+        event.preventDefault();
+        event.stopPropagation();
+        togglePhysics(); // Toggle physics mode with 'P' key
+      }
+      if (event.code === 'KeyV' && !event.repeat) {
+        event.preventDefault();
+        event.stopPropagation();
+        cycleCameraMode(); // Next camera mode with 'V' key
+      }
+      // Number keys pick a camera mode directly
+      const cameraModeIndex = /^Digit[1-9]$/.test(event.code) ? Number(event.code.slice(5)) - 1 : -1;
+      if (cameraModeIndex >= 0 && cameraModeIndex < CAMERA_MODES.length && !event.repeat) {
+        event.preventDefault();
+        event.stopPropagation();
+        setCameraMode(CAMERA_MODES[cameraModeIndex].id);
       }
     };
 
@@ -164,29 +337,43 @@ function App() {
       document.removeEventListener('keyup', handleKeyUp, true);
       window.removeEventListener('keydown', handleKeyPress);
     };
-  }, [cycleSwarmMode, swarmMode, isSwarmButtonDisabled]);
+  }, [cycleSwarmMode, toggleControls, toggleGrassEditor, togglePhysics, cycleCameraMode, toggleTour, endTour, isTourActive, swarmMode, isSwarmButtonDisabled]);
 
   // Memoized particle config based on performance
   const particleConfig = useMemo(() => getParticleConfig(performanceLevel), [performanceLevel]);
 
   // Memoized render components to prevent unnecessary re-renders
   const sceneComponents = useMemo(() => (
-    <Suspense fallback={<LoadingFallback />}>
+    <Suspense fallback={null}>
       <Hdri />
-      <Model onSphereMove={handleSphereMove} ribbonMode={ribbonMode} />
+      <WindField settings={windSettings} />
+      <Model 
+        onSphereMove={handleSphereMove} 
+        ribbonMode={ribbonMode} 
+        seed={sceneSeed} 
+        editor={grassEditor} 
+        lit={isGrassLit}
+        lighting={grassLighting}
+        physics={isPhysicsEnabled}
+        cameraMode={cameraMode}
+        tour={isTourActive ? tour : null}
+        onTourCaption={setTourCaption}
+        onTourEnd={endTour}
+        onBladeVariantCount={handleBladeVariantCount}
+      />
       {/* <Sparkles /> */}
       <AmbientParticles 
         {...particleConfig} 
+        seed={sceneSeed}
         spherePosition={spherePosition}
         swarmMode={swarmMode}
         controls={particleControls}
         onReturnComplete={handleReturnComplete}
       />
-      {/* <Controls /> - Disabled: MovingSphere now controls camera */}
       <primitive object={FOG} attach="fog" />
       <PostProcessing />
     </Suspense>
-  ), [particleConfig, spherePosition, swarmMode, particleControls, handleSphereMove, ribbonMode]);
+  ), [particleConfig, spherePosition, swarmMode, particleControls, handleSphereMove, ribbonMode, sceneSeed, windSettings, grassEditor, isGrassLit, grassLighting, isPhysicsEnabled, cameraMode, isTourActive, tour, endTour, handleBladeVariantCount]);
 
   return (
     <div className="App">
@@ -200,11 +387,26 @@ function App() {
           {sceneComponents}
         </Canvas>
       </KeyboardControls>
+      {/* Eagerly loaded so progress and failures show while the lazy chunks download */}
+      <LoadingScreen />
+      <AssetErrorPanel />
       <Suspense fallback={null}>
         <PerformanceMonitor onPerformanceChange={handlePerformanceChange} />
       </Suspense>
       <Suspense fallback={null}>
-        <SwarmControl swarmMode={swarmMode} onModeChange={cycleSwarmMode} disabled={isSwarmButtonDisabled} />
+        <SwarmControl 
+          swarmMode={swarmMode} 
+          onModeChange={cycleSwarmMode} 
+          disabled={isSwarmButtonDisabled} 
+          showControls={showControls}
+          onToggleControls={toggleControls}
+          isGrassEditorOpen={isGrassEditorOpen}
+          onToggleGrassEditor={toggleGrassEditor}
+          isPhysicsEnabled={isPhysicsEnabled}
+          onTogglePhysics={togglePhysics}
+          isTourActive={isTourActive}
+          onToggleTour={toggleTour}
+        />
       </Suspense>
       <Suspense fallback={null}>
         <ParticleControls 
@@ -213,6 +415,43 @@ function App() {
           isVisible={showControls}
         />
       </Suspense>
+      <Suspense fallback={null}>
+        <WindControls 
+          settings={windSettings}
+          onSettingsChange={handleWindSettingsChange}
+          isVisible={showControls}
+        />
+      </Suspense>
+      <Suspense fallback={null}>
+        <LightingControls 
+          settings={grassLighting}
+          onSettingsChange={handleGrassLightingChange}
+          isLit={isGrassLit}
+          isVisible={showControls}
+        />
+      </Suspense>
+      <Suspense fallback={null}>
+        <GrassEditorPanel
+          brush={grassBrush}
+          onBrushChange={handleGrassBrushChange}
+          layer={grassPaintLayer}
+          variantCount={bladeVariantCount}
+          onClose={handleGrassEditorClose}
+          isVisible={isGrassEditorOpen}
+        />
+      </Suspense>
+      <Suspense fallback={null}>
+        <CameraModeControls
+          cameraMode={cameraMode}
+          onCameraModeChange={setCameraMode}
+        />
+      </Suspense>
+      <Suspense fallback={null}>
+        <TourCaption caption={tourCaption} isTourActive={isTourActive} />
+      </Suspense>
+      <Suspense fallback={null}>
+        <JourneyControls isVisible={showControls} />
+      </Suspense>
       <Suspense fallback={null}>
         <RibbonControls 
           ribbonMode={ribbonMode}
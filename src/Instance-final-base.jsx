@@ -1,8 +1,14 @@
-import { useLoader, useFrame } from '@react-three/fiber'
+import { useLoader } from '@react-three/fiber'
 import * as THREE from 'three'
 import { useEffect, useMemo, useRef } from 'react'
+import { DEFAULT_MASK_BOUNDS } from './utils/grassMasks'
 
-export default function InstancesFromImage({ pngUrl }) {
+/**
+ * Debug view of a position-encoded instance image: each pixel's RGB is a
+ * position normalised to `bbox`. Fully transparent pixels are skipped.
+ * For generating grass from density/colour/height masks see utils/grassMasks.
+ */
+export default function InstancesFromImage({ pngUrl, bbox = DEFAULT_MASK_BOUNDS }) {
   const meshRef = useRef()
   const texture = useLoader(THREE.TextureLoader, pngUrl)
  
@@ -10,8 +16,8 @@ export default function InstancesFromImage({ pngUrl }) {
   const instancePositions = useMemo(() => {
     if (!texture.image) return []
 
-    const width = 639;
-    const height = 639;
+    const width = texture.image.naturalWidth || texture.image.width
+    const height = texture.image.naturalHeight || texture.image.height
     const canvas = document.createElement('canvas')
     canvas.width = width
     canvas.height = height
@@ -20,13 +26,12 @@ export default function InstancesFromImage({ pngUrl }) {
     const pixels = ctx.getImageData(0, 0, width, height).data
 
     const positions = []
-    const min_bbox = [-99.99952, -99.99994, 0.0]
-    const max_bbox = [99.99974, 99.99867, 9.200001]
-    const min = new THREE.Vector3(...min_bbox)
-    const max = new THREE.Vector3(...max_bbox)
+    const min = new THREE.Vector3(...bbox.min)
+    const max = new THREE.Vector3(...bbox.max)
     const size = new THREE.Vector3().subVectors(max, min)
 
     for (let i = 0; i < pixels.length; i += 4) {
+      if (pixels[i + 3] === 0) continue
       const r = pixels[i] / 255
       const g = pixels[i+1] / 255
       const b = pixels[i+2] / 255
@@ -39,7 +44,7 @@ export default function InstancesFromImage({ pngUrl }) {
       positions.push(pos)
     }
     return positions
-  }, [texture.image])
+  }, [texture.image, bbox])
 
   useEffect(() => {
     if (!meshRef.current || instancePositions.length === 0) return
@@ -1,6 +1,23 @@
 import React, { useRef, useMemo, useCallback } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
+import { createRandom } from '../utils/random';
+import { useGrassInteractor } from '../utils/grassInteractors';
+import { sampleWind } from '../utils/wind';
+import { followTargetAt, halfLifeFromLerp } from '../utils/damping';
+
+const SWARM_GRASS_RADIUS = 2.0; // Per unit of orbit size - the swarm ruffles grass around its orbit
+const SWARM_GRASS_STRENGTH = 0.4;
+const PARTICLE_WIND_DRIFT = 1.5; // World units of drift per unit of wind push (bounded, not accumulated)
+// Swarm and return motion in seconds, same feel as the old 0.05 / 0.02 per-frame lerps at 60 Hz
+const SWARM_MOTION = { halfLife: halfLifeFromLerp(0.05), maxSpeed: 40, acceleration: 80 };
+const RETURN_MOTION = { halfLife: halfLifeFromLerp(0.02), maxSpeed: 25, acceleration: 30 };
+
+// Scratch target for swarm and return motion
+const particleTarget = new THREE.Vector3();
+
+// Scratch target for wind samples
+const windSample = { x: 0, z: 0 };
 
 // Create texture once outside component to avoid recreation
 const createCircleTexture = () => {
@@ -31,7 +48,7 @@ const createCircleTexture = () => {
 
 const circleTexture = createCircleTexture();
 
-const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'normal', controls = null, onReturnComplete = null }) => {
+const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'normal', controls = null, onReturnComplete = null, seed = 0 }) => {
   const pointsRef = useRef();
   const geometryRef = useRef();
   const materialRef = useRef();
@@ -39,6 +56,15 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
   const transitionStart = useRef(0);
   const returnTransitionStart = useRef(0);
   const hasCalledReturnComplete = useRef(false);
+
+  // While swarming, the particle cloud ruffles the grass around the sphere
+  const swarmCenterRef = useRef(null);
+  swarmCenterRef.current = spherePosition;
+  useGrassInteractor(swarmCenterRef, {
+    radius: SWARM_GRASS_RADIUS * (controls?.orbitSize || 2.0),
+    strength: SWARM_GRASS_STRENGTH,
+    enabled: swarmMode === 'swarm',
+  });
   
   // Pre-calculate animation constants
   const animationConstants = useMemo(() => ({
@@ -52,6 +78,7 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
   const particleData = useMemo(() => {
     const count = 20000; // Back to original 200k particles
     const containerSize = 200; // 50x50x50 container as originally requested
+    const random = createRandom(seed, 'ambient-particles');
     
     // Use single buffer for all data to improve cache locality
     const positions = new Float32Array(count * 3);
@@ -62,15 +89,16 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
     const orbitRadii = new Float32Array(count); // Individual orbit radius for each particle
     const orbitSpeeds = new Float32Array(count * 3); // Individual speed multipliers for chaos
     const orbitAxes = new Float32Array(count * 3); // Random orbital axis orientations
+    const velocities = new Float32Array(count * 3); // Swarm and return motion, units per second
     
     // Batch process for better performance
     for (let i = 0; i < count; i++) {
       const i3 = i * 3;
       
       // Generate once, use multiple times
-      const x = (Math.random() - 0.5) * containerSize;
-      const y = (Math.random() - 0.5) * containerSize * 0.5;
-      const z = (Math.random() - 0.5) * containerSize;
+      const x = (random() - 0.5) * containerSize;
+      const y = (random() - 0.5) * containerSize * 0.5;
+      const z = (random() - 0.5) * containerSize;
       
       // Set positions (current and initial)
       positions[i3] = initialPositions[i3] = x;
@@ -78,27 +106,27 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
       positions[i3 + 2] = initialPositions[i3 + 2] = z;
       
       // Pre-calculate animation offsets
-      animationOffsets[i3] = Math.random() * 6.283185307179586; // 2 * PI
-      animationOffsets[i3 + 1] = Math.random() * 6.283185307179586;
-      animationOffsets[i3 + 2] = Math.random() * 6.283185307179586;
+      animationOffsets[i3] = random() * 6.283185307179586; // 2 * PI
+      animationOffsets[i3 + 1] = random() * 6.283185307179586;
+      animationOffsets[i3 + 2] = random() * 6.283185307179586;
       
       // Swarm mode offsets for chaotic spherical orbital movement
-      swarmOffsets[i3] = Math.random() * 6.283185307179586; // Phase offset X
-      swarmOffsets[i3 + 1] = Math.random() * 6.283185307179586; // Phase offset Y  
-      swarmOffsets[i3 + 2] = Math.random() * 6.283185307179586; // Phase offset Z
+      swarmOffsets[i3] = random() * 6.283185307179586; // Phase offset X
+      swarmOffsets[i3 + 1] = random() * 6.283185307179586; // Phase offset Y  
+      swarmOffsets[i3 + 2] = random() * 6.283185307179586; // Phase offset Z
       
       // Random orbit radius around 2.0 units with more variation (0.5 to 4.0 range)
-      orbitRadii[i] = 0.5 + Math.random() * 3.5;
+      orbitRadii[i] = 0.5 + random() * 3.5;
       
       // Chaotic speed multipliers for interweaving (0.3x to 2.5x base speed)
-      orbitSpeeds[i3] = 0.3 + Math.random() * 2.2; // X speed multiplier
-      orbitSpeeds[i3 + 1] = 0.3 + Math.random() * 2.2; // Y speed multiplier
-      orbitSpeeds[i3 + 2] = 0.3 + Math.random() * 2.2; // Z speed multiplier
+      orbitSpeeds[i3] = 0.3 + random() * 2.2; // X speed multiplier
+      orbitSpeeds[i3 + 1] = 0.3 + random() * 2.2; // Y speed multiplier
+      orbitSpeeds[i3 + 2] = 0.3 + random() * 2.2; // Z speed multiplier
       
       // Random orbital axis orientations for spherical distribution
-      orbitAxes[i3] = (Math.random() - 0.5) * 2; // X axis tilt (-1 to 1)
-      orbitAxes[i3 + 1] = (Math.random() - 0.5) * 2; // Y axis tilt (-1 to 1)
-      orbitAxes[i3 + 2] = (Math.random() - 0.5) * 2; // Z axis tilt (-1 to 1)
+      orbitAxes[i3] = (random() - 0.5) * 2; // X axis tilt (-1 to 1)
+      orbitAxes[i3 + 1] = (random() - 0.5) * 2; // Y axis tilt (-1 to 1)
+      orbitAxes[i3 + 2] = (random() - 0.5) * 2; // Z axis tilt (-1 to 1)
       
       // Optimized color generation vec3(0.702,0.922,0.949)
       colors[i3] = 0.702;
@@ -106,21 +134,22 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
       colors[i3 + 2] = 0.949;
     }
     
-    return { positions, colors, initialPositions, animationOffsets, swarmOffsets, orbitRadii, orbitSpeeds, orbitAxes, count };
-  }, []);
+    return { positions, colors, initialPositions, animationOffsets, swarmOffsets, orbitRadii, orbitSpeeds, orbitAxes, velocities, count };
+  }, [seed]);
 
   // Animation loop with swarm behavior, reverse swarm, and normal movement
-  const animationCallback = useCallback((state) => {
+  const animationCallback = useCallback((state, delta) => {
     if (!pointsRef.current) return;
     
     const time = state.clock.elapsedTime;
     const positionAttribute = pointsRef.current.geometry.attributes.position;
     const positions = positionAttribute.array;
-    const { initialPositions, animationOffsets, swarmOffsets, orbitRadii, orbitSpeeds, orbitAxes, count } = particleData;
+    const { initialPositions, animationOffsets, swarmOffsets, orbitRadii, orbitSpeeds, orbitAxes, velocities, count } = particleData;
     const { movementRadius, speed, speedY, speedZ } = animationConstants;
     
     // Check if mode changed and start transition timer
     if (previousSwarmMode.current !== swarmMode) {
+      if (previousSwarmMode.current === 'normal') velocities.fill(0); // Normal mode places particles directly
       if (swarmMode === 'swarm') {
         console.log('Starting swarm mode at time:', time);
         transitionStart.current = time;
@@ -145,11 +174,6 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
       for (let i = 0; i < count; i++) {
         const i3 = i * 3;
         
-        // Current particle position
-        const currentX = positions[i3];
-        const currentY = positions[i3 + 1];
-        const currentZ = positions[i3 + 2];
-        
         const orbitRadius = orbitRadii[i];
         
         // Simplified smooth swarm motion - particles follow sphere in orbital pattern
@@ -166,16 +190,12 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
         const targetY = spherePosition.y + Math.sin(angle2) * radius * 0.5;
         const targetZ = spherePosition.z + Math.sin(angle1) * radius;
         
-        // Smooth movement towards target with proper interpolation
-        const lerpSpeed = 0.05; // Fixed lerp speed for smooth movement
-        
-        positions[i3] = currentX + (targetX - currentX) * lerpSpeed;
-        positions[i3 + 1] = currentY + (targetY - currentY) * lerpSpeed;
-        positions[i3 + 2] = currentZ + (targetZ - currentZ) * lerpSpeed;
+        // Smooth movement towards target, the same at any frame rate
+        particleTarget.set(targetX, targetY, targetZ);
+        followTargetAt(positions, velocities, i3, particleTarget, SWARM_MOTION, delta);
       }
     } else if (swarmMode === 'returning') {
       // Returning mode: particles transition back to their original positions
-      const returnSpeed = 0.02; // Faster return speed for testing (was 0.0008875)
       const returnDuration = 3.0; // Shorter duration for testing (was 67.28)
       const timeSinceReturn = time - returnTransitionStart.current;
       const returnProgress = Math.min(timeSinceReturn / returnDuration, 1.0);
@@ -192,11 +212,6 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
       for (let i = 0; i < count; i++) {
         const i3 = i * 3;
         
-        // Current particle position
-        const currentX = positions[i3];
-        const currentY = positions[i3 + 1];
-        const currentZ = positions[i3 + 2];
-        
         // Get original positions with normal movement
         const baseX = initialPositions[i3];
         const baseY = initialPositions[i3 + 1];
@@ -207,15 +222,15 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
         const offsetY = Math.sin(timeSpeedY + animationOffsets[i3 + 1]) * movementRadius;
         const offsetZ = Math.sin(timeSpeedZ + animationOffsets[i3 + 2]) * movementRadius;
         
-        // Target positions with normal movement
-        const targetX = baseX + offsetX;
+        // Target positions with normal movement and wind drift
+        sampleWind(baseX, baseZ, time, windSample);
+        const targetX = baseX + offsetX + windSample.x * PARTICLE_WIND_DRIFT;
         const targetY = baseY + offsetY;
-        const targetZ = baseZ + offsetZ;
+        const targetZ = baseZ + offsetZ + windSample.z * PARTICLE_WIND_DRIFT;
         
         // Smoothly interpolate back to original movement pattern
-        positions[i3] = THREE.MathUtils.lerp(currentX, targetX, returnSpeed);
-        positions[i3 + 1] = THREE.MathUtils.lerp(currentY, targetY, returnSpeed);
-        positions[i3 + 2] = THREE.MathUtils.lerp(currentZ, targetZ, returnSpeed);
+        particleTarget.set(targetX, targetY, targetZ);
+        followTargetAt(positions, velocities, i3, particleTarget, RETURN_MOTION, delta);
       }
     } else {
       // Normal mode: smooth movement around initial positions with grass bending
@@ -235,10 +250,11 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
         const offsetY = Math.sin(timeSpeedY + animationOffsets[i3 + 1]) * movementRadius;
         const offsetZ = Math.sin(timeSpeedZ + animationOffsets[i3 + 2]) * movementRadius;
         
-        // Base positions with normal movement
-        let finalX = baseX + offsetX;
+        // Base positions with normal movement, carried downwind by the shared wind field
+        sampleWind(baseX, baseZ, time, windSample);
+        let finalX = baseX + offsetX + windSample.x * PARTICLE_WIND_DRIFT;
         let finalY = baseY + offsetY;
-        let finalZ = baseZ + offsetZ;
+        let finalZ = baseZ + offsetZ + windSample.z * PARTICLE_WIND_DRIFT;
         
         // Apply grass bending effect if sphere position is available
         if (spherePosition) {
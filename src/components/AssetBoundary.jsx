@@ -0,0 +1,32 @@
+import React from 'react';
+import { reportAssetError } from '../utils/assetErrors';
+
+/**
+ * AssetBoundary Component
+ *
+ * Features:
+ * - Error boundary for suspending asset loaders (useGLTF, useLoader)
+ * - Reports the failure to the asset error panel under `assetKey`
+ * - Renders `fallback` in place of the failed subtree
+ */
+class AssetBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    const { assetKey, label, url, fallbackLabel } = this.props;
+    reportAssetError(assetKey, { label, url, error, fallback: fallbackLabel });
+  }
+
+  render() {
+    return this.state.error ? this.props.fallback : this.props.children;
+  }
+}
+
+export default AssetBoundary;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { dismissAllAssetErrors, dismissAssetError, useAssetErrors } from '../utils/assetErrors';
+import './AssetErrorPanel.css';
+
+/**
+ * AssetErrorPanel Component
+ *
+ * Features:
+ * - Lists every asset that failed to load, with the reason and the URL
+ * - Shows which fallback took its place (flat ground, gradient sky, ...)
+ * - Each entry can be dismissed on its own, or all at once
+ */
+const AssetErrorPanel = () => {
+  const errors = useAssetErrors();
+  if (errors.length === 0) return null;
+
+  return (
+    <div className="asset-errors" role="alert">
+      <div className="asset-errors-header">
+        <h3>Assets failed to load</h3>
+        {errors.length > 1 && (
+          <button className="asset-errors-dismiss-all" onClick={dismissAllAssetErrors}>
+            Dismiss all
+          </button>
+        )}
+      </div>
+      {errors.map((entry) => (
+        <div className="asset-error" key={entry.key}>
+          <div className="asset-error-title">
+            <span>{entry.label}</span>
+            <button
+              className="asset-error-dismiss"
+              onClick={() => dismissAssetError(entry.key)}
+              aria-label={`Dismiss ${entry.label} error`}
+            >
+              ×
+            </button>
+          </div>
+          {entry.url && <div className="asset-error-url">{entry.url}</div>}
+          <div className="asset-error-reason">{entry.reason}</div>
+          {entry.fallback && <div className="asset-error-fallback">Using: {entry.fallback}</div>}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AssetErrorPanel;
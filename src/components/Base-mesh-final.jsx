@@ -3,26 +3,76 @@ Auto-generated by: https://github.com/pmndrs/gltfjsx
 Command: npx gltfjsx@6.5.3 base-mesh-final.glb 
 */
 
-import React, { useMemo } from 'react'
+import React, { useEffect, useMemo, useRef } from 'react'
 import * as THREE from 'three'
 import { useGLTF } from '@react-three/drei'
 
-export function Model({ onPointerMove, ...props }) {
-  const { nodes, materials } = useGLTF('/final-base-1.1.glb')
+export const GROUND_URL = '/final-base-1.1.glb'
 
-  // Create MeshBasicMaterial that keeps any textures from the original material
-  const basicMaterial = useMemo(() => {
-    const original = materials.grassGround_01
-    return new THREE.MeshBasicMaterial({
-      map: original?.map ?? null,
-      color: original?.color ?? new THREE.Color(1, 1, 1),
-      side: THREE.DoubleSide
-    })
-  }, [materials])
+// Flat fallback ground, sized to the area the grass binaries cover
+const FLAT_GROUND_SIZE = 200
+const FLAT_GROUND_COLOR = '#3b5e26'
+
+// MeshBasicMaterial that keeps any textures from the original material
+const createGroundMaterial = (original, horizonTint) => {
+  const material = new THREE.MeshBasicMaterial({
+    map: original?.map ?? null,
+    color: original?.color ?? new THREE.Color(1, 1, 1),
+    side: THREE.DoubleSide
+  })
+
+  // Blend toward a grass colour in the distance, where grass LOD has thinned the blades out
+  if (horizonTint) {
+    material.onBeforeCompile = (shader) => {
+      shader.uniforms.horizonTint = { value: new THREE.Color(horizonTint.color) }
+      shader.uniforms.horizonTintStart = { value: horizonTint.start }
+      shader.uniforms.horizonTintEnd = { value: horizonTint.end }
+
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nvarying vec3 vGroundWorldPos;')
+        .replace('#include <begin_vertex>', '#include <begin_vertex>\nvGroundWorldPos = (modelMatrix * vec4(position, 1.0)).xyz;')
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+uniform vec3 horizonTint;
+uniform float horizonTintStart;
+uniform float horizonTintEnd;
+varying vec3 vGroundWorldPos;`)
+        .replace('#include <map_fragment>', `#include <map_fragment>
+float horizonAmount = smoothstep(horizonTintStart, horizonTintEnd, distance(vGroundWorldPos, cameraPosition));
+diffuseColor.rgb = mix(diffuseColor.rgb, horizonTint, horizonAmount * 0.6);`)
+    }
+    material.customProgramCacheKey = () => 'ground-horizon-tint'
+  }
+
+  return material
+}
+
+// Hands the ground mesh to the parent once it is in the scene
+const useGroundReady = (meshRef, onGroundReady) => {
+  useEffect(() => {
+    if (onGroundReady && meshRef.current) onGroundReady(meshRef.current)
+  }, [meshRef, onGroundReady])
+}
+
+export function Model({ onPointerMove, onGroundReady = null, horizonTint = null, ...props }) {
+  const { nodes, materials } = useGLTF(GROUND_URL)
+  const meshRef = useRef()
+  useGroundReady(meshRef, onGroundReady)
+
+  const basicMaterial = useMemo(
+    () => createGroundMaterial(materials.grassGround_01, horizonTint),
+    [materials, horizonTint]
+  )
+
+  // Rebuilt when the tint changes; the group opts out of automatic disposal, so free the old one
+  useEffect(() => () => basicMaterial.dispose(), [basicMaterial])
 
   return (
     <group {...props} dispose={null}>
       <mesh 
+        ref={meshRef}
+        name="Ground"
         geometry={nodes.Ground.geometry} 
         material={basicMaterial}
         onPointerMove={onPointerMove}
@@ -31,4 +81,33 @@ export function Model({ onPointerMove, ...props }) {
   )
 }
 
-useGLTF.preload('/final-base-1.1.glb')
+// Stand-in ground when the model fails to load, so the sphere and grass still have something to sit on
+export function FlatGround({ onPointerMove, onGroundReady = null, horizonTint = null, ...props }) {
+  const meshRef = useRef()
+  useGroundReady(meshRef, onGroundReady)
+
+  const basicMaterial = useMemo(
+    () => createGroundMaterial({ color: new THREE.Color(FLAT_GROUND_COLOR) }, horizonTint),
+    [horizonTint]
+  )
+  const planeGeometry = useMemo(() => new THREE.PlaneGeometry(FLAT_GROUND_SIZE, FLAT_GROUND_SIZE), [])
+
+  // The group opts out of automatic disposal, so free what this component made itself
+  useEffect(() => () => basicMaterial.dispose(), [basicMaterial])
+  useEffect(() => () => planeGeometry.dispose(), [planeGeometry])
+
+  return (
+    <group {...props} dispose={null}>
+      <mesh
+        ref={meshRef}
+        name="Ground"
+        rotation-x={-Math.PI / 2}
+        geometry={planeGeometry}
+        material={basicMaterial}
+        onPointerMove={onPointerMove}
+      />
+    </group>
+  )
+}
+
+useGLTF.preload(GROUND_URL)
@@ -0,0 +1,31 @@
+import React from 'react';
+import './CameraModeControls.css';
+import { CAMERA_MODES } from '../utils/cameraRig';
+
+const CameraModeControls = ({ 
+  cameraMode, 
+  onCameraModeChange, 
+  isVisible = true 
+}) => {
+  if (!isVisible) return null;
+
+  return (
+    <div className="camera-modes" role="group" aria-label="Camera mode">
+      {CAMERA_MODES.map((mode, index) => (
+        <button
+          key={mode.id}
+          type="button"
+          className={`camera-mode-btn ${cameraMode === mode.id ? 'active' : ''}`}
+          onClick={() => onCameraModeChange(mode.id)}
+          aria-pressed={cameraMode === mode.id}
+          title={`Press ${index + 1}, or V to cycle`}
+        >
+          {mode.label}
+          <span className="camera-mode-key">{index + 1}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default CameraModeControls;
@@ -1,24 +1,80 @@
-import React, { useRef, useEffect, useState, useMemo, useCallback } from "react";
+import React, { Suspense, useRef, useEffect, useState, useMemo, useCallback } from "react";
 import * as THREE from "three";
-import { useLoader, useFrame } from "@react-three/fiber";
-import { Model } from "./Base-mesh-final";
+import { useFrame } from "@react-three/fiber";
+import { FlatGround, GROUND_URL, Model } from "./Base-mesh-final";
+import AssetBoundary from "./AssetBoundary";
 import MovingSphere from "./MovingSphere";
-
-// Performance-optimized constants
-const NEEDS_NORMALIZE = false;
-const TEXTURE_COUNT = 4;
-const REDUCED_INSTANCE_COUNT = 400000; // Balanced for good coverage and performance
+import TouchControls from "./TouchControls";
+import GrassChunk from "./GrassChunk";
+import { requestGrassInstances } from "../utils/grassWorkerClient";
+import { resolveGrassInstanceData } from "../utils/grassLoader";
+import {
+  DEFAULT_MASK_BOUNDS,
+  DEFAULT_MASK_DENSITY,
+  createHeightMaskFromGeometry,
+  createScatterDensityMask,
+  loadGrassMasks,
+} from "../utils/grassMasks";
+import { createRandom } from "../utils/random";
+import { createTerrain } from "../utils/terrain";
+import { createNavGrid } from "../utils/navGrid";
+import { createWorldBounds } from "../utils/worldBounds";
+import { reportLoadingProgress } from "../utils/loadingProgress";
+import { reportAssetError } from "../utils/assetErrors";
+import { TRAMPLE_SHADER, TrampleMap } from "../utils/trampleMap";
+import { WIND_SHADER, windUniforms } from "../utils/wind";
+import { GRASS_LIGHTING_SHADER, grassLightingUniforms, setGrassLighting } from "../utils/grassLighting";
+import {
+  DEFAULT_BLADE_VARIANTS,
+  createFallbackBladeAtlas,
+  loadBladeAtlas,
+  resolveBladeVariants,
+} from "../utils/bladeAtlas";
+import {
+  DEFAULT_LOD_BANDS,
+  DEFAULT_LOD_FADE_WIDTH,
+  LOD_SHADER,
+  lodCutoffDistance,
+  lodUniformValues,
+  normalizeLodBands,
+} from "../utils/grassLod";
+
+// Rapier (and its WASM) only downloads once physics mode is switched on
+const SpherePhysics = React.lazy(() => import("./SpherePhysics"));
 
 // Wave optimization constants - tuned for performance
 const DEFAULT_WAVE_STRENGTH = 0.03; // Reduced for better performance
 const DEFAULT_WAVE_SPEED = 1.2; // Slightly reduced
 const DEFAULT_WAVE_SCALE = 1.8; // Optimized scale
 
+// Grass bending
+const BEND_RADIUS = 4.0;
+const DEFAULT_TRAIL_RECOVERY_TIME = 3.0; // Seconds for trampled grass to fully recover
+const WIND_SWAY = 0.35; // World units of tip sway per unit of wind push
+
 // Performance flags
 const ENABLE_WAVES = true;
 const ENABLE_LOD = true;
+const HORIZON_TINT = "#3f6b2a"; // Ground tint where grass has thinned out
 const UPDATE_FREQUENCY = 2; // Update every N frames
 
+// Tile streaming
+const DEFAULT_STREAM_RADIUS = 90; // World units around the sphere
+const STREAM_HYSTERESIS = 1.15; // Tiles unload a little further out than they load
+const STREAM_CHECK_INTERVAL = 10; // Frames between streaming checks
+
+// Grass editor
+const EDITOR_REBUILD_DELAY = 400; // ms between grass rebuilds while painting
+const BRUSH_CURSOR_COLORS = { paint: "#7CFC00", erase: "#ff5555", recolor: "#ffd24d" };
+
+const NORMAL_MAP_URL = "/normal-map.png";
+
+// Reusable objects for converting brush hits into grass-local space
+const brushCenter = new THREE.Vector3();
+const brushNormal = new THREE.Vector3();
+const brushRotation = new THREE.Quaternion();
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
 /**
  * Heavily optimized noise functions for wavy effect
  * 
@@ -86,191 +142,340 @@ const NOISE_SHADER = `
 `;
 
 export default function PlaneInstancerWithColor({
+  dataBin = null, // Single versioned container; takes precedence over the legacy files below
   posBin = "/positions.bin",
   rotBin = "/rotations.bin",
   sclBin = "/scales.bin",
   colorBin = "/colors.bin",
+  densityMap = null, // Density mask image; when set, grass is generated from the masks instead of the binaries
+  colorMap = null, // Optional blade colour image for mask generation
+  heightMap = null, // Optional greyscale terrain height image for mask generation
+  maskBounds = DEFAULT_MASK_BOUNDS, // Grass-local { min, max } the mask images cover
+  maskDensity = DEFAULT_MASK_DENSITY, // Blades per square unit where the density mask is white
   instanceCount = undefined,
   planeSize = 2.2, // Increased size for better grass coverage
   castShadow = false,
   receiveShadow = false,
   onSphereMove = null, // Callback for sphere movement
   ribbonMode = 'both', // Ribbon effect mode
+  tileSize = undefined, // Grass tile edge length, defaults to GRASS_TILE_SIZE
+  streamRadius = DEFAULT_STREAM_RADIUS, // Tiles within this distance of the sphere are drawn
+  enableLod = ENABLE_LOD, // Distance-based density falloff
+  lodBands = DEFAULT_LOD_BANDS, // [{ distance, density }] measured from the camera or sphere
+  lodFadeWidth = DEFAULT_LOD_FADE_WIDTH, // How gradually blades fade across a band edge
+  horizonTint = HORIZON_TINT, // Ground colour blended in where grass is culled
+  bladeVariants = DEFAULT_BLADE_VARIANTS, // [{ url, weight }] blade alpha masks
+  bladeManifest = null, // URL of a JSON manifest ({ variants: [...] }); overrides bladeVariants
+  seed = 0, // Scene seed for the jitter, texture picks and LOD shuffle
+  trailRecoveryTime = DEFAULT_TRAIL_RECOVERY_TIME, // Seconds for trampled grass to recover
+  editor = null, // Grass editor state: { enabled, brush, layer } (see utils/grassPainter)
+  lit = false, // Compile in the lit grass shader (sun, translucency, root occlusion)
+  lighting = null, // Lit grass settings, see DEFAULT_GRASS_LIGHTING in utils/grassLighting
+  physics = false, // Roll the sphere as a Rapier rigid body instead of gliding it
+  physicsCollider = "trimesh", // Ground collider for physics mode: "trimesh" or "heightfield"
+  navOptions = null, // Click-to-travel blocking rules, see DEFAULT_NAV_OPTIONS in utils/navGrid
+  worldBounds = null, // Edge margin and soft push back, see DEFAULT_WORLD_BOUNDS in utils/worldBounds
+  cameraMode = "chase", // Camera rig mode, see CAMERA_MODES in utils/cameraRig
+  tour = null, // Guided tour to play (see utils/tour), null for free control
+  onTourCaption = null, // Called with the current tour caption, or null
+  onTourEnd = null, // Called when the tour finishes or input takes over
+  onBladeVariantCount = null, // Called with the number of blade variants once the atlas has loaded
 }) {
-  const meshRef = useRef();
   const shaderRef = useRef();
-  const [transforms, setTransforms] = useState(null);
-  const [instanceColorArray, setInstanceColorArray] = useState(null);
-  const [textureIndexArray, setTextureIndexArray] = useState(null);
-
-  // Load textures with memoized array to prevent unnecessary re-renders
-  const textures = useMemo(() => [
-    "/alpha-map.png",
-    "/alpha-map1.png", 
-    "/alpha-map2.png",
-    "/alpha-map3.png"
-  ], []);
-  
-  const [alphaMap, alphaMap1, alphaMap2, alphaMap3] = useLoader(THREE.TextureLoader, textures);
-  const normalMap = useLoader(THREE.TextureLoader, "/normal-map.png");
-
-  // Memoized fetch function to avoid recreation
-  const fetchBinaryData = useCallback(async () => {
-    const [posBuf, rotBuf, sclBuf, colBuf] = await Promise.all([
-      fetch(posBin).then((r) => r.arrayBuffer()),
-      fetch(rotBin).then((r) => r.arrayBuffer()),
-      fetch(sclBin).then((r) => r.arrayBuffer()),
-      fetch(colorBin).then((r) => r.arrayBuffer()),
-    ]);
-
-    const positions = new Float32Array(posBuf);
-    const rotations = new Float32Array(rotBuf);
-    const scales = new Float32Array(sclBuf);
-    const colors = new Float32Array(colBuf);
-
-    const inferredCount = Math.floor(positions.length / 3);
-    // Smart instance limiting - ensure good coverage while maintaining performance
-    let maxCount = Math.min(inferredCount, REDUCED_INSTANCE_COUNT);
-    
-    // If we have a lot of data, use sampling instead of just truncating
-    const useSmartSampling = inferredCount > REDUCED_INSTANCE_COUNT;
-    const count = instanceCount ? Math.min(instanceCount, maxCount) : maxCount;
-    
-    // Pre-allocate arrays for better performance
-    const instColors = new Float32Array(count * 3);
-    const texIdxArr = new Float32Array(count);
-    const transformArray = new Array(count);
-
-    // Smart sampling for even grass distribution
-    for (let i = 0; i < count; i++) {
-      // Use smart sampling if we have more data than our limit
-      let sourceIndex = i;
-      if (useSmartSampling) {
-        // Distribute sampling evenly across the entire dataset
-        sourceIndex = Math.floor((i / count) * inferredCount);
-      }
-      
-      const sourceI3 = sourceIndex * 3;
-      const i3 = i * 3;
-      
-      // Transform data with better variation for natural look
-      transformArray[i] = {
-        position: [
-          positions[sourceI3] ?? 0, 
-          positions[sourceI3 + 1] ?? 0, 
-          positions[sourceI3 + 2] ?? 0
-        ],
-        rotation: [
-          rotations[i3] + 0.5 * Math.random(), 
-          rotations[i3 + 1] * Math.random(), 
-          rotations[i3 + 2] - 1 + 0.5 * Math.random()
-        ],
-        scale: [
-          (scales[sourceI3] ?? 1) * (0.8 + Math.random() * 0.4), 
-          (scales[sourceI3 + 1] ?? 1) * (0.9 + Math.random() * 0.2), 
-          (scales[sourceI3 + 2] ?? 1) * (0.8 + Math.random() * 0.4)
-        ],
-      };
-
-      // Color data with slight variation for natural look
-      let r = (colors[sourceI3] ?? 0);
-      let g = (colors[sourceI3 + 1] ?? 0);
-      let b = (colors[sourceI3 + 2] ?? 0);
-      
-      if (NEEDS_NORMALIZE) {
-        r /= 255;
-        g /= 255;
-        b /= 255;
-      }
-      
-      // Add subtle color variation for more natural grass
-      const colorVar = 0.1;
-      r = Math.max(0, Math.min(1, r + (Math.random() - 0.5) * colorVar));
-      g = Math.max(0, Math.min(1, g + (Math.random() - 0.5) * colorVar));
-      b = Math.max(0, Math.min(1, b + (Math.random() - 0.5) * colorVar));
-      
-      instColors[i3] = r;
-      instColors[i3 + 1] = g;
-      instColors[i3 + 2] = b;
+  const [instanceBuffers, setInstanceBuffers] = useState(null);
 
-      texIdxArr[i] = Math.floor(Math.random() * TEXTURE_COUNT);
-    }
+  // Optional detail texture: a missing file falls back to flat normals instead of suspending the scene
+  const [normalMap, setNormalMap] = useState(null);
+  useEffect(() => {
+    let mounted = true;
+    let loaded = null;
+    new THREE.TextureLoader().load(
+      NORMAL_MAP_URL,
+      (texture) => {
+        loaded = texture;
+        if (mounted) setNormalMap(texture);
+        else texture.dispose();
+      },
+      undefined,
+      (error) => reportAssetError("normal-map", {
+        label: "Grass normal map", url: NORMAL_MAP_URL, error, fallback: "Flat normals",
+      })
+    );
+    return () => {
+      mounted = false;
+      if (loaded) loaded.dispose();
+    };
+  }, []);
+
+  // Lighting uniforms are shared by every grass material, so settings changes need no recompile
+  useEffect(() => {
+    if (lighting) setGrassLighting(lighting);
+  }, [lighting]);
 
-    return { transformArray, instColors, texIdxArr };
-  }, [posBin, rotBin, sclBin, colorBin, instanceCount]);
+  // Blade alpha masks packed into one texture array, plus per-variant weights
+  const [bladeAtlas, setBladeAtlas] = useState(null);
+  // Keyed on content (and read back from the key) so inline variant lists don't reload the textures
+  const bladeVariantsKey = JSON.stringify(bladeVariants);
 
-  // Load transform/color data
   useEffect(() => {
     let mounted = true;
-    
-    fetchBinaryData().then(({ transformArray, instColors, texIdxArr }) => {
-      if (!mounted) return;
-      
-      setTransforms(transformArray);
-      setInstanceColorArray(instColors);
-      setTextureIndexArray(texIdxArr);
-    }).catch(console.error);
+    let loaded = null;
+
+    resolveBladeVariants(JSON.parse(bladeVariantsKey), bladeManifest)
+      .then(loadBladeAtlas)
+      .catch((error) => {
+        reportAssetError("blade-atlas", {
+          label: "Grass blade textures",
+          url: bladeManifest,
+          error,
+          fallback: "Plain procedural blade",
+        });
+        return createFallbackBladeAtlas();
+      })
+      .then((atlas) => {
+        loaded = atlas;
+        if (mounted) setBladeAtlas(atlas);
+        else atlas.texture.dispose();
+      });
 
-    return () => { mounted = false; };
-  }, [fetchBinaryData]);
+    return () => {
+      mounted = false;
+      if (loaded) loaded.texture.dispose();
+    };
+  }, [bladeVariantsKey, bladeManifest]);
+
+  // A manifest (or the fallback blade) can hold more or fewer variants than the defaults
+  useEffect(() => {
+    if (bladeAtlas) onBladeVariantCount?.(bladeAtlas.weights.length);
+  }, [bladeAtlas, onBladeVariantCount]);
+
+  // Normalised LOD bands (keyed on content so inline arrays don't recompile the shader)
+  const lodBandsKey = JSON.stringify(lodBands);
+  const normalizedLodBands = useMemo(() => normalizeLodBands(JSON.parse(lodBandsKey)), [lodBandsKey]);
+
+  // Ground tint fades in across the last band, where grass density drops to nothing
+  const horizonTintConfig = useMemo(() => {
+    if (!enableLod) return null;
+    const end = lodCutoffDistance(normalizedLodBands);
+    if (!Number.isFinite(end)) return null;
+    const endIndex = normalizedLodBands.findIndex((band) => band.distance === end);
+    const start = normalizedLodBands[Math.max(0, endIndex - 1)].distance;
+    return { color: horizonTint, start, end };
+  }, [enableLod, normalizedLodBands, horizonTint]);
+
+  // Grass editor: the paint layer holds an editable copy of the instance data
+  const editorLayer = editor?.layer ?? null;
+  const editorEnabled = Boolean(editor?.enabled && editorLayer);
+  const [editVersion, setEditVersion] = useState(0);
+
+  // Mask images are decoded here (they need a canvas); generation runs in the worker.
+  // Bounds are keyed on content so inline objects don't reload the masks
+  const maskBoundsKey = JSON.stringify(maskBounds);
+  const grassSource = useMemo(() => {
+    if (!densityMap) return Promise.resolve({ dataBin, posBin, rotBin, sclBin, colorBin });
+    return loadGrassMasks({ densityMap, colorMap, heightMap }).then((masks) => ({
+      masks,
+      maskOptions: { bounds: JSON.parse(maskBoundsKey), density: maskDensity, seed },
+    }));
+  }, [dataBin, posBin, rotBin, sclBin, colorBin, densityMap, colorMap, heightMap, maskBoundsKey, maskDensity, seed]);
+
+  // Ground mesh, either the model or the flat fallback; fallback grass is fitted to it
+  const [groundMesh, setGroundMesh] = useState(null);
+  const groupRef = useRef();
+
+  // When the grass binaries or masks fail, scatter procedural grass over the ground instead
+  const [grassFailed, setGrassFailed] = useState(false);
+  useEffect(() => setGrassFailed(false), [grassSource]);
+
+  const grassFallback = useMemo(() => {
+    if (!grassFailed || !groundMesh || !groupRef.current) return null;
+
+    // Ground geometry into grass-local space, where the masks are laid out
+    groupRef.current.updateWorldMatrix(true, false);
+    groundMesh.updateWorldMatrix(true, false);
+    const toGrassLocal = groupRef.current.matrixWorld.clone().invert().multiply(groundMesh.matrixWorld);
+    const { image, minZ, maxZ } = createHeightMaskFromGeometry(groundMesh.geometry, toGrassLocal, DEFAULT_MASK_BOUNDS);
+
+    return Promise.resolve({
+      masks: { density: createScatterDensityMask(seed), color: null, height: image },
+      maskOptions: {
+        bounds: {
+          min: [DEFAULT_MASK_BOUNDS.min[0], DEFAULT_MASK_BOUNDS.min[1], minZ],
+          max: [DEFAULT_MASK_BOUNDS.max[0], DEFAULT_MASK_BOUNDS.max[1], maxZ],
+        },
+        density: DEFAULT_MASK_DENSITY,
+        seed,
+      },
+    });
+  }, [grassFailed, groundMesh, seed]);
+
+  const activeGrassSource = grassFallback ?? grassSource;
+  const isGrassFallback = grassFallback !== null;
+  const grassSourceUrl = densityMap || dataBin || posBin;
+
+  useEffect(() => {
+    if (!editorEnabled) return;
+    editorLayer.load(() => activeGrassSource.then(resolveGrassInstanceData)).catch((error) => {
+      reportAssetError("grass-editor", {
+        label: "Grass for editing",
+        url: isGrassFallback ? null : grassSourceUrl,
+        error,
+        fallback: "Painting disabled",
+      });
+    });
+  }, [editorEnabled, editorLayer, activeGrassSource, isGrassFallback, grassSourceUrl]);
+
+  // Decode (or generate), jitter, compose instance matrices and tile them in the decoder worker.
+  // Batches are revealed as they arrive while the binaries are still downloading.
+  const variantWeights = bladeAtlas?.weights;
+  useEffect(() => {
+    if (!variantWeights) return;
+    // Superseded requests are cancelled in the worker, so editor rebuilds never queue behind stale ones
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    // Once painted, the edited layer replaces the binaries or masks as the grass source
+    const data = editVersion > 0 && editorLayer?.loaded ? editorLayer.toData() : undefined;
+    // Editor rebuilds are local and quick, so only real loads show on the loading screen
+    const reportProgress = ({ loadedBytes, totalBytes, loadedInstances, totalInstances }) => {
+      if (data) return;
+      reportLoadingProgress("grass", {
+        label: "Grass",
+        done: false,
+        loaded: totalInstances ? loadedInstances : loadedBytes,
+        total: totalInstances || totalBytes,
+        loadedBytes,
+        totalBytes,
+        loadedInstances,
+      });
+    };
+
+    activeGrassSource
+      .then((source) => requestGrassInstances(
+        { ...source, data, instanceCount, tileSize, variantWeights, seed },
+        {
+          signal,
+          onProgress: reportProgress,
+          onBatch: (buffers) => {
+            if (!signal.aborted) setInstanceBuffers(buffers);
+          },
+        }
+      ))
+      .then((buffers) => {
+        // A rebuild can supersede the first load, so it closes the loading entry too
+        reportLoadingProgress("grass", { done: true });
+        if (!signal.aborted) setInstanceBuffers(buffers);
+      })
+      .catch((error) => {
+        if (signal.aborted) return;
+        if (data) {
+          reportAssetError("grass-edit", {
+            label: "Painted grass rebuild",
+            error,
+            fallback: "Previous grass kept",
+          });
+          reportLoadingProgress("grass", { done: true });
+          return;
+        }
+        if (isGrassFallback) {
+          reportAssetError("grass", { label: "Procedural grass", error, fallback: "No grass" });
+          reportLoadingProgress("grass", { done: true });
+          return;
+        }
+        reportAssetError("grass", {
+          label: "Grass instances",
+          url: grassSourceUrl,
+          error,
+          fallback: "Procedural scatter",
+        });
+        setGrassFailed(true);
+      });
+
+    return () => controller.abort();
+  }, [activeGrassSource, isGrassFallback, grassSourceUrl, instanceCount, tileSize, variantWeights, seed, editVersion, editorLayer]);
+
+  // Trample map: every registered grass interactor stamps into a world-XZ texture the grass samples
+  const trampleMap = useMemo(() => new TrampleMap(), []);
+  useEffect(() => { trampleMap.recoveryTime = trailRecoveryTime; }, [trampleMap, trailRecoveryTime]);
+  useEffect(() => () => trampleMap.dispose(), [trampleMap]);
 
   // Memoized geometry
   const geometry = useMemo(() => new THREE.PlaneGeometry(planeSize, planeSize), [planeSize]);
 
   // Memoized material with optimized shader
   const material = useMemo(() => {
+    if (!bladeAtlas) return null;
+
     const mat = new THREE.MeshBasicMaterial({
       side: THREE.DoubleSide,
       vertexColors: true,
       transparent: false,
       depthWrite: true,
       alphaTest: 0.5, // Removed duplicate alphaTest
-      normalMap,
     });
 
+    if (enableLod) {
+      mat.defines = { ...mat.defines, GRASS_LOD: '' };
+    }
+    // The normal map only matters to the lit shader
+    if (lit) {
+      mat.defines = { ...mat.defines, GRASS_LIT: '' };
+      if (normalMap) mat.defines.GRASS_NORMAL_MAP = '';
+    }
+
     mat.onBeforeCompile = (shader) => {
             shaderRef.current = shader;
 
-      // Add uniforms efficiently with wave parameters and grass bending
-      Object.assign(shader.uniforms, {
-        alphaMap: { value: alphaMap },
-        alphaMap1: { value: alphaMap1 },
-        alphaMap2: { value: alphaMap2 },
-        alphaMap3: { value: alphaMap3 },
+      // Add uniforms efficiently with wave parameters and grass bending;
+      // wind uniforms are shared objects, so the global wind field drives every tile
+      Object.assign(shader.uniforms, windUniforms, grassLightingUniforms, {
+        windSway: { value: WIND_SWAY },
+        grassNormalMap: { value: normalMap },
+        bladeAtlas: { value: bladeAtlas.texture },
         time: { value: 0 },
         cameraPos: { value: new THREE.Vector3() },
         spherePos: { value: new THREE.Vector3() },
         waveStrength: { value: DEFAULT_WAVE_STRENGTH },
         waveSpeed: { value: DEFAULT_WAVE_SPEED },
         waveScale: { value: DEFAULT_WAVE_SCALE },
-        bendRadius: { value: 4.0 },
+        bendRadius: { value: BEND_RADIUS },
         bendStrength: { value: .6 },
-        // Trail system uniforms
-        trailPositions: { value: new Float32Array(60) }, // 20 positions * 3 components
-        trailTimes: { value: new Float32Array(20) }, // Time when each trail point was created
-        trailCount: { value: 0 },
+        // Trample map uniforms (trail history lives in a world-XZ texture)
+        trampleMap: { value: trampleMap.texture },
+        trampleBounds: { value: trampleMap.bounds },
         currentTime: { value: 0.0 },
-        trailRecoveryTime: { value: 3.0 }, // Time for grass to fully recover
         // Smooth animation uniforms
         bendingSpeed: { value: .90 }, // How fast grass transitions to bend positions
-        deltaTime: { value: 0.00096 } // Frame delta time for smooth interpolation
+        deltaTime: { value: 0.00096 }, // Frame delta time for smooth interpolation
+        // Distance LOD uniforms
+        lodDistances: { value: lodUniformValues(normalizedLodBands).lodDistances },
+        lodDensities: { value: lodUniformValues(normalizedLodBands).lodDensities },
+        lodFadeWidth: { value: lodFadeWidth },
       });
 
       shader.vertexShader = `
   attribute float aTextureIndex;
+  attribute float aLodRank;
   varying float vTextureIndex;
+  varying float vLodFade;
   varying vec2 vUv;
   varying vec3 vPos;
+  #ifdef GRASS_LIT
+    varying vec3 vGrassTangent;
+    varying vec3 vGrassBitangent;
+    varying vec3 vGrassNormal;
+  #endif
+
+  uniform float windSway;
+
+  ${LOD_SHADER}
+  ${TRAMPLE_SHADER}
+  ${WIND_SHADER}
 
   uniform vec3 spherePos;
   uniform float bendRadius;
   uniform float bendStrength;
-  // Trail system uniforms
-  uniform float trailPositions[60]; // Array of vec3 positions flattened
-  uniform float trailTimes[20];
-  uniform float trailCount;
   uniform float currentTime;
-  uniform float trailRecoveryTime;
   uniform float bendingSpeed;
   uniform float deltaTime;
 
@@ -282,72 +487,45 @@ export default function PlaneInstancerWithColor({
       vTextureIndex = aTextureIndex;
       vUv = uv;
 
+      // Distance LOD: blades whose rank is above the local density shrink away
+      #ifdef GRASS_LOD
+        vec3 lodOrigin = (modelMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+        float lodDist = min(distance(lodOrigin, cameraPosition), distance(lodOrigin, spherePos));
+        vLodFade = clamp((grassLodDensity(lodDist) - aLodRank) / lodFadeWidth, 0.0, 1.0);
+        transformed *= vLodFade;
+      #else
+        vLodFade = 1.0;
+      #endif
+
       vec3 sPos = spherePos;
       vec3 gPos = (modelMatrix * instanceMatrix * vec4(position, 1.0)).xyz;
+      vPos = gPos;
+
+      // World-space blade frame for lighting and the normal map
+      #ifdef GRASS_LIT
+        mat3 grassBasis = mat3(modelMatrix * instanceMatrix);
+        vGrassTangent = normalize(grassBasis * vec3(1.0, 0.0, 0.0));
+        vGrassBitangent = normalize(grassBasis * vec3(0.0, 1.0, 0.0));
+        vGrassNormal = normalize(grassBasis * vec3(0.0, 0.0, 1.0));
+      #endif
+
+      // Global wind sways blade tips in world space (applied after instancing below)
+      vec2 grassWindOffset = windAt(gPos.xz) * windSway * clamp(position.y, 0.0, 1.0) * vLodFade;
 
       // Calculate TARGET bending (what the grass wants to bend to)
       vec2 targetBend = vec2(0.0);
       float targetIntensity = 0.0;
 
-      // Current sphere position effect (strongest)
-      float distanceToSphere = distance(gPos, sPos);
-      if (distanceToSphere < bendRadius) {
-        // Direction FROM sphere TO grass position (outward)
-        vec2 sphereToGrass = gPos.xz - sPos.xz;
-        vec2 bendDir = normalize(sphereToGrass);
-
-        // Smooth target calculation
-        float normalizedDistance = distanceToSphere / bendRadius;
-        float rawInfluence = 1.0 - normalizedDistance;
-        float influence = rawInfluence * rawInfluence * (3.0 - 2.0 * rawInfluence);
-        influence = smoothstep(0.0, 1.0, influence);
-        
-        targetBend += bendDir * influence;
+      // Interactor bending from the trample map: fresh stamps (the sphere and any
+      // other registered interactor right now) bend fully, older trail stamps at 60%
+      vec4 trample = sampleTrample(gPos.xz);
+      if (trample.z > 0.0) {
+        float freshness = 1.0 - smoothstep(0.0, 0.05, trample.w);
+        float influence = smoothstep(0.0, 1.0, trample.z * mix(0.6, 1.0, freshness));
+        targetBend += trample.xy * influence;
         targetIntensity = max(targetIntensity, influence);
       }
 
-      // Trail positions effect (decaying over time)
-      for (int i = 0; i < 20; i++) {
-        if (float(i) >= trailCount) break;
-        
-        // Get trail position (flattened array: x,y,z,x,y,z,...)
-        int baseIndex = i * 3;
-        vec3 trailPos = vec3(
-          trailPositions[baseIndex], 
-          trailPositions[baseIndex + 1], 
-          trailPositions[baseIndex + 2]
-        );
-        
-        // Calculate time-based decay with natural grass recovery easing
-        float age = currentTime - trailTimes[i];
-        float normalizedAge = clamp(age / trailRecoveryTime, 0.0, 1.0);
-        // Elastic ease-out: grass springs back naturally then settles
-        float decay = 1.0 - (normalizedAge * normalizedAge * normalizedAge * (normalizedAge * (normalizedAge * 6.0 - 15.0) + 10.0));
-        
-        if (decay > 0.0) {
-          float trailDistance = distance(gPos, trailPos);
-          if (trailDistance < bendRadius) {
-            // Direction away from trail position
-            vec2 trailToGrass = gPos.xz - trailPos.xz;
-            vec2 trailBendDir = normalize(trailToGrass);
-            
-            // Smooth trail influence with distance-based easing
-            float normalizedTrailDistance = trailDistance / bendRadius;
-            float distanceInfluence = 1.0 - normalizedTrailDistance;
-            
-            // Apply smooth easing for trail bending transitions
-            distanceInfluence = distanceInfluence * distanceInfluence * (3.0 - 2.0 * distanceInfluence);
-            
-            // Combine with time decay and apply smoothstep
-            float trailInfluence = distanceInfluence * decay * 0.6;
-            trailInfluence = smoothstep(0.0, 1.0, trailInfluence);
-            
-            targetBend += trailBendDir * trailInfluence;
-            targetIntensity = max(targetIntensity, trailInfluence);
-          }
-        }
-      }
-
       // Apply smooth progressive bending transitions
       if (targetIntensity > 0.0) {
         // Apply bending only to upper parts (based on vertex height)
@@ -387,15 +565,23 @@ export default function PlaneInstancerWithColor({
         // Calculate final bend with progressive animation
         vec2 finalBend = targetBend * bendStrength * heightFactor * finalAnimation;
         
-        // Add subtle wind effect for natural movement
-        float windEffect = sin(currentTime * 1.2 + gPos.x * 0.2 + gPos.z * 0.3) * 0.015;
-        finalBend *= (1.0 + windEffect);
+        // Trampled blades are pinned down and sway less in the wind
+        grassWindOffset *= 1.0 - targetIntensity;
         
         // Apply the progressively animated bending
         transformed.x += finalBend.x;
         transformed.z += finalBend.y;
       }
     `
+  ).replace(
+    "#include <project_vertex>",
+    `
+      // Project via world space so the wind offset is applied along world XZ
+      vec4 grassWorldPos = modelMatrix * instanceMatrix * vec4(transformed, 1.0);
+      grassWorldPos.xz += grassWindOffset;
+      vec4 mvPosition = viewMatrix * grassWorldPos;
+      gl_Position = projectionMatrix * mvPosition;
+    `
   )}
 `;
 
@@ -408,47 +594,64 @@ export default function PlaneInstancerWithColor({
         uniform float waveSpeed;
         uniform float waveScale;
         varying float vTextureIndex;
+        varying float vLodFade;
         varying vec2 vUv;
         varying vec3 vPos;
 
-        uniform sampler2D alphaMap;
-        uniform sampler2D alphaMap1;
-        uniform sampler2D alphaMap2;
-        uniform sampler2D alphaMap3;
+        uniform sampler2DArray bladeAtlas;
+
+        #ifdef GRASS_LIT
+          varying vec3 vGrassTangent;
+          varying vec3 vGrassBitangent;
+          varying vec3 vGrassNormal;
+          uniform sampler2D grassNormalMap;
+          ${GRASS_LIGHTING_SHADER}
+        #endif
 
+        ${WIND_SHADER}
         ${NOISE_SHADER}
 
         ${shader.fragmentShader.replace(
           "#include <map_fragment>",
           `
-            // Optimized texture sampling with single branch
+            // Blade variant is a layer of the atlas texture array
             float idx = floor(vTextureIndex + 0.5);
             
             // Ultra-optimized wavy effect
             // Pre-compute time-based values to avoid redundant calculations
             float timeWave = time * waveSpeed;
-            vec2 scaledPos = vPos.xz * waveScale;
+            // Ripples drift downwind and grow with the shared wind turbulence
+            vec2 scaledPos = vPos.xz * waveScale - windDirection * timeWave * 0.5;
+            float windWave = waveStrength * (0.5 + windTurbulence + 0.5 * windStrength);
             
             // Simplified wave calculation with consistent strength across all grass
             vec2 waveOffset = vec2(
-              turbulence(scaledPos, timeWave) * waveStrength,
-              sin(vPos.x * 4.0 + timeWave * 1.5) * (waveStrength * 0.5)
+              turbulence(scaledPos, timeWave) * windWave,
+              sin(vPos.x * 4.0 + timeWave * 1.5) * (windWave * 0.5)
             );
             
             vec2 wavyUv = vUv + waveOffset;
             
-            vec4 color;
-            if (idx < 0.5) {
-              color = texture2D(alphaMap, wavyUv);
-            } else if (idx < 1.5) {
-              color = texture2D(alphaMap1, wavyUv);
-            } else if (idx < 2.5) {
-              color = texture2D(alphaMap2, wavyUv);
-            } else {
-              color = texture2D(alphaMap3, wavyUv);
-            }
+            vec4 color = texture(bladeAtlas, vec3(wavyUv, idx));
             
-            diffuseColor.a = color.r;
+            // Dissolve blades that are fading out of the current LOD band
+            diffuseColor.a = color.r * vLodFade;
+          `
+        ).replace(
+          "#include <aomap_fragment>",
+          `
+            #ifdef GRASS_LIT
+              // Blades are double sided: light the face the camera sees
+              vec3 grassNormal = normalize(vGrassNormal) * (gl_FrontFacing ? 1.0 : -1.0);
+              #ifdef GRASS_NORMAL_MAP
+                vec3 mapNormal = texture2D(grassNormalMap, vUv).xyz * 2.0 - 1.0;
+                mapNormal.xy *= grassNormalStrength;
+                grassNormal = normalize(mat3(normalize(vGrassTangent), normalize(vGrassBitangent), grassNormal) * mapNormal);
+              #endif
+              reflectedLight.indirectDiffuse = grassLight(grassNormal, normalize(cameraPosition - vPos), vUv.y);
+            #else
+              #include <aomap_fragment>
+            #endif
           `
         )}
       `;
@@ -457,21 +660,14 @@ export default function PlaneInstancerWithColor({
     };
 
     return mat;
-  }, [alphaMap, alphaMap1, alphaMap2, alphaMap3, normalMap]);
-
-  // Trail system state
-  const trailPositions = useRef(new Float32Array(60)); // 20 positions * 3 components
-  const trailTimes = useRef(new Float32Array(20));
-  const trailIndex = useRef(0);
-  const lastRecordedPosition = useRef(new THREE.Vector3());
-  const minTrailDistance = useRef(0.5); // Minimum distance to record new trail point
+  }, [bladeAtlas, trampleMap, normalMap, enableLod, lit, normalizedLodBands, lodFadeWidth]);
 
   // Simplified frame loop
   const frameCounter = useRef(0);
   const lastFrameTime = useRef(0);
   const spherePosRef = useRef(new THREE.Vector3(0, 1.2, 0)); // Initialize with default sphere starting position
   
-  useFrame(({ clock, camera }) => {
+  useFrame(({ clock, camera, gl }) => {
     const shader = shaderRef.current;
     if (!shader?.uniforms) return;
     
@@ -489,70 +685,46 @@ export default function PlaneInstancerWithColor({
     shader.uniforms.cameraPos.value.copy(camera.position);
     shader.uniforms.spherePos.value.copy(spherePosRef.current);
     
-    // Trail recording: Record sphere position if it moved enough
-    const currentPos = spherePosRef.current;
-    const distance = currentPos.distanceTo(lastRecordedPosition.current);
+    // Age the trample map and stamp every registered interactor
+    trampleMap.update(gl, Math.min(deltaTime, 0.1));
+    shader.uniforms.trampleMap.value = trampleMap.texture;
     
-    if (distance > minTrailDistance.current) {
-      // Record new trail point
-      const index = trailIndex.current % 20; // Circular buffer
-      const baseIndex = index * 3;
-      
-      // Store position
-      trailPositions.current[baseIndex] = currentPos.x;
-      trailPositions.current[baseIndex + 1] = currentPos.y;
-      trailPositions.current[baseIndex + 2] = currentPos.z;
-      
-      // Store time
-      trailTimes.current[index] = currentTime;
-      
-      // Update trail uniforms
-      shader.uniforms.trailPositions.value = trailPositions.current;
-      shader.uniforms.trailTimes.value = trailTimes.current;
-      shader.uniforms.trailCount.value = Math.min(trailIndex.current + 1, 20);
-      
-      // Update references
-      lastRecordedPosition.current.copy(currentPos);
-      trailIndex.current++;
-    }
-    
-    // Always update current time for trail decay and delta time for smooth interpolation
+    // Always update current time for the bend animation and delta time for smooth interpolation
     shader.uniforms.currentTime.value = currentTime;
     shader.uniforms.deltaTime.value = Math.min(deltaTime, 0.033); // Cap at ~30fps for stability
-    
-    // Trail system running (no logging for performance)
   });
 
-  // Optimized instance data setup with early returns
-  useEffect(() => {
-    const inst = meshRef.current;
-    if (!inst || !transforms || !instanceColorArray || !textureIndexArray) return;
-
-    // Batch matrix updates for better performance
-    const tmpMatrix = new THREE.Matrix4();
-    const tmpObject = new THREE.Object3D();
-    
-    transforms.forEach((t, i) => {
-      tmpObject.position.fromArray(t.position);
-      tmpObject.rotation.fromArray(t.rotation);
-      tmpObject.scale.fromArray(t.scale);
-      tmpObject.updateMatrix();
-      inst.setMatrixAt(i, tmpObject.matrix);
+  // Stream tiles in and out around the sphere (world XZ distance to tile centre)
+  const [activeChunkKeys, setActiveChunkKeys] = useState(() => new Set());
+  const tileCenter = useRef(new THREE.Vector3());
+  const streamFrame = useRef(0);
+
+  useFrame(() => {
+    if (!instanceBuffers || !groupRef.current || streamFrame.current++ % STREAM_CHECK_INTERVAL !== 0) return;
+
+    const sphere = spherePosRef.current;
+    const loadRadiusSq = streamRadius * streamRadius;
+    const unloadRadiusSq = loadRadiusSq * STREAM_HYSTERESIS * STREAM_HYSTERESIS;
+    const next = new Set();
+
+    instanceBuffers.chunks.forEach((chunk) => {
+      tileCenter.current.fromArray(chunk.boundingSphere.center).applyMatrix4(groupRef.current.matrixWorld);
+      const dx = tileCenter.current.x - sphere.x;
+      const dz = tileCenter.current.z - sphere.z;
+      const distSq = dx * dx + dz * dz;
+      // Keep already-streamed tiles a little longer to avoid thrashing at the edge
+      const limit = activeChunkKeys.has(chunk.key) ? unloadRadiusSq : loadRadiusSq;
+      if (distSq < limit) next.add(chunk.key);
     });
 
-    // Single update call
-    inst.instanceMatrix.needsUpdate = true;
-    
-    // Set attributes efficiently
-    const geometry = inst.geometry;
-    geometry.setAttribute("color", new THREE.InstancedBufferAttribute(instanceColorArray, 3));
-    geometry.setAttribute("aTextureIndex", new THREE.InstancedBufferAttribute(textureIndexArray, 1));
-  }, [transforms, instanceColorArray, textureIndexArray]);
-
-  // Memoized count calculation
-  const safeCount = useMemo(() => 
-    transforms ? transforms.length : (instanceCount || 0), 
-    [transforms, instanceCount]
+    if (next.size !== activeChunkKeys.size || [...next].some((key) => !activeChunkKeys.has(key))) {
+      setActiveChunkKeys(next);
+    }
+  });
+
+  const activeChunks = useMemo(() => 
+    instanceBuffers ? instanceBuffers.chunks.filter((chunk) => activeChunkKeys.has(chunk.key)) : [], 
+    [instanceBuffers, activeChunkKeys]
   );
 
   // Memoized group rotation/position
@@ -561,17 +733,94 @@ export default function PlaneInstancerWithColor({
     position: [0.0, 0.35, 0.0]
   }), []);
 
+  // Ground heights and normals, baked once per ground and shared by the sphere, camera, portal and props
+  const terrain = useMemo(() => (groundMesh ? createTerrain(groundMesh) : null), [groundMesh]);
+
+  // Slope and height walkability for click-to-travel over the same grid
+  const navGrid = useMemo(
+    () => (terrain ? createNavGrid(terrain.ground, navOptions ?? undefined) : null),
+    [terrain, navOptions]
+  );
+
+  // Where the sphere and camera may go: the ground's bounding box, inset from its bare edge
+  const bounds = useMemo(
+    () => (terrain ? createWorldBounds(terrain.ground, worldBounds ?? undefined) : null),
+    [terrain, worldBounds]
+  );
+
+  // Trampling covers the whole ground box, wherever grass grows
+  useEffect(() => {
+    if (terrain) trampleMap.setBounds(terrain.ground);
+  }, [trampleMap, terrain]);
+
   // Refs for MovingSphere integration
   const movingSphereRef = useRef();
+  const sphereBodyRef = useRef(null); // Rapier body while physics mode is on
+
+  // Grass editor brush: dabs are applied in grass-local space and rebuilt on a throttle
+  const editorRandom = useMemo(() => createRandom(seed, "grass-editor"), [seed]);
+  const brushCursorRef = useRef();
+  const rebuildTimer = useRef(null);
+  const editorBrush = editor?.brush;
+
+  useEffect(() => () => clearTimeout(rebuildTimer.current), []);
+
+  const paintAt = useCallback((event) => {
+    if (!editorLayer?.loaded || !groupRef.current) return;
+    const group = groupRef.current;
+
+    group.worldToLocal(brushCenter.copy(event.point));
+    brushNormal.copy(event.face?.normal ?? WORLD_UP).transformDirection(event.object.matrixWorld);
+    brushNormal.applyQuaternion(group.getWorldQuaternion(brushRotation).invert());
+
+    if (editorLayer.applyBrush(brushCenter, brushNormal, editorBrush, editorRandom) && !rebuildTimer.current) {
+      rebuildTimer.current = setTimeout(() => {
+        rebuildTimer.current = null;
+        setEditVersion(editorLayer.version);
+      }, EDITOR_REBUILD_DELAY);
+    }
+  }, [editorLayer, editorBrush, editorRandom]);
 
   // Handle pointer move events from base mesh
   const handleBaseMeshPointerMove = useCallback((event) => {
+    if (editorEnabled) {
+      // Editor: left button paints, right button drives the sphere, hover only moves the brush
+      if (brushCursorRef.current) brushCursorRef.current.position.copy(event.point);
+      if (event.buttons & 1) {
+        paintAt(event);
+        return;
+      }
+      if (!(event.buttons & 2)) return;
+    }
+
     // Pass the event to MovingSphere if it exists
     if (movingSphereRef.current?.handlePointerMove) {
       movingSphereRef.current.handlePointerMove(event);
     }
+  }, [editorEnabled, paintAt]);
+
+  const handleBaseMeshPointerDown = useCallback((event) => {
+    if (event.button === 0) paintAt(event);
+  }, [paintAt]);
+
+  // Click plans a route there; touch taps arrive through TouchControls instead
+  const handleBaseMeshClick = useCallback((event) => {
+    movingSphereRef.current?.handleClick(event);
   }, []);
 
+  const handleBaseMeshContextMenu = useCallback((event) => {
+    event.nativeEvent.preventDefault();
+  }, []);
+
+  const groundProps = {
+    onPointerMove: handleBaseMeshPointerMove,
+    onPointerDown: editorEnabled ? handleBaseMeshPointerDown : undefined,
+    onClick: editorEnabled ? undefined : handleBaseMeshClick,
+    onContextMenu: editorEnabled ? handleBaseMeshContextMenu : undefined,
+    onGroundReady: setGroundMesh,
+    horizonTint: horizonTintConfig,
+  };
+
   // Handle sphere movement updates
   const handleSphereMove = useCallback((newPosition) => {
     // Update sphere position for grass bending (no logging for performance)
@@ -585,21 +834,62 @@ export default function PlaneInstancerWithColor({
 
   return (
     <>
-      <Model onPointerMove={handleBaseMeshPointerMove} />
+      <AssetBoundary
+        assetKey="ground"
+        label="Ground model"
+        url={GROUND_URL}
+        fallbackLabel="Flat plane"
+        fallback={<FlatGround {...groundProps} />}
+      >
+        <Model {...groundProps} />
+      </AssetBoundary>
+      {editorEnabled && (
+        <mesh ref={brushCursorRef} rotation-x={-Math.PI / 2} scale={editorBrush.radius} renderOrder={10}>
+          <ringGeometry args={[0.94, 1, 48]} />
+          <meshBasicMaterial color={BRUSH_CURSOR_COLORS[editorBrush.mode]} transparent opacity={0.8} depthTest={false} />
+        </mesh>
+      )}
       <MovingSphere 
         ref={movingSphereRef}
         onSphereMove={handleSphereMove}
         ribbonMode={ribbonMode}
+        physicsBodyRef={physics ? sphereBodyRef : null}
+        navGrid={navGrid}
+        terrain={terrain}
+        bounds={bounds}
+        cameraMode={cameraMode}
+        editing={editorEnabled}
+        tour={tour}
+        onTourCaption={onTourCaption}
+        onTourEnd={onTourEnd}
       />
+      <TouchControls sphereRef={movingSphereRef} groundMesh={groundMesh} enabled={!editorEnabled} />
+      {physics && terrain && (
+        <Suspense fallback={null}>
+          <SpherePhysics
+            groundMesh={groundMesh}
+            terrain={terrain}
+            bodyRef={sphereBodyRef}
+            startPosition={spherePosRef.current}
+            colliderType={physicsCollider}
+            seed={seed}
+          />
+        </Suspense>
+      )}
       <axesHelper />
-      <group {...groupProps}>
-        <instancedMesh
-          ref={meshRef}
-          args={[geometry, material, safeCount]}
-          castShadow={castShadow}
-          receiveShadow={receiveShadow}
-          frustumCulled={false}
-        />
+      <group ref={groupRef} {...groupProps}>
+        {material && activeChunks.map((chunk) => (
+          <GrassChunk
+            key={chunk.key}
+            chunk={chunk}
+            baseGeometry={geometry}
+            material={material}
+            lodBands={enableLod ? normalizedLodBands : null}
+            focusRef={spherePosRef}
+            castShadow={castShadow}
+            receiveShadow={receiveShadow}
+          />
+        ))}
       </group>
 
     </>
@@ -0,0 +1,91 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+import { lodDensityAt } from '../utils/grassLod';
+
+const LOD_CHECK_INTERVAL = 6; // Frames between instance count updates
+
+// Reusable objects for the LOD check
+const worldSphere = new THREE.Sphere();
+
+/**
+ * GrassChunk Component
+ *
+ * One spatial tile of the grass field as its own InstancedMesh.
+ *
+ * Features:
+ * - Uploads the worker-built matrices, colours and texture indices as-is
+ * - Bounding sphere/box come from the tile bounds so three.js frustum culls
+ *   the whole tile when it is out of view
+ * - Shares the grass material with every other tile, so the bending and wave
+ *   uniforms are updated once for the whole field
+ * - Draws only as many (pre-shuffled) instances as the densest LOD band
+ *   touching the tile needs; the shader fades out the rest per blade
+ */
+const GrassChunk = React.memo(({
+  chunk,
+  baseGeometry,
+  material,
+  lodBands = null, // Normalised LOD bands, or null to always draw every instance
+  focusRef = null, // Ref to a Vector3 (the sphere) that keeps density high around it
+  castShadow = false,
+  receiveShadow = false,
+}) => {
+  const mesh = useMemo(() => {
+    // Per-tile geometry: instanced attributes live on the geometry
+    const geometry = baseGeometry.clone();
+    geometry.setAttribute('color', new THREE.InstancedBufferAttribute(chunk.colors, 3));
+    geometry.setAttribute('aTextureIndex', new THREE.InstancedBufferAttribute(chunk.textureIndices, 1));
+    geometry.setAttribute('aLodRank', new THREE.InstancedBufferAttribute(chunk.lodRanks, 1));
+
+    const instanced = new THREE.InstancedMesh(geometry, material, chunk.count);
+    instanced.instanceMatrix = new THREE.InstancedBufferAttribute(chunk.matrices, 16);
+    instanced.name = `grass-chunk-${chunk.key}`;
+
+    instanced.boundingBox = new THREE.Box3(
+      new THREE.Vector3(...chunk.bbox.min),
+      new THREE.Vector3(...chunk.bbox.max)
+    );
+    instanced.boundingSphere = new THREE.Sphere(
+      new THREE.Vector3(...chunk.boundingSphere.center),
+      chunk.boundingSphere.radius
+    );
+    instanced.frustumCulled = true;
+
+    return instanced;
+  }, [chunk, baseGeometry, material]);
+
+  // Trim the drawn instance count to the highest density the tile can need
+  const lodFrame = useRef(Math.floor(Math.random() * LOD_CHECK_INTERVAL)); // Spread checks across frames
+  useFrame(({ camera }) => {
+    if (!lodBands || lodFrame.current++ % LOD_CHECK_INTERVAL !== 0) return;
+
+    worldSphere.copy(mesh.boundingSphere).applyMatrix4(mesh.matrixWorld);
+    let nearest = Math.max(0, worldSphere.distanceToPoint(camera.position));
+    if (focusRef?.current) {
+      nearest = Math.min(nearest, Math.max(0, worldSphere.distanceToPoint(focusRef.current)));
+    }
+
+    const density = lodDensityAt(lodBands, nearest);
+    mesh.count = Math.min(chunk.count, Math.ceil(density * chunk.count));
+    mesh.visible = mesh.count > 0;
+  });
+
+  // Free GPU buffers when the tile streams out
+  useEffect(() => () => {
+    mesh.geometry.dispose();
+    mesh.dispose();
+  }, [mesh]);
+
+  return (
+    <primitive
+      object={mesh}
+      castShadow={castShadow}
+      receiveShadow={receiveShadow}
+    />
+  );
+});
+
+GrassChunk.displayName = 'GrassChunk';
+
+export default GrassChunk;
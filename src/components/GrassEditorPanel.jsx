@@ -0,0 +1,154 @@
+import React from 'react';
+import './GrassEditorPanel.css';
+
+const MODES = [
+  { key: 'paint', label: 'Paint' },
+  { key: 'erase', label: 'Erase' },
+  { key: 'recolor', label: 'Recolour' }
+];
+
+const SLIDERS = [
+  { key: 'radius', label: 'Radius', min: 0.5, max: 15, step: 0.5, digits: 1 },
+  { key: 'falloff', label: 'Falloff', min: 0, max: 1, step: 0.05, digits: 2 },
+  { key: 'density', label: 'Density', min: 0.5, max: 30, step: 0.5, digits: 1 },
+  { key: 'strength', label: 'Strength', min: 0.05, max: 1, step: 0.05, digits: 2 }
+];
+
+// Save a binary buffer through a temporary download link
+const downloadBinary = (buffer, filename) => {
+  const url = URL.createObjectURL(new Blob([buffer], { type: 'application/octet-stream' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * GrassEditorPanel Component
+ *
+ * Features:
+ * - Brush mode (paint, erase, recolour), radius, falloff, density and strength
+ * - Blade texture variant and colour for painted/recoloured grass
+ * - Exports the painted layer as a single container (grass.bin) or as the
+ *   legacy positions/rotations/scales/colors files
+ */
+const GrassEditorPanel = ({
+  brush,
+  onBrushChange,
+  layer,
+  variantCount = 4,
+  onClose,
+  isVisible = true
+}) => {
+  const [isExporting, setIsExporting] = React.useState(false);
+
+  const updateBrush = (key, value) => {
+    onBrushChange({
+      ...brush,
+      [key]: value
+    });
+  };
+
+  const exportWith = async (write) => {
+    setIsExporting(true);
+    try {
+      await layer.ready;
+      write();
+    } catch (error) {
+      console.error('Grass export failed:', error);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleExportContainer = () => exportWith(() => {
+    downloadBinary(layer.exportContainer(), 'grass.bin');
+  });
+
+  const handleExportLegacy = () => exportWith(() => {
+    const files = layer.exportLegacyFiles();
+    Object.entries(files).forEach(([name, buffer]) => downloadBinary(buffer, `${name}.bin`));
+  });
+
+  if (!isVisible) return null;
+
+  return (
+    <div className="grass-editor">
+      <h3>Grass Editor</h3>
+
+      <div className="grass-editor-modes">
+        {MODES.map(mode => (
+          <button
+            key={mode.key}
+            className={`grass-editor-btn ${brush.mode === mode.key ? 'active' : ''}`}
+            onClick={() => updateBrush('mode', mode.key)}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      {SLIDERS.map(slider => (
+        <div className="grass-editor-group" key={slider.key}>
+          <label>{slider.label}</label>
+          <div className="grass-editor-slider-container">
+            <input
+              type="range"
+              min={slider.min}
+              max={slider.max}
+              step={slider.step}
+              value={brush[slider.key]}
+              onChange={(e) => updateBrush(slider.key, parseFloat(e.target.value))}
+              className="grass-editor-slider"
+            />
+            <span className="grass-editor-value">{brush[slider.key].toFixed(slider.digits)}</span>
+          </div>
+        </div>
+      ))}
+
+      <div className="grass-editor-row">
+        <div className="grass-editor-group">
+          <label>Variant</label>
+          <select
+            value={brush.variant}
+            onChange={(e) => updateBrush('variant', parseInt(e.target.value, 10))}
+            className="grass-editor-select"
+          >
+            <option value={-1}>Random</option>
+            {Array.from({ length: variantCount }, (_, i) => (
+              <option key={i} value={i}>Blade {i + 1}</option>
+            ))}
+          </select>
+        </div>
+        <div className="grass-editor-group">
+          <label>Colour</label>
+          <input
+            type="color"
+            value={brush.color}
+            onChange={(e) => updateBrush('color', e.target.value)}
+            className="grass-editor-color"
+          />
+        </div>
+      </div>
+
+      <div className="grass-editor-exports">
+        <button className="grass-editor-btn" onClick={handleExportContainer} disabled={isExporting}>
+          Export grass.bin
+        </button>
+        <button className="grass-editor-btn" onClick={handleExportLegacy} disabled={isExporting}>
+          Export legacy files
+        </button>
+      </div>
+
+      <div className="grass-editor-info">
+        <p>Left drag: brush • Right drag: move sphere • G: close editor</p>
+      </div>
+      <button className="grass-editor-btn grass-editor-close" onClick={onClose}>
+        Close Editor
+      </button>
+    </div>
+  );
+};
+
+export default GrassEditorPanel;
@@ -1,7 +1,35 @@
 import React, { useEffect, useCallback, useRef } from 'react';
 import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
-import { PMREMGenerator, TextureLoader, EquirectangularReflectionMapping } from 'three';
+import { CanvasTexture, PMREMGenerator, SRGBColorSpace, TextureLoader, EquirectangularReflectionMapping } from 'three';
 import { useThree } from '@react-three/fiber';
+import { reportAssetError } from '../utils/assetErrors';
+
+// Fallback sky gradient, zenith to nadir (equirectangular rows run top to bottom)
+const SKY_GRADIENT = [
+  [0, '#5d8fc9'],
+  [0.45, '#b9d3e8'],
+  [0.5, '#dfe8d6'],
+  [1, '#3c5a2e'],
+];
+
+/**
+ * Equirectangular gradient texture used as the sky when the environment map fails to load
+ */
+const createGradientSky = () => {
+  const canvas = document.createElement('canvas');
+  canvas.width = 4;
+  canvas.height = 256;
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+  SKY_GRADIENT.forEach(([stop, color]) => gradient.addColorStop(stop, color));
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  const texture = new CanvasTexture(canvas);
+  texture.mapping = EquirectangularReflectionMapping;
+  texture.colorSpace = SRGBColorSpace;
+  return texture;
+};
 
 /**
  * Smart Environment Map Component - Handles both HDR and PNG files
@@ -11,6 +39,9 @@ import { useThree } from '@react-three/fiber';
  * @param {number} intensity - Environment map intensity (default: 1.0)
  * @param {function} onLoad - Callback when texture loads successfully
  * @param {function} onError - Callback when texture fails to load
+ *
+ * A texture that fails to load is reported to the asset error panel and
+ * replaced by a gradient sky, so the scene keeps its background and lighting.
  */
 export default function EnvironmentMap({ 
   texturePath = '/sky_19_2k.png',
@@ -21,6 +52,7 @@ export default function EnvironmentMap({
   const { gl, scene } = useThree();
   const pmremGeneratorRef = useRef();
   const envMapRef = useRef();
+  const fallbackSkyRef = useRef();
 
   // Cleanup function to properly dispose resources
   const cleanup = useCallback(() => {
@@ -32,6 +64,10 @@ export default function EnvironmentMap({
       envMapRef.current.dispose();
       envMapRef.current = null;
     }
+    if (fallbackSkyRef.current) {
+      fallbackSkyRef.current.dispose();
+      fallbackSkyRef.current = null;
+    }
   }, []);
 
   // Helper function to detect file type
@@ -61,6 +97,17 @@ export default function EnvironmentMap({
     
     console.log(`Loading ${isHDR ? 'HDR' : 'LDR'} environment texture: ${texturePath}`);
 
+    const applyGradientSky = (error) => {
+      reportAssetError('sky', { label: 'Environment map', url: texturePath, error, fallback: 'Gradient sky' });
+      if (pmremGeneratorRef.current !== pmremGenerator) return; // Effect already cleaned up
+
+      const sky = createGradientSky();
+      fallbackSkyRef.current = sky;
+      envMapRef.current = pmremGenerator.fromEquirectangular(sky).texture;
+      scene.environment = envMapRef.current;
+      scene.background = sky;
+    };
+
     // Set loading manager for better error handling
     loader.load(
       texturePath,
@@ -100,7 +147,7 @@ export default function EnvironmentMap({
           
           console.log(`Environment texture loaded successfully: ${texturePath}`);
         } catch (error) {
-          console.error('Error processing environment texture:', error);
+          applyGradientSky(error);
           if (onError) {
             onError(error);
           }
@@ -114,7 +161,7 @@ export default function EnvironmentMap({
       },
       // Error callback
       (error) => {
-        console.error('Error loading environment texture:', error);
+        applyGradientSky(error);
         if (onError) {
           onError(error);
         }
@@ -0,0 +1,140 @@
+import React, { useRef } from 'react';
+import './JourneyControls.css';
+import {
+  exportJourney,
+  loadJourney,
+  pauseJourney,
+  playJourney,
+  seekJourney,
+  setJourneySpeed,
+  startRecording,
+  stopJourney,
+  stopRecording,
+  useJourneySession,
+} from '../utils/journeySession';
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Save text through a temporary download link
+const downloadText = (text, filename) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const formatTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+};
+
+/**
+ * JourneyControls Component
+ *
+ * Features:
+ * - Records the sphere's journey (motion, camera and mode changes) and
+ *   replays it with play, pause, stop, scrubbing and speed
+ * - Exports the journey as journey.json and imports one from a file, for
+ *   demos and bug reports
+ */
+const JourneyControls = ({ isVisible = true }) => {
+  const session = useJourneySession();
+  const fileInputRef = useRef(null);
+  const { status, time, duration, speed, hasJourney, error } = session;
+  const isRecording = status === 'recording';
+  const isPlaying = status === 'playing';
+
+  const handleExport = () => {
+    const text = exportJourney();
+    if (text) downloadText(text, 'journey.json');
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Picking the same file again still fires a change
+    if (file) loadJourney(await file.text());
+  };
+
+  if (!isVisible) return null;
+
+  return (
+    <div className="journey-controls">
+      <h3>Journey</h3>
+
+      <div className="journey-buttons">
+        <button
+          className={`journey-btn ${isRecording ? 'recording' : ''}`}
+          onClick={isRecording ? stopRecording : startRecording}
+          disabled={!isRecording && status !== 'idle'}
+        >
+          {isRecording ? 'Stop recording' : 'Record'}
+        </button>
+        <button
+          className="journey-btn"
+          onClick={isPlaying ? pauseJourney : playJourney}
+          disabled={!hasJourney || isRecording}
+        >
+          {isPlaying ? 'Pause' : 'Play'}
+        </button>
+        <button
+          className="journey-btn"
+          onClick={stopJourney}
+          disabled={status !== 'playing' && status !== 'paused'}
+        >
+          Stop
+        </button>
+      </div>
+
+      <div className="journey-slider-container">
+        <input
+          type="range"
+          min={0}
+          max={duration || 1}
+          step={0.01}
+          value={isRecording ? 0 : Math.min(time, duration)}
+          onChange={(e) => seekJourney(parseFloat(e.target.value))}
+          disabled={!hasJourney || isRecording}
+          className="journey-slider"
+          aria-label="Journey position"
+        />
+        <span className="journey-value">
+          {isRecording ? formatTime(time) : `${formatTime(time)} / ${formatTime(duration)}`}
+        </span>
+      </div>
+
+      <div className="journey-row">
+        <label htmlFor="journey-speed">Speed</label>
+        <select
+          id="journey-speed"
+          value={speed}
+          onChange={(e) => setJourneySpeed(parseFloat(e.target.value))}
+          disabled={!hasJourney}
+          className="journey-select"
+        >
+          {SPEEDS.map(value => (
+            <option key={value} value={value}>{value}×</option>
+          ))}
+        </select>
+        <button className="journey-btn" onClick={handleExport} disabled={!hasJourney || isRecording}>
+          Export
+        </button>
+        <button className="journey-btn" onClick={() => fileInputRef.current?.click()} disabled={isRecording}>
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          hidden
+        />
+      </div>
+
+      {error && <div className="journey-error" role="alert">{error}</div>}
+    </div>
+  );
+};
+
+export default JourneyControls;
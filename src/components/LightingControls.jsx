@@ -0,0 +1,73 @@
+import React from 'react';
+import { GRASS_LIGHTING_MODES } from '../utils/grassLighting';
+import './LightingControls.css';
+
+const LIGHTING_SLIDERS = [
+  { key: 'sunAzimuth', label: 'Sun Azimuth', min: 0, max: 360, step: 5, digits: 0, unit: '°' },
+  { key: 'sunElevation', label: 'Sun Elevation', min: 5, max: 90, step: 1, digits: 0, unit: '°' },
+  { key: 'sunIntensity', label: 'Sun Intensity', min: 0, max: 2, step: 0.05, digits: 2 },
+  { key: 'ambientIntensity', label: 'Ambient', min: 0, max: 1.5, step: 0.05, digits: 2 },
+  { key: 'wrap', label: 'Wrap Diffuse', min: 0, max: 1, step: 0.05, digits: 2 },
+  { key: 'translucency', label: 'Translucency', min: 0, max: 2, step: 0.05, digits: 2 },
+  { key: 'rootOcclusion', label: 'Root Occlusion', min: 0, max: 1, step: 0.05, digits: 2 },
+  { key: 'normalStrength', label: 'Normal Map', min: 0, max: 2, step: 0.05, digits: 2 },
+];
+
+const MODE_LABELS = { auto: 'Auto', on: 'On', off: 'Off' };
+
+const LightingControls = ({ 
+  settings, 
+  onSettingsChange, 
+  isLit = false,
+  isVisible = true 
+}) => {
+  const handleSliderChange = (key, value) => {
+    onSettingsChange({
+      ...settings,
+      [key]: parseFloat(value)
+    });
+  };
+
+  if (!isVisible) return null;
+
+  return (
+    <div className="lighting-controls">
+      <h3>Grass Lighting</h3>
+      <div className="lighting-mode-buttons">
+        {GRASS_LIGHTING_MODES.map(mode => (
+          <button
+            key={mode}
+            className={`lighting-mode-btn ${settings.mode === mode ? 'active' : ''}`}
+            onClick={() => onSettingsChange({ ...settings, mode })}
+          >
+            {MODE_LABELS[mode]}
+          </button>
+        ))}
+      </div>
+      <div className="lighting-status">
+        {isLit ? 'Lit shader active' : 'Unlit (fast) shader active'}
+        {settings.mode === 'auto' && ' · follows performance'}
+      </div>
+      {LIGHTING_SLIDERS.map(slider => (
+        <div className="lighting-control-group" key={slider.key}>
+          <label>{slider.label}</label>
+          <div className="lighting-slider-container">
+            <input
+              type="range"
+              min={slider.min}
+              max={slider.max}
+              step={slider.step}
+              value={settings[slider.key]}
+              onChange={(e) => handleSliderChange(slider.key, e.target.value)}
+              className="lighting-slider"
+              disabled={!isLit}
+            />
+            <span className="lighting-value">{settings[slider.key].toFixed(slider.digits)}{slider.unit || ''}</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default LightingControls;
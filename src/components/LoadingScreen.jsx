@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from 'react';
+import { useProgress } from '@react-three/drei';
+import { taskFraction, useLoadingTasks } from '../utils/loadingProgress';
+import './LoadingScreen.css';
+
+const FADE_OUT_MS = 600;
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const describeTask = (task) => {
+  if (task.done) return 'Done';
+  const parts = [];
+  if (task.totalBytes) parts.push(`${formatMegabytes(task.loadedBytes)} / ${formatMegabytes(task.totalBytes)}`);
+  else if (task.loadedBytes) parts.push(formatMegabytes(task.loadedBytes));
+  if (task.loadedInstances) parts.push(`${task.loadedInstances.toLocaleString()} blades`);
+  return parts.join(' · ') || 'Waiting…';
+};
+
+/**
+ * LoadingScreen Component
+ *
+ * Features:
+ * - Overall progress across the GLB, HDRI and textures (three.js loading
+ *   manager via drei's useProgress) and the streamed grass binaries
+ * - Per-source rows with item counts, bytes and decoded blade counts
+ * - Covers the scene until the assets are in and the first grass batch is
+ *   revealed, then shrinks to a small bar while the rest of the grass streams
+ */
+const LoadingScreen = () => {
+  const { active, loaded, total, item, progress } = useProgress();
+  const tasks = useLoadingTasks();
+  const [isHidden, setIsHidden] = useState(false);
+
+  const assetsDone = total > 0 && !active && progress >= 100;
+  const assetFraction = assetsDone ? 1 : progress / 100;
+  const grassTask = tasks.find((task) => task.key === 'grass');
+  const grassStarted = Boolean(grassTask && (grassTask.done || grassTask.loadedInstances > 0));
+  const allDone = assetsDone && tasks.every((task) => task.done);
+
+  const fractions = [assetFraction, ...tasks.map(taskFraction)];
+  const overall = fractions.reduce((sum, f) => sum + f, 0) / fractions.length;
+  const isBlocking = !(assetsDone && grassStarted);
+
+  // Fade out once everything has loaded
+  useEffect(() => {
+    if (!allDone) {
+      setIsHidden(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setIsHidden(true), FADE_OUT_MS);
+    return () => clearTimeout(timer);
+  }, [allDone]);
+
+  if (isHidden) return null;
+
+  if (!isBlocking) {
+    return (
+      <div className={`loading-bar ${allDone ? 'loading-done' : ''}`}>
+        <span>Streaming grass… {Math.round(overall * 100)}%</span>
+        <div className="loading-track">
+          <div className="loading-fill" style={{ width: `${overall * 100}%` }} />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="loading-screen">
+      <div className="loading-panel">
+        <h2>Loading</h2>
+        <div className="loading-track loading-track-large">
+          <div className="loading-fill" style={{ width: `${overall * 100}%` }} />
+        </div>
+        <div className="loading-percent">{Math.round(overall * 100)}%</div>
+
+        <div className="loading-row">
+          <span>Scene (model, sky, textures)</span>
+          <span>{assetsDone ? 'Done' : `${loaded} / ${total || '…'}`}</span>
+        </div>
+        {tasks.map((task) => (
+          <div className="loading-row" key={task.key}>
+            <span>{task.label || task.key}</span>
+            <span>{describeTask(task)}</span>
+          </div>
+        ))}
+        {active && item && <div className="loading-item">{item.split('/').pop()}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default LoadingScreen;
@@ -1,48 +1,149 @@
-import React, { useRef, useCallback, useMemo, useState } from 'react';
+import React, { useRef, useCallback, useEffect, useMemo, useState } from 'react';
 import * as THREE from 'three';
 import { useFrame, useThree } from '@react-three/fiber';
+import { useKeyboardControls } from '@react-three/drei';
 import OptimizedRibbons from './OptimizedRibbons';
 import PortalPlane from './PortalPlane';
+import NavRoute from './NavRoute';
+import WorldBoundary from './WorldBoundary';
+import FPSControls, { OrbitDragControls } from './Controls';
+import { useGrassInteractor } from '../utils/grassInteractors';
+import { createDriveInput, driveDirection, readGamepadDrive, readKeyboardDrive } from '../utils/driveInput';
+import { drapePath, findPath } from '../utils/navGrid';
+import { CameraRig, DEFAULT_CAMERA_MODE } from '../utils/cameraRig';
+import { damp, followTarget, halfLifeFromLerp } from '../utils/damping';
+import { applySoftBoundary, clampToBounds } from '../utils/worldBounds';
+import { advanceJourney, beginJourneyFrame, endJourneyFrame, isJourneyReplaying, recordJourneyInput } from '../utils/journeySession';
+import { TourPlayer, createTourPose } from '../utils/tour';
 
-// Constants for smooth movement and camera behavior
-const SPHERE_MOVE_SPEED = 0.01; // How fast sphere moves to target
-const CAMERA_FOLLOW_SPEED = 0.01; // How fast camera follows sphere
-const CAMERA_DISTANCE = 5.0; // Distance camera stays behind sphere
-const CAMERA_HEIGHT_OFFSET = 1.2; // Height offset above surface
+// Constants for smooth movement (camera behaviour lives in utils/cameraRig)
+// Sphere motion toward its target (see utils/damping); the half-life matches
+// the old 0.01-per-frame lerp at 60 Hz
+const SPHERE_MOTION = {
+  halfLife: halfLifeFromLerp(0.01), // Seconds to close half the gap (~1.15)
+  maxSpeed: 12.0, // Units per second, reached when steering at far-away points
+  acceleration: 10.0, // Units per second squared
+};
+const CLICK_MAX_DRAG = 6; // Pixels a click may move before it counts as a camera drag instead
 const SPHERE_HEIGHT_OFFSET = 1.2; // Height of sphere above surface (changed to 1.2 as requested)
+const GRASS_BEND_RADIUS = 4.0; // Radius within which the sphere pushes grass aside
+
+// Keyboard / gamepad driving: the target is kept this far ahead of the sphere,
+// so the cruise speed is about lead * ln 2 / half-life (~4.8 units per second)
+const DRIVE_LEAD = 8.0;
+const DRIVE_BOOST_MULTIPLIER = 2.0;
+const DRIVE_COAST = 1.0; // Target lead left when input stops, for a short glide instead of a hard stop
+
+// Click-to-travel: the target rides this far ahead along the planned route
+const ROUTE_LOOKAHEAD = DRIVE_LEAD;
+const ROUTE_WAYPOINT_RADIUS = 1.5; // A waypoint counts as passed inside this distance
+const ROUTE_ARRIVE_RADIUS = 0.6; // The route ends once the sphere is this close to its end
+
+// Guided tour: the sphere glides to the start of the path first, then the tour takes over
+const TOUR_START_RADIUS = 1.0;
+
+// Portal ahead of the sphere looks out over this spot, at the same height above the ground
+const PORTAL_DESTINATION = new THREE.Vector3(-60, 0, 60);
+const PORTAL_SIZE = [10, 5];
+
+// Physics mode: the ball is pushed toward the target with impulses and rolls under gravity
+const PHYSICS_DRIVE_ACCELERATION = 14.0; // m/s^2 at full push
+const PHYSICS_FULL_PUSH_DISTANCE = 6.0; // Push eases off inside this distance to the target
+const PHYSICS_ARRIVE_RADIUS = 0.5; // No push once this close
+const PHYSICS_MAX_SPEED = 9.0; // Push fades out as horizontal speed toward the target nears this
+const PHYSICS_RESPAWN_DEPTH = -20; // Bodies that fall below this are dropped back in above the target
 
 // Reusable vectors to avoid object creation in render loop
 const tempVector = new THREE.Vector3();
-const cameraTargetPosition = new THREE.Vector3();
-const lookAtTarget = new THREE.Vector3();
-const raycaster = new THREE.Raycaster();
-const rayDirection = new THREE.Vector3(0, -1, 0);
+const driveVector = new THREE.Vector3();
+const keyboardInput = createDriveInput();
+const gamepadInput = createDriveInput();
+const touchInput = createDriveInput();
+const replayInput = createDriveInput(); // Drive input of the journey frame being replayed
+const replayPoint = new THREE.Vector3();
+const physicsPush = new THREE.Vector3();
+const moveTarget = new THREE.Vector3();
+const tourFrame = createTourPose();
 
 /**
  * MovingSphere Component
  * 
  * Features:
- * - Sphere that moves to raycasted positions on base mesh
- * - Smooth interpolation to target positions
- * - Camera follows behind sphere in XZ plane
- * - Camera maintains fixed height offset above surface
- * - Responds to onPointerMove events from base mesh
+ * - Sphere that moves to raycasted positions on base mesh, riding `terrain`
+ *   (utils/terrain) at a fixed height above the ground
+ * - Smooth, frame-rate independent approach to target positions (half-life,
+ *   top speed and acceleration in SPHERE_MOTION)
+ * - Camera rig with chase (behind the sphere in the XZ plane), orbit, top-down,
+ *   first-person and cinematic modes, blended when `cameraMode` changes
+ * - Responds to onPointerMove events from base mesh (mouse and pen; touch
+ *   arrives through the imperative handle from TouchControls)
+ * - WASD / arrow keys, gamepad and touch drag drive it relative to the camera
+ *   heading (shift or right trigger boosts); the latest active input source wins
+ * - Click-to-travel: navigateTo plans an A* route over `navGrid` around steep
+ *   ground, follows it and draws it on the terrain; any drive input cancels it
+ * - Touch handle: navigateTo for taps, setTouchDrive for drags, zoomCamera for
+ *   pinches and orbitCamera for two-finger twists
+ * - Hover and click steering pause in first person, where the mouse looks around
+ * - Left-drag orbits the camera, except while `editing` grass, where the
+ *   drag paints instead
+ * - Registers itself as a grass interactor so grass bends around it
+ * - World bounds: targets are held inside `bounds` (utils/worldBounds), the
+ *   sphere slows and is pushed back near the edge, and the boundary glows
+ * - Journeys (utils/journeySession): recording saves the sphere and camera
+ *   state once, then every frame's length and input (pointer, routes, drive,
+ *   camera); playback restores that state and runs the recorded frames
+ *   through the same step as live ones, with live input ignored. Tours are
+ *   not recorded, and Rapier steps on its own clock, so physics replays can
+ *   drift from the original
+ * - Guided tour: with a `tour` (utils/tour) the sphere glides to its start,
+ *   follows the authored path with eased speed and dwell stops, and the
+ *   camera rides the tour's camera spline if it has one; captions go out
+ *   through onTourCaption and any input calls onTourEnd to hand back control
+ * - Portal plane 10 units ahead of the sphere, looking out over
+ *   PORTAL_DESTINATION (see PortalPlane)
+ * - Physics mode: with a Rapier body in `physicsBodyRef` the sphere rolls
+ *   under gravity and is pushed toward the same target by impulses
  */
-const MovingSphere = React.forwardRef(({ onSphereMove, ribbonMode = 'both' }, ref) => {
+const MovingSphere = React.forwardRef(({
+  onSphereMove,
+  ribbonMode = 'both',
+  physicsBodyRef = null,
+  navGrid = null,
+  terrain = null,
+  bounds = null,
+  cameraMode = DEFAULT_CAMERA_MODE,
+  editing = false,
+  tour = null,
+  onTourCaption = null,
+  onTourEnd = null,
+}, ref) => {
   const sphereRef = useRef();
-  const { camera, scene } = useThree();
+  const { camera, gl } = useThree();
+  const rig = useMemo(() => new CameraRig(), []);
+  const [, getKeys] = useKeyboardControls();
+
+  useGrassInteractor(sphereRef, { radius: GRASS_BEND_RADIUS, strength: 1 });
   
   // State for target positions
   const sphereTargetRef = useRef(new THREE.Vector3(0, SPHERE_HEIGHT_OFFSET, 0)); // Start at 1.2 height
-  const cameraOffsetRef = useRef(new THREE.Vector3(-CAMERA_DISTANCE, 0, 0));
   const isInitializedRef = useRef(false);
-  const baseMeshRef = useRef(null);
   const previousPositionRef = useRef(new THREE.Vector3(0, SPHERE_HEIGHT_OFFSET, 0));
   const movementVectorRef = useRef(new THREE.Vector3(0, 0, 1)); // Default forward direction
+  const sphereVelocityRef = useRef(new THREE.Vector3()); // Units per second in the XZ plane
+  const driveSourceRef = useRef(null); // 'keyboard', 'gamepad' or 'touch' while driving, null when pointer steers
+  const routeRef = useRef(null); // World waypoints of the route being followed
+  const routeIndexRef = useRef(0); // Next waypoint
+  const [routePoints, setRoutePoints] = useState(null); // Draped copy of the route for drawing
   
   // State for portal plane
   const [planePosition, setPlanePosition] = useState([0, 1.2, 3]);
   const [planeRotation, setPlaneRotation] = useState([0, 0, 0]);
+  const portalDestination = useMemo(() => {
+    const exit = PORTAL_DESTINATION.clone();
+    if (bounds) clampToBounds(bounds, exit);
+    const ground = terrain ? Math.max(0, terrain.heightAt(exit.x, exit.z)) : 0;
+    return { position: [exit.x, ground + SPHERE_HEIGHT_OFFSET, exit.z] };
+  }, [terrain, bounds]);
 
   // Initialize sphere and camera positions
   const initializePositions = useCallback(() => {
@@ -50,93 +151,368 @@ const MovingSphere = React.forwardRef(({ onSphereMove, ribbonMode = 'both' }, re
       sphereRef.current.position.copy(sphereTargetRef.current);
       
       // Set initial camera position behind sphere
-      cameraTargetPosition.copy(sphereTargetRef.current);
-      cameraTargetPosition.add(cameraOffsetRef.current);
-      cameraTargetPosition.y += CAMERA_HEIGHT_OFFSET;
-      camera.position.copy(cameraTargetPosition);
+      rig.reset(camera, sphereTargetRef.current);
       
       isInitializedRef.current = true;
     }
-  }, [camera]);
+  }, [camera, rig]);
 
-  // Handle pointer move events from base mesh
-  const handlePointerMove = useCallback((event) => {
-    if (!event.intersections || event.intersections.length === 0) return;
-    
-    const intersection = event.intersections[0];
-    const hitPoint = intersection.point;
-    
+  // The camera keeps clear of the same ground the sphere rides on
+  useEffect(() => {
+    rig.setTerrain(terrain);
+  }, [rig, terrain]);
+
+  useEffect(() => {
+    rig.setBounds(bounds);
+  }, [rig, bounds]);
+
+  // Camera input goes through the journey session: recorded while recording, ignored during playback
+  useEffect(() => {
+    rig.inputFilter = recordJourneyInput;
+    return () => {
+      rig.inputFilter = null;
+    };
+  }, [rig]);
+
+  // Guided tour state; a new tour (or none) releases the camera and clears the caption
+  const tourPlayer = useMemo(() => (tour ? new TourPlayer(tour, terrain) : null), [tour, terrain]);
+  const tourStartedRef = useRef(false);
+  const tourCaptionRef = useRef(null);
+  useEffect(() => {
+    tourStartedRef.current = false;
+    return () => {
+      rig.releaseScript(camera);
+      if (tourCaptionRef.current) {
+        tourCaptionRef.current = null;
+        onTourCaption?.(null);
+      }
+    };
+  }, [tourPlayer, rig, camera, onTourCaption]);
+
+  // Any input hands control back from the tour
+  const endTour = useCallback(() => {
+    if (tourPlayer) onTourEnd?.();
+  }, [tourPlayer, onTourEnd]);
+
+  useEffect(() => {
+    if (!tourPlayer) return undefined;
+    const canvas = gl.domElement;
+    canvas.addEventListener('pointerdown', endTour);
+    canvas.addEventListener('wheel', endTour, { passive: true });
+    return () => {
+      canvas.removeEventListener('pointerdown', endTour);
+      canvas.removeEventListener('wheel', endTour);
+    };
+  }, [gl, tourPlayer, endTour]);
+
+  // Send the sphere toward a point on the ground and swing the camera round behind it
+  const travelTo = useCallback((hitPoint) => {
     // Update sphere target position - set X and Z coordinates
     sphereTargetRef.current.x = hitPoint.x;
     sphereTargetRef.current.z = hitPoint.z;
-    // Set initial target Y - it will be refined by raycast in the frame loop
+    // Set initial target Y - it will be refined from the terrain in the frame loop
     // Use the hit point Y plus offset as a good starting estimate
     sphereTargetRef.current.y = hitPoint.y + SPHERE_HEIGHT_OFFSET;
     
     // Calculate direction from intersection point to current camera position
     // This helps maintain camera behind sphere relative to movement direction
-    tempVector.subVectors(camera.position, hitPoint).normalize();
+    tempVector.subVectors(camera.position, hitPoint);
     tempVector.y = 0; // Keep in XZ plane
-    tempVector.multiplyScalar(CAMERA_DISTANCE);
     
     // Update camera offset to stay behind sphere
-    cameraOffsetRef.current.copy(tempVector);
+    rig.setChaseDirection(tempVector);
     
     // Don't notify parent here - wait until sphere actually moves in useFrame
     // This prevents grass bending at cursor position instead of sphere position
-  }, [camera, onSphereMove]);
+  }, [camera, rig]);
+
+  // Handle pointer move events from base mesh
+  const handlePointerMove = useCallback((event) => {
+    if (!event.intersections || event.intersections.length === 0) return;
+    // Touches are gestures (see TouchControls), not hover; in first person the mouse looks around
+    if (event.pointerType === 'touch' || rig.mode === 'firstperson') return;
+    // Left-button drags turn the camera (see OrbitDragControls)
+    if (event.buttons & 1) return;
+    // Keys, a stick, a planned route or a journey replay are steering; the pointer takes over again once they finish
+    if (driveSourceRef.current || routeRef.current || isJourneyReplaying()) return;
+
+    // Browsers send a move without movement when the page changes under a still pointer (starting the tour does); that is not input
+    if (tourPlayer) {
+      const { movementX, movementY } = event.nativeEvent;
+      if (movementX === 0 && movementY === 0) return;
+      endTour();
+    }
+    const { point } = event.intersections[0];
+    recordJourneyInput('travel', [point.x, point.y, point.z]);
+    travelTo(point);
+  }, [travelTo, rig, tourPlayer, endTour]);
+
+  const clearRoute = useCallback(() => {
+    routeRef.current = null;
+    setRoutePoints(null);
+  }, []);
 
-  // Expose the pointer move handler to parent components
+  // Plan a route to a point on the ground; unreachable points leave the sphere where it is
+  const planRoute = useCallback((point) => {
+    const goal = bounds ? clampToBounds(bounds, point.clone()) : point; // Points past the edge stop at the limit
+    if (!navGrid) {
+      travelTo(goal);
+      return;
+    }
+
+    const waypoints = findPath(navGrid, sphereRef.current.position, goal);
+    if (!waypoints) return;
+    travelTo(goal); // Same camera swing as direct travel; the route takes over the target below
+    routeRef.current = waypoints;
+    routeIndexRef.current = 0;
+    setRoutePoints(drapePath(navGrid, sphereRef.current.position, waypoints));
+  }, [navGrid, bounds, travelTo]);
+
+  const navigateTo = useCallback((point) => {
+    if (!sphereRef.current || isJourneyReplaying()) return;
+    endTour();
+    recordJourneyInput('navigate', [point.x, point.y, point.z]);
+    planRoute(point);
+  }, [planRoute, endTour]);
+
+  // Mouse click on the ground plans a route there, unless the press was a camera drag
+  const handleClick = useCallback((event) => {
+    if (event.nativeEvent.pointerType === 'touch' || rig.mode === 'firstperson') return;
+    if (event.delta > CLICK_MAX_DRAG) return;
+    navigateTo(event.point);
+  }, [navigateTo, rig]);
+
+  // Keep the target ROUTE_LOOKAHEAD ahead along the route, so corners are taken at cruise speed
+  const followRoute = useCallback(() => {
+    const route = routeRef.current;
+    const position = sphereRef.current.position;
+    const horizontalDistance = (point) => Math.hypot(point.x - position.x, point.z - position.z);
+
+    while (routeIndexRef.current < route.length - 1
+      && horizontalDistance(route[routeIndexRef.current]) < ROUTE_WAYPOINT_RADIUS) {
+      routeIndexRef.current++;
+    }
+    const end = route[route.length - 1];
+    if (routeIndexRef.current === route.length - 1 && horizontalDistance(end) < ROUTE_ARRIVE_RADIUS) {
+      clearRoute();
+      return;
+    }
+
+    let remaining = ROUTE_LOOKAHEAD;
+    let from = position;
+    sphereTargetRef.current.x = end.x;
+    sphereTargetRef.current.z = end.z;
+    for (let i = routeIndexRef.current; i < route.length; i++) {
+      const to = route[i];
+      const length = Math.hypot(to.x - from.x, to.z - from.z);
+      if (length >= remaining) {
+        const t = remaining / length;
+        sphereTargetRef.current.x = from.x + (to.x - from.x) * t;
+        sphereTargetRef.current.z = from.z + (to.z - from.z) * t;
+        break;
+      }
+      remaining -= length;
+      from = to;
+    }
+  }, [clearRoute]);
+
+  // Touch drag acts as a virtual stick: x right, y forward, in [-1, 1]; null releases it
+  const setTouchDrive = useCallback((stick) => {
+    touchInput.x = stick ? stick.x : 0;
+    touchInput.y = stick ? stick.y : 0;
+    touchInput.boost = false;
+    touchInput.source = touchInput.x !== 0 || touchInput.y !== 0 ? 'touch' : null;
+  }, []);
+
+  // Pinch: spreading the fingers (scale > 1) brings the camera closer
+  const zoomCamera = useCallback((scale) => {
+    endTour();
+    rig.zoom(scale);
+  }, [rig, endTour]);
+
+  // Two-finger twist orbits the camera around the sphere
+  const orbitCamera = useCallback((angle) => {
+    endTour();
+    rig.orbit(angle);
+  }, [rig, endTour]);
+
+  // Expose pointer and touch handlers to parent components
   React.useImperativeHandle(ref, () => ({
-    handlePointerMove
-  }));
+    handlePointerMove,
+    handleClick,
+    travelTo,
+    navigateTo,
+    setTouchDrive,
+    zoomCamera,
+    orbitCamera
+  }), [handlePointerMove, handleClick, travelTo, navigateTo, setTouchDrive, zoomCamera, orbitCamera]);
 
-  // Animation loop for smooth movement
-  useFrame((state, delta) => {
-    if (!sphereRef.current || !isInitializedRef.current) {
-      initializePositions();
+  // Keyboard and gamepad move the target ahead of the sphere along the camera heading
+  const applyDriveInput = useCallback((replaying) => {
+    let input = replayInput;
+    if (!replaying) {
+      const gamepad = readGamepadDrive(gamepadInput);
+      const keyboard = readKeyboardDrive(getKeys(), keyboardInput);
+      // Prefer the source that is being used; keyboard wins a tie, then gamepad
+      input = keyboard.source ? keyboard : gamepad.source ? gamepad : touchInput;
+      recordJourneyInput('drive', [input.x, input.y, input.boost, input.source]);
+    }
+
+    if (!input.source) {
+      if (driveSourceRef.current) {
+        // Input released: glide a little further along the last direction, then stop
+        sphereTargetRef.current.copy(sphereRef.current.position).addScaledVector(movementVectorRef.current, DRIVE_COAST);
+        driveSourceRef.current = null;
+      }
       return;
     }
 
-    // Find base mesh if not cached - look for the Ground mesh specifically
-    if (!baseMeshRef.current && scene) {
-      scene.traverse((child) => {
-        if (child.isMesh && child.geometry && child.geometry.type === 'BufferGeometry' && child.geometry.attributes) {
-          // Check if geometry has position attributes (required for raycasting)
-          if (!child.geometry.attributes.position) return;
-          
-          // Look for the first non-grass, non-instanced mesh which should be our ground
-          // Also make sure it's not a ribbon or particle system
-          const childName = child.name || '';
-          const isNotGrass = !childName.includes('grass');
-          const isNotInstanced = !childName.includes('instance');
-          const isNotRibbon = !childName.includes('ribbon') && !childName.includes('trail');
-          const isNotParticle = !childName.includes('particle') && !childName.includes('point');
-          
-          if (isNotGrass && isNotInstanced && isNotRibbon && isNotParticle) {
-            // Found base mesh (no logging for performance)
-            baseMeshRef.current = child;
-            return; // Stop searching once we find it
-          }
-        }
-      });
+    driveSourceRef.current = input.source;
+    if (!replaying) endTour();
+    if (routeRef.current) clearRoute(); // Taking the controls abandons the planned route
+    driveDirection(input, camera, driveVector);
+    const lead = DRIVE_LEAD * (input.boost ? DRIVE_BOOST_MULTIPLIER : 1);
+    sphereTargetRef.current.x = sphereRef.current.position.x + driveVector.x * lead;
+    sphereTargetRef.current.z = sphereRef.current.position.z + driveVector.z * lead;
+
+    // Camera swings in behind when driving forwards; strafing and reversing keep the current view
+    if (input.y > 0) {
+      rig.setChaseDirection(tempVector.copy(driveVector).negate());
     }
+  }, [camera, getKeys, clearRoute, rig, endTour]);
 
-    // Calculate the next XZ position for the sphere
-    const nextX = THREE.MathUtils.lerp(
-      sphereRef.current.position.x, 
-      sphereTargetRef.current.x, 
-      SPHERE_MOVE_SPEED
-    );
-    const nextZ = THREE.MathUtils.lerp(
-      sphereRef.current.position.z, 
-      sphereTargetRef.current.z, 
-      SPHERE_MOVE_SPEED
-    );
-
-    // First, update sphere XZ position
-    sphereRef.current.position.x = nextX;
-    sphereRef.current.position.z = nextZ;
+  // Guided tour step: null while the sphere is still gliding to the start
+  const advanceTour = useCallback((delta) => {
+    if (!tourStartedRef.current) {
+      const { start } = tourPlayer;
+      const position = sphereRef.current.position;
+      sphereTargetRef.current.x = start.x;
+      sphereTargetRef.current.z = start.z;
+      if (Math.hypot(start.x - position.x, start.z - position.z) > TOUR_START_RADIUS) return null;
+      tourStartedRef.current = true;
+    }
+
+    const pose = tourPlayer.advance(delta, tourFrame);
+    if (pose.caption !== tourCaptionRef.current) {
+      tourCaptionRef.current = pose.caption;
+      onTourCaption?.(pose.caption);
+    }
+    if (pose.finished) onTourEnd?.();
+    return pose;
+  }, [tourPlayer, onTourCaption, onTourEnd]);
+
+  // Physics mode: push the ball toward the target and mirror the body onto the sphere mesh
+  const applyPhysicsDrive = useCallback((body, delta) => {
+    const target = sphereTargetRef.current;
+    let translation = body.translation();
+
+    if (translation.y < PHYSICS_RESPAWN_DEPTH) {
+      body.setTranslation({ x: target.x, y: target.y + 5, z: target.z }, true);
+      body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+      translation = body.translation();
+    }
+
+    physicsPush.set(target.x - translation.x, 0, target.z - translation.z);
+    const distance = physicsPush.length();
+    if (distance > PHYSICS_ARRIVE_RADIUS) {
+      physicsPush.divideScalar(distance);
+      const velocity = body.linvel();
+      const speedToward = velocity.x * physicsPush.x + velocity.z * physicsPush.z;
+      const ease = Math.min(distance / PHYSICS_FULL_PUSH_DISTANCE, 1);
+      const headroom = THREE.MathUtils.clamp(1 - speedToward / PHYSICS_MAX_SPEED, 0, 1);
+      physicsPush.multiplyScalar(PHYSICS_DRIVE_ACCELERATION * ease * headroom * body.mass() * Math.min(delta, 0.05));
+      body.applyImpulse(physicsPush, true);
+    }
+
+    const rotation = body.rotation();
+    sphereRef.current.position.set(translation.x, translation.y, translation.z);
+    sphereRef.current.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+  }, []);
+
+  // Everything a journey needs to carry on from this frame, as plain JSON
+  const saveJourneyStart = useCallback(() => {
+    const body = physicsBodyRef?.current;
+    return {
+      position: sphereRef.current.position.toArray(),
+      target: sphereTargetRef.current.toArray(),
+      velocity: sphereVelocityRef.current.toArray(),
+      movement: movementVectorRef.current.toArray(),
+      driveSource: driveSourceRef.current,
+      route: routeRef.current && { waypoints: [...routeRef.current], index: routeIndexRef.current },
+      body: body ? { translation: { ...body.translation() }, linvel: { ...body.linvel() } } : null,
+      rig: rig.saveState(camera),
+    };
+  }, [physicsBodyRef, rig, camera]);
+
+  const restoreJourneyStart = useCallback((start) => {
+    sphereRef.current.position.fromArray(start.position);
+    sphereTargetRef.current.fromArray(start.target);
+    sphereVelocityRef.current.fromArray(start.velocity);
+    movementVectorRef.current.fromArray(start.movement);
+    driveSourceRef.current = start.driveSource;
+    Object.assign(replayInput, createDriveInput());
+    if (start.route && navGrid) {
+      routeRef.current = start.route.waypoints;
+      routeIndexRef.current = start.route.index;
+      setRoutePoints(drapePath(navGrid, sphereRef.current.position, start.route.waypoints.slice(start.route.index)));
+    } else {
+      clearRoute();
+    }
+    const body = physicsBodyRef?.current;
+    if (body) {
+      body.setTranslation(start.body?.translation ?? sphereRef.current.position, true);
+      body.setLinvel(start.body?.linvel ?? { x: 0, y: 0, z: 0 }, true);
+    }
+    rig.restoreState(start.rig, camera);
+  }, [navGrid, clearRoute, physicsBodyRef, rig, camera]);
+
+  // Input recorded for a journey frame, fed back the way it arrived live
+  const applyJourneyInput = useCallback(({ type, args }) => {
+    if (type === 'travel') {
+      travelTo(replayPoint.fromArray(args));
+    } else if (type === 'navigate') {
+      planRoute(replayPoint.fromArray(args));
+    } else if (type === 'drive') {
+      const [x, y, boost, source] = args;
+      Object.assign(replayInput, { x, y, boost, source });
+    } else {
+      rig.applyInput(type, args);
+    }
+  }, [travelTo, planRoute, rig]);
+
+  // One frame of motion, from live input or replayed from a journey
+  const stepSphere = useCallback((delta, replaying) => {
+    const physicsBody = physicsBodyRef?.current;
+    applyDriveInput(replaying);
+    const tourPose = tourPlayer && !replaying ? advanceTour(delta) : null;
+
+    if (tourPose) {
+      // Guided tour: ride the path, heading for the point just ahead
+      const position = sphereRef.current.position;
+      sphereTargetRef.current.x = tourPose.ahead.x;
+      sphereTargetRef.current.z = tourPose.ahead.z;
+      position.x = tourPose.position.x;
+      position.z = tourPose.position.z;
+      sphereVelocityRef.current.set(0, 0, 0);
+      if (physicsBody) {
+        if (terrain) position.y = terrain.heightAt(position.x, position.z) + SPHERE_HEIGHT_OFFSET;
+        physicsBody.setTranslation(position, true);
+        physicsBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
+      }
+    } else {
+      if (routeRef.current) followRoute();
+      if (bounds) clampToBounds(bounds, sphereTargetRef.current);
+
+      if (physicsBody) {
+        applyPhysicsDrive(physicsBody, delta);
+        sphereVelocityRef.current.set(0, 0, 0); // Start from rest when physics is switched off
+      } else {
+        // Move the sphere toward the target in XZ, eased and limited to its top speed and acceleration
+        moveTarget.set(sphereTargetRef.current.x, sphereRef.current.position.y, sphereTargetRef.current.z);
+        followTarget(sphereRef.current.position, sphereVelocityRef.current, moveTarget, SPHERE_MOTION, delta);
+        if (bounds) applySoftBoundary(bounds, sphereRef.current.position, sphereVelocityRef.current, delta);
+      }
+    }
 
     // Calculate plane position based on current sphere position for this frame
     const currentPos = sphereRef.current.position.clone();
@@ -158,75 +534,17 @@ const MovingSphere = React.forwardRef(({ onSphereMove, ribbonMode = 'both' }, re
     // Position the plane 3 units in front of the sphere (using current XZ, but we'll calculate Y)
     const planeXZ = currentPos.clone().add(frontVector.multiplyScalar(10));
     
-    // Calculate plane Y position based on ground at plane XZ location
-    let planeYHeight = 0; // Default ground level fallback
-    
-    if (baseMeshRef.current && baseMeshRef.current.geometry && baseMeshRef.current.geometry.attributes) {
-      // Additional safety check for geometry attributes
-      if (baseMeshRef.current.geometry.attributes.position) {
-        try {
-          // Raycast down from plane position to find ground height there
-          const rayStartPos = new THREE.Vector3(planeXZ.x, 200, planeXZ.z);
-          raycaster.set(rayStartPos, rayDirection);
-          
-          const intersects = raycaster.intersectObject(baseMeshRef.current, true);
-          
-          if (intersects.length > 0) {
-            planeYHeight = Math.max(0, intersects[0].point.y); // Ensure never below Y=0
-          } else {
-            // Raycast failed - try using sphere's current ground level as fallback
-            const sphereRayStart = new THREE.Vector3(sphereRef.current.position.x, 200, sphereRef.current.position.z);
-            raycaster.set(sphereRayStart, rayDirection);
-            const sphereIntersects = raycaster.intersectObject(baseMeshRef.current, true);
-            
-            if (sphereIntersects.length > 0) {
-              planeYHeight = Math.max(0, sphereIntersects[0].point.y);
-            }
-          }
-        } catch (error) {
-          // Silently handle raycast errors and use ground level fallback
-          planeYHeight = 0;
-        }
-      }
-    }
-    
-    // Calculate target sphere Y position based on ground at sphere location
-    let targetSphereY = SPHERE_HEIGHT_OFFSET; // Default fallback
+    // Ground under the plane and the sphere (terrain clamps points off the ground to its edge)
+    const planeYHeight = terrain ? Math.max(0, terrain.heightAt(planeXZ.x, planeXZ.z)) : 0; // Never below Y=0
+    const targetSphereY = terrain
+      ? Math.max(0, terrain.heightAt(sphereRef.current.position.x, sphereRef.current.position.z)) + SPHERE_HEIGHT_OFFSET
+      : damp(sphereRef.current.position.y, sphereTargetRef.current.y, SPHERE_MOTION.halfLife, delta); // Not baked yet
     
-    if (baseMeshRef.current && baseMeshRef.current.geometry && baseMeshRef.current.geometry.attributes) {
-      // Additional safety check for geometry attributes
-      if (baseMeshRef.current.geometry.attributes.position) {
-        try {
-          // Raycast from sphere's current XZ position to find ground height
-          const sphereRayStart = new THREE.Vector3(sphereRef.current.position.x, 200, sphereRef.current.position.z);
-          raycaster.set(sphereRayStart, rayDirection);
-          const sphereIntersects = raycaster.intersectObject(baseMeshRef.current, true);
-          
-          if (sphereIntersects.length > 0) {
-            const groundHeight = Math.max(0, sphereIntersects[0].point.y);
-            targetSphereY = groundHeight + SPHERE_HEIGHT_OFFSET;
-          } else {
-            // Fallback: smooth interpolation to target if raycast fails
-            targetSphereY = THREE.MathUtils.lerp(
-              sphereRef.current.position.y,
-              sphereTargetRef.current.y,
-              SPHERE_MOVE_SPEED
-            );
-          }
-        } catch (error) {
-          // Silently handle raycast errors and use fallback
-          targetSphereY = THREE.MathUtils.lerp(
-            sphereRef.current.position.y,
-            sphereTargetRef.current.y,
-            SPHERE_MOVE_SPEED
-          );
-        }
-      }
+    // Set sphere Y position directly to maintain precise 1.2 unit offset (the body owns it in physics mode)
+    if (!physicsBody) {
+      sphereRef.current.position.y = Math.max(1.2, targetSphereY);
     }
     
-    // Set sphere Y position directly to maintain precise 1.2 unit offset
-    sphereRef.current.position.y = Math.max(1.2, targetSphereY);
-    
     // Update plane position - position it 1.2 units above ground at its XZ location
     const newPlanePosition = new THREE.Vector3(planeXZ.x, planeYHeight + 1.2, planeXZ.z);
     setPlanePosition([newPlanePosition.x, newPlanePosition.y, newPlanePosition.z]);
@@ -243,21 +561,40 @@ const MovingSphere = React.forwardRef(({ onSphereMove, ribbonMode = 'both' }, re
       onSphereMove(sphereRef.current.position.clone());
     }
 
-    // Calculate camera target position
-    cameraTargetPosition.copy(sphereRef.current.position);
-    cameraTargetPosition.add(cameraOffsetRef.current);
-    cameraTargetPosition.y = sphereRef.current.position.y + CAMERA_HEIGHT_OFFSET;
-
-    // Smooth camera movement
-    camera.position.lerp(cameraTargetPosition, CAMERA_FOLLOW_SPEED);
-
-    // Make camera look at sphere
-    lookAtTarget.copy(sphereRef.current.position);
-    lookAtTarget.y += 0.5; // Look slightly above sphere center
-    camera.lookAt(lookAtTarget);
+    // Camera follows in the selected mode
+    if (tourPose?.camera) rig.setScript(camera, tourPose.camera, sphereRef.current.position);
+    rig.update(camera, sphereRef.current.position, movementVectorRef.current, delta);
 
     // console.log({sphereTargetRef: sphereTargetRef.current.x})
     // No floating animation - maintain exact 1.2 height above ground
+  }, [physicsBodyRef, applyDriveInput, tourPlayer, advanceTour, terrain, followRoute, bounds, applyPhysicsDrive, onSphereMove, rig, camera]);
+
+  // Animation loop for smooth movement
+  useFrame((state, delta) => {
+    if (!sphereRef.current || !isInitializedRef.current) {
+      initializePositions();
+      return;
+    }
+
+    const replay = advanceJourney(delta);
+    if (replay) {
+      // Journey playback: restore the start state if asked, then run the frames due
+      if (replay.start) restoreJourneyStart(replay.start);
+      replay.frames.forEach((frame) => {
+        frame.inputs.forEach(applyJourneyInput);
+        if (frame.modes.cameraMode) {
+          rig.setMode(frame.modes.cameraMode, camera, sphereRef.current.position, movementVectorRef.current);
+        }
+        stepSphere(frame.delta, true);
+      });
+      return;
+    }
+
+    beginJourneyFrame(saveJourneyStart);
+    // Blend the camera into the selected mode
+    rig.setMode(cameraMode, camera, sphereRef.current.position, movementVectorRef.current);
+    stepSphere(delta, false);
+    endJourneyFrame(delta);
   });
 
   // Memoized sphere geometry and material for performance
@@ -279,10 +616,15 @@ const MovingSphere = React.forwardRef(({ onSphereMove, ribbonMode = 'both' }, re
         castShadow
         receiveShadow
       />
+      <NavRoute points={routePoints} />
+      <WorldBoundary bounds={bounds} sphereRef={sphereRef} />
+      <FPSControls rig={rig} enabled={cameraMode === 'firstperson'} />
+      <OrbitDragControls rig={rig} enabled={cameraMode !== 'firstperson' && !editing} />
       <PortalPlane 
         position={planePosition}
         rotation={planeRotation}
-        size={[10,5]}
+        size={PORTAL_SIZE}
+        destination={portalDestination}
       />
       <OptimizedRibbons 
         sphereRef={sphereRef}
@@ -0,0 +1,34 @@
+import React, { memo } from 'react';
+import { Line } from '@react-three/drei';
+
+const ROUTE_COLOR = '#ffe27a';
+const ROUTE_WIDTH = 3; // Screen pixels
+
+/**
+ * NavRoute Component
+ *
+ * Features:
+ * - Draws the planned click-to-travel route as a line draped on the terrain
+ * - Points come from drapePath, already lifted just above the ground
+ * - Transparent and drawn late without depth writes, so it blends over the ground
+ */
+const NavRoute = memo(({ points }) => {
+  if (!points || points.length < 2) return null;
+
+  return (
+    <Line
+      name="nav-route"
+      points={points}
+      color={ROUTE_COLOR}
+      lineWidth={ROUTE_WIDTH}
+      transparent
+      opacity={0.85}
+      depthWrite={false}
+      renderOrder={5}
+    />
+  );
+});
+
+NavRoute.displayName = 'NavRoute';
+
+export default NavRoute;
@@ -1,6 +1,7 @@
 import React, { useRef, useMemo, useEffect, useCallback } from 'react';
 import * as THREE from 'three';
 import { useFrame } from '@react-three/fiber';
+import { sampleWind } from '../utils/wind';
 
 // Performance-optimized constants
 const RIBBON_COUNT = 4; // Four corner ribbons: top-right, top-left, bottom-left, bottom-right
@@ -9,13 +10,16 @@ const RIBBON_WIDTH = 0.25;
 const SPAWN_DISTANCE = 0.8; // Balanced distance from sphere center
 const TRAIL_LIFETIME = 3500; // Increased for longer ribbons
 const MOVEMENT_THRESHOLD = 0.03; // Increased to reduce updates
-const UPDATE_FREQUENCY = 3; // Update every 3rd frame for 60fps target
+const REFRESH_INTERVAL = 0.05; // Seconds between idle geometry refreshes, whatever the frame rate
+const RIBBON_WIND_DRIFT = 0.6; // World units per unit of wind push, per second of trail age
 
 // Pre-allocated objects to avoid garbage collection
 const tempVector3 = new THREE.Vector3();
 const tempVector3_2 = new THREE.Vector3();
 const tempVector3_3 = new THREE.Vector3();
 const tempColor = new THREE.Color();
+const windSample = { x: 0, z: 0 };
+const nextWindSample = { x: 0, z: 0 };
 
 /**
  * Heavily Optimized Ribbon System
@@ -23,7 +27,7 @@ const tempColor = new THREE.Color();
  * Performance optimizations:
  * - Single ribbon system replaces 3 separate ones
  * - Geometry pooling prevents constant create/dispose cycles
- * - Frame-rate aware updates (every 3rd frame)
+ * - Time-based refresh (20 per second) instead of every Nth frame
  * - Pre-allocated objects reduce garbage collection
  * - Simplified geometry creation
  * - Removed expensive operations like computeVertexNormals()
@@ -37,7 +41,7 @@ const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both' }) => {
   const trailHistory = useRef([]);
   const lastPosition = useRef(new THREE.Vector3());
   const lastVelocity = useRef(new THREE.Vector3());
-  const frameCounter = useRef(0);
+  const sinceRefresh = useRef(0);
   
   // Pre-allocated geometry buffers for performance (updated for longer ribbons)
   const geometryBuffers = useRef({
@@ -98,21 +102,25 @@ const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both' }) => {
   }, []);
 
   // Optimized trail position tracking
-  const updateTrailHistory = useCallback((newPosition, delta) => {
+  const updateTrailHistory = useCallback((newPosition) => {
     if (!newPosition) return false;
     
     const distance = newPosition.distanceTo(lastPosition.current);
     if (distance < MOVEMENT_THRESHOLD) return false;
 
-    // Calculate velocity efficiently
+    // Velocity over the time since the last trail point - the movement may
+    // have built up over several frames below the threshold
+    const now = performance.now();
+    const lastPoint = trailHistory.current[0];
+    const elapsed = lastPoint ? (now - lastPoint.timestamp) / 1000 : 0;
     tempVector3.subVectors(newPosition, lastPosition.current);
-    if (delta > 0) tempVector3.divideScalar(delta);
+    if (elapsed > 0) tempVector3.divideScalar(elapsed);
     
     // Add new trail point
     trailHistory.current.unshift({
       position: newPosition.clone(),
       velocity: tempVector3.clone(),
-      timestamp: performance.now()
+      timestamp: now
     });
     
     // Trail updated successfully
@@ -228,6 +236,16 @@ const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both' }) => {
       const nextSpawnOffset = calculateSpawnOffset(nextPoint.velocity, ribbonIndex);
       tempVector3_2.copy(nextPoint.position).add(nextSpawnOffset);
 
+      // Older trail points have drifted further downwind
+      const drift = (age / 1000) * RIBBON_WIND_DRIFT;
+      const nextDrift = ((currentTime - nextPoint.timestamp) / 1000) * RIBBON_WIND_DRIFT;
+      sampleWind(point.position.x, point.position.z, undefined, windSample);
+      sampleWind(nextPoint.position.x, nextPoint.position.z, undefined, nextWindSample);
+      tempVector3.x += windSample.x * drift;
+      tempVector3.z += windSample.z * drift;
+      tempVector3_2.x += nextWindSample.x * nextDrift;
+      tempVector3_2.z += nextWindSample.z * nextDrift;
+
       // Calculate direction and width vector efficiently
       tempVector3_3.subVectors(tempVector3_2, tempVector3).normalize();
       
@@ -332,13 +350,14 @@ const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both' }) => {
       return;
     }
 
-    frameCounter.current++;
+    sinceRefresh.current += delta;
     
     // Update trail history every frame for smooth movement tracking
-    const trailUpdated = updateTrailHistory(currentSpherePosition, delta);
+    const trailUpdated = updateTrailHistory(currentSpherePosition);
     
     // Update geometries less frequently for performance
-    if (frameCounter.current % UPDATE_FREQUENCY === 0 || trailUpdated) {
+    if (sinceRefresh.current >= REFRESH_INTERVAL || trailUpdated) {
+      sinceRefresh.current = 0;
       // Clean old trail points
       const currentTime = performance.now();
       const originalLength = trailHistory.current.length;
@@ -1,69 +1,158 @@
-import React, { useMemo } from 'react';
+import React, { useEffect, useMemo, useRef } from 'react';
 import * as THREE from 'three';
+import { useFrame, useThree } from '@react-three/fiber';
+import { clipToPortal, isBehindPortal, linkPortalCamera } from '../utils/portal';
 
-const PortalPlane = ({ position, rotation, size = [2, 2] }) => {
-  // Simple plane geometry and material without portal rendering
-  const planeGeometry = useMemo(() => new THREE.PlaneGeometry(...size), [size]);
-  const planeMaterial = useMemo(() => {
-    return new THREE.MeshBasicMaterial({
-      color: 0x888888, // Simple gray color
-      transparent: true,
-      opacity: 0.5,
-      side: THREE.DoubleSide,
-    });
-  }, []);
-
-  // Red border geometry and material for debugging (keeping this for visibility)
-  const borderGeometry = useMemo(() => {
-    const shape = new THREE.Shape();
-    const w = size[0] / 2;
-    const h = size[1] / 2;
-    const borderWidth = 0.05;
-    
-    // Outer rectangle
-    shape.moveTo(-w, -h);
-    shape.lineTo(w, -h);
-    shape.lineTo(w, h);
-    shape.lineTo(-w, h);
-    shape.lineTo(-w, -h);
-    
-    // Inner rectangle (hole)
-    const hole = new THREE.Path();
-    hole.moveTo(-w + borderWidth, -h + borderWidth);
-    hole.lineTo(-w + borderWidth, h - borderWidth);
-    hole.lineTo(w - borderWidth, h - borderWidth);
-    hole.lineTo(w - borderWidth, -h + borderWidth);
-    hole.lineTo(-w + borderWidth, -h + borderWidth);
-    shape.holes.push(hole);
-    
-    return new THREE.ShapeGeometry(shape);
-  }, [size]);
-
-  const borderMaterial = useMemo(() => {
-    return new THREE.MeshBasicMaterial({
-      color: 0xff0000, // Red color
-      side: THREE.DoubleSide,
-      transparent: false,
-    });
-  }, []);
+const EDGE_COLOR = '#9fdcff';
+const EDGE_WIDTH = 0.35; // World units of shimmering rim inside the portal's border
+const CLIP_BIAS = 0.01; // Keeps ground right at the exit from flickering through the clip plane
+
+// Reusable objects to avoid allocations in the render loop
+const exitPosition = new THREE.Vector3();
+const exitQuaternion = new THREE.Quaternion();
+const exitEuler = new THREE.Euler();
+const unitScale = new THREE.Vector3(1, 1, 1);
+const entranceScale = new THREE.Vector3();
+
+const vertexShader = /* glsl */ `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+// The destination is drawn with the viewer's own projection, so it is read
+// back at this fragment's screen position; the rim ripples over the edges
+const fragmentShader = /* glsl */ `
+  uniform sampler2D uView;
+  uniform vec2 uResolution;
+  uniform vec2 uSize;
+  uniform vec3 uEdgeColor;
+  uniform float uEdgeWidth;
+  uniform float uOpen;
+  uniform float uTime;
+  varying vec2 vUv;
+
+  void main() {
+    vec2 fromEdge = min(vUv, 1.0 - vUv) * uSize;
+    float edge = min(fromEdge.x, fromEdge.y);
+    float ripple = 0.5 + 0.5 * sin(edge * 18.0 - uTime * 3.0 + (vUv.x + vUv.y) * 9.0);
+    float rim = 1.0 - smoothstep(0.0, uEdgeWidth * (0.7 + 0.3 * ripple), edge);
+
+    vec3 view = texture2D(uView, gl_FragCoord.xy / uResolution).rgb;
+    vec3 color = mix(view * uOpen, uEdgeColor * (1.2 + ripple), rim);
+    gl_FragColor = vec4(color, max(uOpen, rim));
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`;
+
+/**
+ * PortalPlane Component
+ *
+ * Features:
+ * - A window onto `destination` (position and optional rotation, facing
+ *   along +Z like the portal): a second camera renders the view from there
+ *   into a texture each frame, where the viewer's camera would be relative
+ *   to the portal (utils/portal)
+ * - Without a destination rotation the exit turns with the portal, so the
+ *   view keeps the viewer's heading
+ * - Oblique near-plane clipping at the exit, so nothing behind it leaks in
+ * - Renders the main scene unless `scene` gives a separate one
+ * - Shader rim along the edges instead of a stencil (the canvas has none);
+ *   seen from the far side, or off screen, only the rim is drawn and the
+ *   destination is not rendered
+ * - `resolution` scales the texture against the canvas to bound the cost
+ */
+const PortalPlane = ({ position, rotation, size = [2, 2], destination = null, scene: destinationScene = null, resolution = 0.5 }) => {
+  const groupRef = useRef();
+  const { gl, scene, camera } = useThree();
+
+  const renderTarget = useMemo(() => new THREE.WebGLRenderTarget(1, 1), []);
+  const virtualCamera = useMemo(() => new THREE.PerspectiveCamera(), []);
+  const exitMatrix = useMemo(() => new THREE.Matrix4(), []);
+  const frustum = useMemo(() => ({ shape: new THREE.Frustum(), matrix: new THREE.Matrix4(), sphere: new THREE.Sphere() }), []);
+  const bufferSize = useMemo(() => new THREE.Vector2(), []);
+
+  const [width, height] = size;
+  const planeGeometry = useMemo(() => new THREE.PlaneGeometry(width, height), [width, height]);
+  const planeMaterial = useMemo(() => new THREE.ShaderMaterial({
+    uniforms: {
+      uView: { value: renderTarget.texture },
+      uResolution: { value: new THREE.Vector2(1, 1) },
+      uSize: { value: new THREE.Vector2() },
+      uEdgeColor: { value: new THREE.Color(EDGE_COLOR) },
+      uEdgeWidth: { value: EDGE_WIDTH },
+      uOpen: { value: 0 },
+      uTime: { value: 0 },
+    },
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    side: THREE.DoubleSide,
+  }), [renderTarget]);
+
+  useEffect(() => () => renderTarget.dispose(), [renderTarget]);
+  useEffect(() => () => planeGeometry.dispose(), [planeGeometry]);
+  useEffect(() => () => planeMaterial.dispose(), [planeMaterial]);
+
+  useFrame((state) => {
+    const group = groupRef.current;
+    if (!group) return;
+    const { uniforms } = planeMaterial;
+    uniforms.uTime.value = state.clock.elapsedTime;
+    uniforms.uSize.value.set(width, height);
+
+    group.updateWorldMatrix(true, false);
+    const entrance = group.matrixWorld;
+    camera.updateMatrixWorld();
+
+    // Only render the destination when the viewer can see into the portal
+    frustum.matrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    frustum.shape.setFromProjectionMatrix(frustum.matrix);
+    if (!planeGeometry.boundingSphere) planeGeometry.computeBoundingSphere();
+    frustum.sphere.copy(planeGeometry.boundingSphere).applyMatrix4(entrance);
+    const open = destination && isBehindPortal(entrance, camera.position) && frustum.shape.intersectsSphere(frustum.sphere);
+    uniforms.uOpen.value = open ? 1 : 0;
+    if (!open) return;
+
+    gl.getDrawingBufferSize(bufferSize);
+    uniforms.uResolution.value.copy(bufferSize);
+    const targetWidth = Math.max(1, Math.round(bufferSize.x * resolution));
+    const targetHeight = Math.max(1, Math.round(bufferSize.y * resolution));
+    if (renderTarget.width !== targetWidth || renderTarget.height !== targetHeight) {
+      renderTarget.setSize(targetWidth, targetHeight);
+    }
+
+    // Exit frame: the destination, turned like the entrance unless it has its own rotation
+    if (destination.rotation) {
+      exitQuaternion.setFromEuler(exitEuler.fromArray(destination.rotation));
+    } else {
+      entrance.decompose(exitPosition, exitQuaternion, entranceScale);
+    }
+    exitMatrix.compose(exitPosition.fromArray(destination.position), exitQuaternion, unitScale);
+
+    linkPortalCamera(camera, entrance, exitMatrix, virtualCamera);
+    virtualCamera.projectionMatrix.copy(camera.projectionMatrix);
+    clipToPortal(virtualCamera, exitMatrix, CLIP_BIAS);
+
+    // Hide the portal from its own view and draw the destination into the texture
+    const previousTarget = gl.getRenderTarget();
+    group.visible = false;
+    gl.setRenderTarget(renderTarget);
+    gl.render(destinationScene ?? scene, virtualCamera);
+    gl.setRenderTarget(previousTarget);
+    group.visible = true;
+  });
 
   return (
-    <group position={position} rotation={rotation}>
-      {/* Simple plane without portal rendering */}
-      <mesh
-        geometry={planeGeometry}
-        material={planeMaterial}
-        castShadow
-        receiveShadow
-      />
-      {/* Red border for debugging - keeping for visibility */}
-      <mesh
-        geometry={borderGeometry}
-        material={borderMaterial}
-        position={[0, 0, 0.001]} // Slightly in front to be visible
-      />
+    <group ref={groupRef} position={position} rotation={rotation}>
+      <mesh geometry={planeGeometry} material={planeMaterial} renderOrder={5} />
     </group>
   );
 };
 
-export default PortalPlane;
\ No newline at end of file
+export default PortalPlane;
@@ -0,0 +1,159 @@
+import React, { memo, useMemo, useState } from 'react';
+import * as THREE from 'three';
+import { BallCollider, HeightfieldCollider, Physics, RigidBody, TrimeshCollider } from '@react-three/rapier';
+import { createRandom } from '../utils/random';
+
+export const PHYSICS_GRAVITY = [0, -9.81, 0];
+export const SPHERE_COLLIDER_RADIUS = 0.9; // Matches the MovingSphere mesh
+
+const PROP_SCATTER_RADIUS = 35; // Props are placed within this distance of the origin
+const ROCK_COUNT = 14;
+const CRATE_COUNT = 8;
+
+/**
+ * World-space vertices and indices of the ground for a trimesh collider
+ */
+const toTrimeshArgs = (groundMesh) => {
+  groundMesh.updateWorldMatrix(true, false);
+  const geometry = groundMesh.geometry;
+  const position = geometry.attributes.position;
+  const vertices = new Float32Array(position.count * 3);
+  const vertex = new THREE.Vector3();
+  for (let i = 0; i < position.count; i++) {
+    vertex.fromBufferAttribute(position, i).applyMatrix4(groundMesh.matrixWorld).toArray(vertices, i * 3);
+  }
+  const indices = geometry.index
+    ? Uint32Array.from(geometry.index.array)
+    : Uint32Array.from({ length: position.count }, (_, i) => i);
+  return [vertices, indices];
+};
+
+/**
+ * Heightfield collider from the terrain's baked grid: row index runs along +Z,
+ * column index along +X, heights stored column-major as Rapier expects
+ */
+const toHeightfieldArgs = (terrain) => {
+  const { ground } = terrain;
+  const { heights, size } = ground;
+
+  const columnMajor = new Array(size * size);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      columnMajor[row + col * size] = heights[row * size + col];
+    }
+  }
+
+  // Samples sit at cell centres, so the field spans one cell less than the box
+  const scale = { x: ground.cellX * (size - 1), y: 1, z: ground.cellZ * (size - 1) };
+  const center = [(ground.minX + ground.maxX) / 2, 0, (ground.minZ + ground.maxZ) / 2];
+  return { args: [size - 1, size - 1, columnMajor, scale], center };
+};
+
+/**
+ * Seeded rocks (fixed) and crates (dynamic) for the sphere to bump into
+ */
+const PhysicsProps = memo(({ terrain, seed }) => {
+  const props = useMemo(() => {
+    const random = createRandom(seed, 'physics-props');
+    const place = () => {
+      const angle = random() * Math.PI * 2;
+      const radius = 6 + Math.sqrt(random()) * PROP_SCATTER_RADIUS;
+      const x = Math.cos(angle) * radius;
+      const z = Math.sin(angle) * radius;
+      return [x, terrain.heightAt(x, z), z];
+    };
+
+    const rocks = Array.from({ length: ROCK_COUNT }, () => {
+      const size = 0.6 + random() * 1.4;
+      const [x, y, z] = place();
+      return { size, position: [x, y + size * 0.4, z], rotation: [random() * Math.PI, random() * Math.PI, 0] };
+    });
+    const crates = Array.from({ length: CRATE_COUNT }, () => {
+      const size = 0.5 + random() * 0.5;
+      const [x, y, z] = place();
+      return { size, position: [x, y + size + 0.5, z], rotation: [0, random() * Math.PI, 0] };
+    });
+    return { rocks, crates };
+  }, [terrain, seed]);
+
+  return (
+    <>
+      {props.rocks.map((rock, i) => (
+        <RigidBody key={`rock-${i}`} type="fixed" colliders="hull" position={rock.position} rotation={rock.rotation}>
+          <mesh name="physics-rock">
+            <dodecahedronGeometry args={[rock.size, 0]} />
+            <meshStandardMaterial color="#7a7466" roughness={0.9} flatShading />
+          </mesh>
+        </RigidBody>
+      ))}
+      {props.crates.map((crate, i) => (
+        <RigidBody key={`crate-${i}`} colliders="cuboid" position={crate.position} rotation={crate.rotation} friction={0.8}>
+          <mesh name="physics-crate">
+            <boxGeometry args={[crate.size * 2, crate.size * 2, crate.size * 2]} />
+            <meshStandardMaterial color="#9a6b3f" roughness={0.8} />
+          </mesh>
+        </RigidBody>
+      ))}
+    </>
+  );
+});
+
+PhysicsProps.displayName = 'PhysicsProps';
+
+/**
+ * SpherePhysics Component
+ *
+ * Features:
+ * - Rapier world with gravity for the optional physics mode
+ * - Ground collider built from the Ground mesh, as an exact trimesh or a
+ *   heightfield from the baked `terrain` (utils/terrain)
+ * - Rolling ball body for the sphere; MovingSphere reads it through `bodyRef`
+ *   and pushes it with impulses toward its target
+ * - Seeded rocks and crates to collide with
+ */
+const SpherePhysics = memo(({
+  groundMesh,
+  terrain,
+  bodyRef,
+  startPosition,
+  colliderType = 'trimesh', // 'trimesh' or 'heightfield'
+  seed = 0,
+  debug = false,
+}) => {
+  const trimesh = useMemo(
+    () => (colliderType === 'trimesh' ? toTrimeshArgs(groundMesh) : null),
+    [groundMesh, colliderType]
+  );
+  const heightfield = useMemo(
+    () => (colliderType === 'heightfield' ? toHeightfieldArgs(terrain) : null),
+    [terrain, colliderType]
+  );
+  // Only read on mount: the body continues from wherever the sphere is
+  const [spawn] = useState(() => [startPosition.x, startPosition.y + 0.5, startPosition.z]);
+
+  return (
+    <Physics gravity={PHYSICS_GRAVITY} debug={debug}>
+      <RigidBody type="fixed" colliders={false} friction={1}>
+        {trimesh && <TrimeshCollider args={trimesh} />}
+        {heightfield && <HeightfieldCollider args={heightfield.args} position={heightfield.center} />}
+      </RigidBody>
+      <PhysicsProps terrain={terrain} seed={seed} />
+      <RigidBody
+        ref={bodyRef}
+        colliders={false}
+        position={spawn}
+        friction={1.2}
+        restitution={0.2}
+        linearDamping={0.4}
+        angularDamping={0.6}
+        ccd
+      >
+        <BallCollider args={[SPHERE_COLLIDER_RADIUS]} />
+      </RigidBody>
+    </Physics>
+  );
+});
+
+SpherePhysics.displayName = 'SpherePhysics';
+
+export default SpherePhysics;
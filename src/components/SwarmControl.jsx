@@ -1,7 +1,32 @@
 import React from 'react';
 import './SwarmControl.css';
 
-const SwarmControl = ({ swarmMode, onModeChange, disabled = false }) => {
+// On-screen toggles for the keyboard shortcuts; the key shows as a hint where there is a keyboard
+const ActionButton = ({ label, shortcut, active, onClick }) => (
+  <button
+    type="button"
+    className={`swarm-action ${active ? 'active' : ''}`}
+    onClick={onClick}
+    aria-pressed={active}
+  >
+    {label}
+    <span className="keyboard-hint">{shortcut}</span>
+  </button>
+);
+
+const SwarmControl = ({
+  swarmMode,
+  onModeChange,
+  disabled = false,
+  showControls = false,
+  onToggleControls,
+  isGrassEditorOpen = false,
+  onToggleGrassEditor,
+  isPhysicsEnabled = false,
+  onTogglePhysics,
+  isTourActive = false,
+  onToggleTour,
+}) => {
   const handleClick = () => {
     if (!disabled) {
       onModeChange();
@@ -28,12 +53,17 @@ const SwarmControl = ({ swarmMode, onModeChange, disabled = false }) => {
         className={`swarm-button ${getModeClass()}`}
         onClick={handleClick}
         disabled={disabled}
-        title={disabled ? "Particles returning to normal..." : "Click or press SPACE to toggle"}
+        title={disabled ? "Particles returning to normal..." : "Tap, click or press SPACE to toggle"}
       >
         {getModeText()}
+        <span className="keyboard-hint">Space</span>
       </button>
-      <div className="keyboard-hint">Press SPACE</div>
-      <div className="keyboard-hint">Press C for Controls</div>
+      <div className="swarm-actions">
+        <ActionButton label="Controls" shortcut="C" active={showControls} onClick={onToggleControls} />
+        <ActionButton label="Grass Editor" shortcut="G" active={isGrassEditorOpen} onClick={onToggleGrassEditor} />
+        <ActionButton label="Physics" shortcut="P" active={isPhysicsEnabled} onClick={onTogglePhysics} />
+        <ActionButton label="Tour" shortcut="T" active={isTourActive} onClick={onToggleTour} />
+      </div>
     </div>
   );
 };
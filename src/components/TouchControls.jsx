@@ -0,0 +1,97 @@
+import { useEffect } from 'react';
+import * as THREE from 'three';
+import { useThree } from '@react-three/fiber';
+import { TouchGestureTracker } from '../utils/touchGestures';
+
+const tapRaycaster = new THREE.Raycaster();
+const tapPointer = new THREE.Vector2();
+
+/**
+ * TouchControls Component
+ *
+ * Features:
+ * - Touch gestures on the canvas drive the sphere through MovingSphere's handle
+ * - Tap: travel to the tapped point on the ground, routed around steep terrain
+ * - One-finger drag: steer like a stick, relative to the camera heading
+ * - Pinch: camera distance; two-finger twist: orbit around the sphere
+ * - Mouse and pen are left alone, they keep the hover steering
+ * - Disables browser panning and zooming on the canvas while mounted
+ */
+const TouchControls = ({ sphereRef, groundMesh, enabled = true }) => {
+  const { gl, camera } = useThree();
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const element = gl.domElement;
+    const tracker = new TouchGestureTracker();
+    const previousTouchAction = element.style.touchAction;
+    element.style.touchAction = 'none';
+
+    const travelToScreenPoint = (clientX, clientY) => {
+      if (!groundMesh) return;
+      const rect = element.getBoundingClientRect();
+      tapPointer.set(
+        ((clientX - rect.left) / rect.width) * 2 - 1,
+        -((clientY - rect.top) / rect.height) * 2 + 1
+      );
+      tapRaycaster.setFromCamera(tapPointer, camera);
+      const hit = tapRaycaster.intersectObject(groundMesh, false)[0];
+      if (hit) sphereRef.current?.navigateTo(hit.point);
+    };
+
+    const dispatch = (gesture) => {
+      const sphere = sphereRef.current;
+      if (!gesture || !sphere) return;
+      switch (gesture.type) {
+        case 'tap':
+          travelToScreenPoint(gesture.x, gesture.y);
+          break;
+        case 'drag':
+          sphere.setTouchDrive(gesture);
+          break;
+        case 'dragEnd':
+          sphere.setTouchDrive(null);
+          break;
+        case 'pinch':
+          sphere.zoomCamera(gesture.scale);
+          // The ground turns with the fingers, as on a map
+          sphere.orbitCamera(gesture.twist);
+          break;
+        default:
+          break;
+      }
+    };
+
+    const isTouch = (event) => event.pointerType === 'touch';
+    const handleDown = (event) => {
+      if (isTouch(event)) dispatch(tracker.down(event.pointerId, event.clientX, event.clientY, event.timeStamp));
+    };
+    const handleMove = (event) => {
+      if (isTouch(event)) dispatch(tracker.move(event.pointerId, event.clientX, event.clientY));
+    };
+    const handleUp = (event) => {
+      if (isTouch(event)) dispatch(tracker.up(event.pointerId, event.clientX, event.clientY, event.timeStamp));
+    };
+    const handleCancel = (event) => {
+      if (isTouch(event)) dispatch(tracker.cancel(event.pointerId));
+    };
+
+    element.addEventListener('pointerdown', handleDown);
+    element.addEventListener('pointermove', handleMove);
+    element.addEventListener('pointerup', handleUp);
+    element.addEventListener('pointercancel', handleCancel);
+
+    return () => {
+      element.removeEventListener('pointerdown', handleDown);
+      element.removeEventListener('pointermove', handleMove);
+      element.removeEventListener('pointerup', handleUp);
+      element.removeEventListener('pointercancel', handleCancel);
+      element.style.touchAction = previousTouchAction;
+      sphereRef.current?.setTouchDrive(null);
+    };
+  }, [gl, camera, groundMesh, sphereRef, enabled]);
+
+  return null;
+};
+
+export default TouchControls;
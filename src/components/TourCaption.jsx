@@ -0,0 +1,22 @@
+import React from 'react';
+import './TourCaption.css';
+
+/**
+ * TourCaption Component
+ *
+ * Features:
+ * - Shows the guided tour's caption while the sphere dwells at a stop
+ * - Reminds visitors that any input takes over from the tour
+ */
+const TourCaption = ({ caption, isTourActive = false }) => {
+  if (!isTourActive) return null;
+
+  return (
+    <div className="tour-caption" role="status" aria-live="polite">
+      {caption && <div className="tour-caption-text">{caption}</div>}
+      <div className="tour-caption-hint">Move, click, tap or press a key to explore on your own</div>
+    </div>
+  );
+};
+
+export default TourCaption;
@@ -0,0 +1,50 @@
+import React from 'react';
+import './WindControls.css';
+
+const WIND_SLIDERS = [
+  { key: 'direction', label: 'Direction', min: 0, max: 360, step: 5, digits: 0, unit: '°' },
+  { key: 'strength', label: 'Strength', min: 0, max: 2, step: 0.05, digits: 2 },
+  { key: 'gustStrength', label: 'Gust Strength', min: 0, max: 2, step: 0.05, digits: 2 },
+  { key: 'gustFrequency', label: 'Gust Frequency', min: 0, max: 1, step: 0.05, digits: 2 },
+  { key: 'turbulence', label: 'Turbulence', min: 0, max: 2, step: 0.05, digits: 2 },
+];
+
+const WindControls = ({ 
+  settings, 
+  onSettingsChange, 
+  isVisible = true 
+}) => {
+  const handleSliderChange = (key, value) => {
+    onSettingsChange({
+      ...settings,
+      [key]: parseFloat(value)
+    });
+  };
+
+  if (!isVisible) return null;
+
+  return (
+    <div className="wind-controls">
+      <h3>Wind</h3>
+      {WIND_SLIDERS.map(slider => (
+        <div className="wind-control-group" key={slider.key}>
+          <label>{slider.label}</label>
+          <div className="wind-slider-container">
+            <input
+              type="range"
+              min={slider.min}
+              max={slider.max}
+              step={slider.step}
+              value={settings[slider.key]}
+              onChange={(e) => handleSliderChange(slider.key, e.target.value)}
+              className="wind-slider"
+            />
+            <span className="wind-value">{settings[slider.key].toFixed(slider.digits)}{slider.unit || ''}</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default WindControls;
@@ -0,0 +1,27 @@
+import { memo, useEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { setWindSettings, updateWindTime } from '../utils/wind';
+
+/**
+ * WindField - drives the global wind shared by grass, particles and ribbons
+ *
+ * Features:
+ * - Pushes settings (direction, strength, gusts, turbulence) into the shared wind uniforms
+ * - Advances wind time once per frame so every consumer samples the same gust fronts
+ */
+const WindField = memo(({ settings }) => {
+  useEffect(() => {
+    setWindSettings(settings);
+  }, [settings]);
+
+  // Run before other frame callbacks so consumers see this frame's wind
+  useFrame(({ clock }) => {
+    updateWindTime(clock.elapsedTime);
+  }, -1);
+
+  return null;
+});
+
+WindField.displayName = 'WindField';
+
+export default WindField;
@@ -0,0 +1,118 @@
+import React, { memo, useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+import { boundaryPressure } from '../utils/worldBounds';
+import { dampFactor } from '../utils/damping';
+
+const GLOW_COLOR = '#9fdcff';
+const GLOW_RADIUS = 10; // World units around the sphere that light up on the wall
+const GLOW_HALF_LIFE = 0.25; // Seconds for the glow to follow the sphere's depth into the band
+const WALL_BOTTOM = -20; // The walls span any terrain height; only the part near the sphere shows
+const WALL_TOP = 40;
+
+const vertexShader = /* glsl */ `
+  varying vec3 vWorldPosition;
+
+  void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform vec3 uColor;
+  uniform vec3 uSubject;
+  uniform float uIntensity;
+  uniform float uRadius;
+  uniform float uTime;
+  varying vec3 vWorldPosition;
+
+  void main() {
+    float spot = 1.0 - smoothstep(0.0, uRadius, distance(vWorldPosition, uSubject));
+    float bands = 0.75 + 0.25 * sin(vWorldPosition.y * 4.0 - uTime * 2.0);
+    gl_FragColor = vec4(uColor, uIntensity * spot * spot * bands);
+  }
+`;
+
+/**
+ * WorldBoundary Component
+ *
+ * Features:
+ * - Invisible walls along the world bounds (utils/worldBounds) that glow
+ *   where the sphere comes close, as a cue that it is nearing the edge
+ * - Glow strength follows how deep the sphere is in the soft band, eased so
+ *   it fades in and out; nothing is drawn while the sphere is clear of it
+ * - Additive and without depth writes, so it never hides the scene behind it
+ */
+const WorldBoundary = memo(({ bounds, sphereRef }) => {
+  const groupRef = useRef();
+  const intensityRef = useRef(0);
+
+  const material = useMemo(() => new THREE.ShaderMaterial({
+    uniforms: {
+      uColor: { value: new THREE.Color(GLOW_COLOR) },
+      uSubject: { value: new THREE.Vector3() },
+      uIntensity: { value: 0 },
+      uRadius: { value: GLOW_RADIUS },
+      uTime: { value: 0 },
+    },
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+    side: THREE.DoubleSide,
+  }), []);
+  useEffect(() => () => material.dispose(), [material]);
+
+  // One wall per side: [x, z, length, rotation about Y]
+  const walls = useMemo(() => {
+    if (!bounds) return [];
+    const { minX, maxX, minZ, maxZ } = bounds;
+    const centerX = (minX + maxX) / 2;
+    const centerZ = (minZ + maxZ) / 2;
+    return [
+      [centerX, minZ, maxX - minX, 0],
+      [centerX, maxZ, maxX - minX, 0],
+      [minX, centerZ, maxZ - minZ, Math.PI / 2],
+      [maxX, centerZ, maxZ - minZ, Math.PI / 2],
+    ];
+  }, [bounds]);
+
+  useFrame((state, delta) => {
+    const sphere = sphereRef.current;
+    if (!bounds || !sphere || !groupRef.current) return;
+
+    const pressure = boundaryPressure(bounds, sphere.position.x, sphere.position.z);
+    intensityRef.current += (pressure - intensityRef.current) * dampFactor(GLOW_HALF_LIFE, delta);
+    groupRef.current.visible = intensityRef.current > 0.01;
+
+    const { uniforms } = material;
+    uniforms.uIntensity.value = intensityRef.current;
+    uniforms.uSubject.value.copy(sphere.position);
+    uniforms.uTime.value = state.clock.elapsedTime;
+  });
+
+  if (!bounds) return null;
+
+  return (
+    <group ref={groupRef} name="world-boundary" visible={false}>
+      {walls.map(([x, z, length, rotation], i) => (
+        <mesh
+          key={i}
+          position={[x, (WALL_BOTTOM + WALL_TOP) / 2, z]}
+          rotation={[0, rotation, 0]}
+          material={material}
+          renderOrder={6}
+        >
+          <planeGeometry args={[length, WALL_TOP - WALL_BOTTOM]} />
+        </mesh>
+      ))}
+    </group>
+  );
+});
+
+WorldBoundary.displayName = 'WorldBoundary';
+
+export default WorldBoundary;
@@ -0,0 +1,71 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Asset error store
+ *
+ * Components that load assets report failures here along with the fallback
+ * they switched to, and the asset error panel lists them:
+ *
+ *   reportAssetError('ground', { label: 'Ground model', url, error, fallback: 'Flat plane' });
+ *
+ * Reports are keyed by asset, so a repeated failure replaces the earlier
+ * entry instead of stacking duplicates.
+ */
+
+const errors = new Map();
+const listeners = new Set();
+let snapshot = [];
+
+const emit = () => {
+  snapshot = Array.from(errors.values()).filter((entry) => !entry.dismissed);
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Readable reason for an error, whatever was thrown (loaders reject with
+ * Errors, ProgressEvents or plain strings)
+ */
+export const describeAssetError = (error) => {
+  if (!error) return 'Unknown error';
+  if (typeof error === 'string') return error;
+  if (error.message) return error.message;
+  if (error.target?.status) return `request failed with HTTP ${error.target.status}`;
+  if (error.type === 'error') return 'could not be loaded or decoded';
+  return String(error);
+};
+
+/**
+ * Record that `key` failed to load
+ *
+ * @param {string} key - Asset id ('grass', 'ground', 'sky', ...)
+ * @param {object} report - { label, url, error, fallback }
+ */
+export const reportAssetError = (key, { label = key, url = null, error = null, fallback = null } = {}) => {
+  console.error(`Asset "${label}" failed to load${url ? ` (${url})` : ''}:`, error);
+  errors.set(key, { key, label, url, reason: describeAssetError(error), fallback, dismissed: false });
+  emit();
+};
+
+export const dismissAssetError = (key) => {
+  const entry = errors.get(key);
+  if (!entry || entry.dismissed) return;
+  errors.set(key, { ...entry, dismissed: true });
+  emit();
+};
+
+export const dismissAllAssetErrors = () => {
+  errors.forEach((entry, key) => errors.set(key, { ...entry, dismissed: true }));
+  emit();
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getSnapshot = () => snapshot;
+
+/**
+ * Undismissed asset errors, re-rendering on every report
+ */
+export const useAssetErrors = () => useSyncExternalStore(subscribe, getSnapshot);
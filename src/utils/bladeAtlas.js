@@ -0,0 +1,119 @@
+import * as THREE from 'three';
+
+/**
+ * Grass blade atlas
+ *
+ * Packs any number of blade alpha masks into one DataArrayTexture so the
+ * fragment shader samples a single `sampler2DArray` by layer index instead of
+ * branching over separate samplers.
+ *
+ * Variants are `{ url, weight }` objects (plain URL strings get weight 1),
+ * given directly or through a JSON manifest: `{ "variants": [...] }`.
+ */
+
+export const DEFAULT_BLADE_VARIANTS = [
+  { url: '/alpha-map.png', weight: 1 },
+  { url: '/alpha-map1.png', weight: 1 },
+  { url: '/alpha-map2.png', weight: 1 },
+  { url: '/alpha-map3.png', weight: 1 },
+];
+
+const normalizeVariant = (variant) => (
+  typeof variant === 'string'
+    ? { url: variant, weight: 1 }
+    : { url: variant.url, weight: variant.weight ?? 1 }
+);
+
+/**
+ * Resolve the variant list from a prop or a manifest URL
+ */
+export const resolveBladeVariants = async (variants, manifestUrl) => {
+  if (manifestUrl) {
+    const response = await fetch(manifestUrl);
+    if (!response.ok) {
+      throw new Error(`${manifestUrl}: request failed with HTTP ${response.status}`);
+    }
+    const manifest = await response.json();
+    if (!Array.isArray(manifest.variants) || manifest.variants.length === 0) {
+      throw new Error(`${manifestUrl}: manifest must list at least one entry in "variants"`);
+    }
+    return manifest.variants.map(normalizeVariant);
+  }
+  return (variants && variants.length ? variants : DEFAULT_BLADE_VARIANTS).map(normalizeVariant);
+};
+
+/**
+ * Load every variant image and pack them into a DataArrayTexture
+ *
+ * All layers share the size of the first image; others are scaled to fit.
+ * Rows are flipped while packing because WebGL cannot flip 3D uploads.
+ *
+ * @param {Array<{url, weight}>} variants
+ * @returns {Promise<{ texture: THREE.DataArrayTexture, weights: number[] }>}
+ */
+export const loadBladeAtlas = async (variants) => {
+  const loader = new THREE.ImageLoader();
+  const images = await Promise.all(variants.map(({ url }) => loader.loadAsync(url)));
+
+  const width = images[0].width;
+  const height = images[0].height;
+  const layerSize = width * height * 4;
+  const data = new Uint8Array(layerSize * images.length);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  images.forEach((image, layer) => {
+    ctx.save();
+    ctx.clearRect(0, 0, width, height);
+    ctx.translate(0, height);
+    ctx.scale(1, -1);
+    ctx.drawImage(image, 0, 0, width, height);
+    ctx.restore();
+    data.set(ctx.getImageData(0, 0, width, height).data, layer * layerSize);
+  });
+
+  const texture = new THREE.DataArrayTexture(data, width, height, images.length);
+  texture.format = THREE.RGBAFormat;
+  texture.type = THREE.UnsignedByteType;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.generateMipmaps = true;
+  texture.needsUpdate = true;
+
+  return { texture, weights: variants.map(({ weight }) => weight) };
+};
+
+const FALLBACK_BLADE_SIZE = 64;
+
+/**
+ * Single-layer atlas with a plain tapered blade, used when the variant images fail to load
+ *
+ * @returns {{ texture: THREE.DataArrayTexture, weights: number[] }}
+ */
+export const createFallbackBladeAtlas = () => {
+  const size = FALLBACK_BLADE_SIZE;
+  const data = new Uint8Array(size * size * 4);
+
+  // Row 0 is the blade root (v = 0), matching the flipped layers loadBladeAtlas packs
+  for (let y = 0; y < size; y++) {
+    const v = (y + 0.5) / size;
+    const halfWidth = 0.3 * (1 - v) + 0.02;
+    for (let x = 0; x < size; x++) {
+      const inside = Math.abs((x + 0.5) / size - 0.5) < halfWidth ? 255 : 0;
+      data.set([inside, inside, inside, 255], (y * size + x) * 4);
+    }
+  }
+
+  const texture = new THREE.DataArrayTexture(data, size, size, 1);
+  texture.format = THREE.RGBAFormat;
+  texture.type = THREE.UnsignedByteType;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.generateMipmaps = true;
+  texture.needsUpdate = true;
+
+  return { texture, weights: [1] };
+};
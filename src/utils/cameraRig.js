@@ -0,0 +1,391 @@
+import * as THREE from 'three';
+import { dampFactor, followTarget, halfLifeFromLerp } from './damping';
+import { clampToBounds } from './worldBounds';
+
+/**
+ * Camera rig
+ *
+ * One camera, several ways of framing the sphere:
+ *   chase       - trails behind the sphere and swings round to where it is heading (default)
+ *   orbit       - free orbit around the sphere, dragged with the mouse or twisted on touch
+ *   topdown     - map view straight down, north up
+ *   firstperson - eye on top of the sphere, mouse look (see FPSControls)
+ *   cinematic   - slow automatic crane shot circling the sphere
+ *
+ * Each mode produces a pose (camera position plus look target) from the
+ * sphere every frame. Switching freezes the outgoing pose and eases from it
+ * into the new mode's live pose over CAMERA_BLEND_TIME, so changes never cut.
+ *
+ * A scripted shot (setScript, used by guided tours) overrides every mode
+ * until released, easing in and out the same way.
+ *
+ * Input (drag or mouse look, pinch or wheel zoom, twist) is routed to the
+ * active mode through look / zoom / orbit. An `inputFilter` sees it first
+ * and may swallow it; journeys record it there and feed it back through
+ * applyInput on playback, starting from a saveState snapshot.
+ *
+ * With a terrain (utils/terrain) set, the camera never dips below
+ * CAMERA_GROUND_CLEARANCE above the ground, whatever the mode or blend;
+ * with world bounds (utils/worldBounds) set it stays inside them in XZ.
+ *
+ * Lagging modes follow with frame-rate independent damping (utils/damping);
+ * their half-lives match the per-frame lerps they replace at 60 Hz.
+ */
+
+export const CAMERA_MODES = [
+  { id: 'chase', label: 'Chase' },
+  { id: 'orbit', label: 'Orbit' },
+  { id: 'topdown', label: 'Map' },
+  { id: 'firstperson', label: 'First Person' },
+  { id: 'cinematic', label: 'Cinematic' },
+];
+export const DEFAULT_CAMERA_MODE = 'chase';
+export const CAMERA_BLEND_TIME = 0.8; // Seconds to ease between modes
+export const CAMERA_GROUND_CLEARANCE = 0.6; // Minimum height above the terrain
+
+// Chase (the original MovingSphere camera)
+export const CAMERA_DISTANCE = 5.0; // Distance camera stays behind sphere
+const CAMERA_HEIGHT_OFFSET = 1.2; // Height offset above surface
+const CHASE_MOTION = { halfLife: halfLifeFromLerp(0.01), maxSpeed: 20, acceleration: 30 }; // Lazy follow
+const LOOK_HEIGHT = 0.5; // Look slightly above the sphere centre
+const MIN_DISTANCE = 2.5; // Zoom limits for chase and orbit
+const MAX_DISTANCE = 14.0;
+
+// Orbit
+const ORBIT_MIN_PITCH = -0.15; // Radians above the horizon (negative looks up a little)
+const ORBIT_MAX_PITCH = 1.35;
+const ORBIT_DEFAULT_PITCH = 0.35;
+
+// Top-down map
+const TOPDOWN_HEIGHT = 40;
+const TOPDOWN_MIN_HEIGHT = 12;
+const TOPDOWN_MAX_HEIGHT = 120;
+const TOPDOWN_NORTH_OFFSET = 0.1; // Keeps lookAt well defined and -Z at the top of the screen
+const TOPDOWN_MOTION = { halfLife: halfLifeFromLerp(0.1), maxSpeed: 60, acceleration: 120 }; // Tight follow
+
+// First person
+const EYE_HEIGHT = 1.0; // Above the sphere centre, just clear of its surface
+const FIRST_PERSON_MAX_PITCH = Math.PI / 6; // 30 degrees up or down
+
+// Cinematic
+const CINEMATIC_YAW_SPEED = 0.12; // Radians per second
+const CINEMATIC_DISTANCE = [8, 14]; // Breathes between these
+const CINEMATIC_HEIGHT = [2, 6];
+const CINEMATIC_LEAD = 2.0; // Look this far ahead of the sphere along its heading
+const CINEMATIC_MOTION = { halfLife: halfLifeFromLerp(0.03), maxSpeed: 15, acceleration: 10 }; // Gentle crane moves
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+const desiredPosition = new THREE.Vector3();
+const desiredTarget = new THREE.Vector3();
+const blendedTarget = new THREE.Vector3();
+
+export class CameraRig {
+  constructor() {
+    this.mode = DEFAULT_CAMERA_MODE;
+    this.distance = CAMERA_DISTANCE;
+    this.chaseOffset = new THREE.Vector3(-CAMERA_DISTANCE, 0, 0);
+    this.orbitYaw = 0;
+    this.orbitPitch = ORBIT_DEFAULT_PITCH;
+    this.topdownHeight = TOPDOWN_HEIGHT;
+    this.lookYaw = 0; // First person; 0 looks along -Z
+    this.lookPitch = 0;
+    this.time = 0;
+    this.terrain = null;
+    this.bounds = null;
+    this.script = null; // { position, target } while a scripted shot has the camera
+    this.inputFilter = null; // (type, args) => false to swallow live look / zoom / orbit input
+
+    // Smoothed poses for the modes that lag behind the sphere
+    this.followPosition = new THREE.Vector3();
+    this.followVelocity = new THREE.Vector3();
+    this.followTarget = new THREE.Vector3();
+
+    // Pose frozen when the mode last changed, and how far the blend has got
+    this.blendFrom = { position: new THREE.Vector3(), target: new THREE.Vector3() };
+    this.blend = 1;
+    this.target = new THREE.Vector3(); // Where the camera is looking
+  }
+
+  /**
+   * Put the camera straight into the chase pose (first frame)
+   */
+  reset(camera, subject) {
+    desiredPosition.copy(subject).add(this.chaseOffset);
+    desiredPosition.y += CAMERA_HEIGHT_OFFSET;
+    camera.position.copy(desiredPosition);
+    this.followPosition.copy(desiredPosition);
+    this.followVelocity.set(0, 0, 0);
+    this.target.copy(subject);
+    this.target.y += LOOK_HEIGHT;
+    camera.lookAt(this.target);
+    this.blend = 1;
+  }
+
+  /**
+   * Everything needed to carry on exactly from this frame, as plain JSON (journey recording)
+   */
+  saveState(camera) {
+    return {
+      mode: this.mode,
+      distance: this.distance,
+      chaseOffset: this.chaseOffset.toArray(),
+      orbitYaw: this.orbitYaw,
+      orbitPitch: this.orbitPitch,
+      topdownHeight: this.topdownHeight,
+      lookYaw: this.lookYaw,
+      lookPitch: this.lookPitch,
+      time: this.time,
+      followPosition: this.followPosition.toArray(),
+      followVelocity: this.followVelocity.toArray(),
+      followTarget: this.followTarget.toArray(),
+      blendFrom: [...this.blendFrom.position.toArray(), ...this.blendFrom.target.toArray()],
+      blend: this.blend,
+      target: this.target.toArray(),
+      camera: camera.position.toArray(),
+    };
+  }
+
+  /**
+   * Return to a saveState snapshot (journey playback); scripted shots are dropped
+   */
+  restoreState(state, camera) {
+    this.mode = state.mode;
+    this.distance = state.distance;
+    this.chaseOffset.fromArray(state.chaseOffset);
+    this.orbitYaw = state.orbitYaw;
+    this.orbitPitch = state.orbitPitch;
+    this.topdownHeight = state.topdownHeight;
+    this.lookYaw = state.lookYaw;
+    this.lookPitch = state.lookPitch;
+    this.time = state.time;
+    this.followPosition.fromArray(state.followPosition);
+    this.followVelocity.fromArray(state.followVelocity);
+    this.followTarget.fromArray(state.followTarget);
+    this.blendFrom.position.fromArray(state.blendFrom, 0);
+    this.blendFrom.target.fromArray(state.blendFrom, 3);
+    this.blend = state.blend;
+    this.target.fromArray(state.target);
+    this.script = null;
+    camera.position.fromArray(state.camera);
+    camera.lookAt(this.target);
+  }
+
+  // Freeze the current view to ease from, and restart the lagging modes from it
+  beginBlend(camera) {
+    this.blendFrom.position.copy(camera.position);
+    this.blendFrom.target.copy(this.target);
+    this.blend = 0;
+    this.followPosition.copy(camera.position);
+    this.followVelocity.set(0, 0, 0);
+    this.followTarget.copy(this.target);
+  }
+
+  setMode(mode, camera, subject, heading) {
+    if (mode === this.mode || !CAMERA_MODES.some((entry) => entry.id === mode)) return;
+    this.beginBlend(camera);
+    this.mode = mode;
+
+    // Start each mode from the current view rather than a fixed angle
+    desiredPosition.subVectors(camera.position, subject);
+    if (mode === 'chase') {
+      desiredPosition.y = 0;
+      this.setChaseDirection(desiredPosition);
+    } else if (mode === 'orbit') {
+      this.orbitYaw = Math.atan2(desiredPosition.x, desiredPosition.z);
+      this.orbitPitch = ORBIT_DEFAULT_PITCH;
+    } else if (mode === 'firstperson') {
+      this.lookYaw = Math.atan2(-heading.x, -heading.z);
+      this.lookPitch = 0;
+    }
+  }
+
+  setTerrain(terrain) {
+    this.terrain = terrain;
+  }
+
+  setBounds(bounds) {
+    this.bounds = bounds;
+  }
+
+  /**
+   * Scripted shot: frame from `position` looking at `target` until released
+   */
+  setScript(camera, position, target) {
+    if (!this.script) {
+      this.beginBlend(camera);
+      this.script = { position: new THREE.Vector3(), target: new THREE.Vector3() };
+    }
+    this.script.position.copy(position);
+    this.script.target.copy(target);
+  }
+
+  releaseScript(camera) {
+    if (!this.script) return;
+    this.script = null;
+    this.beginBlend(camera);
+  }
+
+  /**
+   * Chase: keep the camera on the side of the sphere given by `direction` (XZ)
+   */
+  setChaseDirection(direction) {
+    if (direction.lengthSq() < 1e-8) return;
+    this.chaseOffset.set(direction.x, 0, direction.z).setLength(this.distance);
+  }
+
+  /**
+   * Drag (orbit, chase) or mouse look (first person), in radians
+   */
+  look(deltaYaw, deltaPitch) {
+    this.input('look', deltaYaw, deltaPitch);
+  }
+
+  /**
+   * Pinch or wheel: scale > 1 brings the camera closer
+   */
+  zoom(scale) {
+    this.input('zoom', scale);
+  }
+
+  /**
+   * Two-finger twist: turn the view about the vertical axis
+   */
+  orbit(angle) {
+    this.input('orbit', angle);
+  }
+
+  // Live input goes past the filter first
+  input(type, ...args) {
+    if (this.inputFilter && this.inputFilter(type, args) === false) return;
+    this.applyInput(type, args);
+  }
+
+  /**
+   * Apply 'look', 'zoom' or 'orbit' input without filtering (journey playback)
+   */
+  applyInput(type, args) {
+    if (type === 'look') this.applyLook(...args);
+    else if (type === 'zoom') this.applyZoom(...args);
+    else if (type === 'orbit') this.applyOrbit(...args);
+  }
+
+  applyLook(deltaYaw, deltaPitch) {
+    if (this.mode === 'orbit') {
+      this.orbitYaw -= deltaYaw;
+      this.orbitPitch = THREE.MathUtils.clamp(this.orbitPitch + deltaPitch, ORBIT_MIN_PITCH, ORBIT_MAX_PITCH);
+    } else if (this.mode === 'chase') {
+      this.chaseOffset.applyAxisAngle(THREE.Object3D.DEFAULT_UP, -deltaYaw);
+    } else if (this.mode === 'firstperson') {
+      this.lookYaw -= deltaYaw;
+      this.lookPitch = THREE.MathUtils.clamp(this.lookPitch - deltaPitch, -FIRST_PERSON_MAX_PITCH, FIRST_PERSON_MAX_PITCH);
+    }
+  }
+
+  applyZoom(scale) {
+    if (!(scale > 0)) return;
+    if (this.mode === 'topdown') {
+      this.topdownHeight = THREE.MathUtils.clamp(this.topdownHeight / scale, TOPDOWN_MIN_HEIGHT, TOPDOWN_MAX_HEIGHT);
+      return;
+    }
+    this.distance = THREE.MathUtils.clamp(this.distance / scale, MIN_DISTANCE, MAX_DISTANCE);
+    this.chaseOffset.setLength(this.distance);
+  }
+
+  applyOrbit(angle) {
+    if (this.mode === 'firstperson') this.lookYaw += angle;
+    else if (this.mode === 'orbit') this.orbitYaw += angle;
+    else this.chaseOffset.applyAxisAngle(THREE.Object3D.DEFAULT_UP, angle);
+  }
+
+  // Pose for the active mode into desiredPosition / desiredTarget
+  computePose(subject, heading, delta) {
+    if (this.script) {
+      desiredPosition.copy(this.script.position);
+      desiredTarget.copy(this.script.target);
+      return;
+    }
+    switch (this.mode) {
+      case 'orbit': {
+        const horizontal = Math.cos(this.orbitPitch) * this.distance;
+        desiredPosition.set(
+          subject.x + Math.sin(this.orbitYaw) * horizontal,
+          subject.y + Math.sin(this.orbitPitch) * this.distance,
+          subject.z + Math.cos(this.orbitYaw) * horizontal
+        );
+        desiredTarget.copy(subject);
+        break;
+      }
+      case 'topdown':
+        desiredPosition.set(subject.x, subject.y + this.topdownHeight, subject.z + TOPDOWN_NORTH_OFFSET);
+        followTarget(this.followPosition, this.followVelocity, desiredPosition, TOPDOWN_MOTION, delta);
+        desiredPosition.copy(this.followPosition);
+        desiredTarget.set(desiredPosition.x, subject.y, desiredPosition.z - TOPDOWN_NORTH_OFFSET);
+        break;
+      case 'firstperson': {
+        desiredPosition.copy(subject);
+        desiredPosition.y += EYE_HEIGHT;
+        const horizontal = Math.cos(this.lookPitch);
+        desiredTarget.set(
+          desiredPosition.x - Math.sin(this.lookYaw) * horizontal,
+          desiredPosition.y + Math.sin(this.lookPitch),
+          desiredPosition.z - Math.cos(this.lookYaw) * horizontal
+        );
+        break;
+      }
+      case 'cinematic': {
+        const yaw = this.time * CINEMATIC_YAW_SPEED;
+        const swell = 0.5 + 0.5 * Math.sin(this.time * 0.21);
+        const rise = 0.5 + 0.5 * Math.sin(this.time * 0.13 + 1.3);
+        const distance = THREE.MathUtils.lerp(CINEMATIC_DISTANCE[0], CINEMATIC_DISTANCE[1], swell);
+        desiredPosition.set(
+          subject.x + Math.sin(yaw) * distance,
+          subject.y + THREE.MathUtils.lerp(CINEMATIC_HEIGHT[0], CINEMATIC_HEIGHT[1], rise),
+          subject.z + Math.cos(yaw) * distance
+        );
+        desiredTarget.copy(subject).addScaledVector(heading, CINEMATIC_LEAD);
+        followTarget(this.followPosition, this.followVelocity, desiredPosition, CINEMATIC_MOTION, delta);
+        this.followTarget.lerp(desiredTarget, dampFactor(CINEMATIC_MOTION.halfLife, delta));
+        desiredPosition.copy(this.followPosition);
+        desiredTarget.copy(this.followTarget);
+        break;
+      }
+      default:
+        // Chase: camera lags behind its spot over the sphere's shoulder
+        desiredPosition.copy(subject).add(this.chaseOffset);
+        desiredPosition.y = subject.y + CAMERA_HEIGHT_OFFSET;
+        followTarget(this.followPosition, this.followVelocity, desiredPosition, CHASE_MOTION, delta);
+        desiredPosition.copy(this.followPosition);
+        desiredTarget.copy(subject);
+        desiredTarget.y += LOOK_HEIGHT;
+        break;
+    }
+  }
+
+  /**
+   * Move `camera` for this frame
+   *
+   * @param {THREE.Vector3} subject - Sphere position
+   * @param {THREE.Vector3} heading - Sphere movement direction (unit, XZ)
+   */
+  update(camera, subject, heading, delta) {
+    this.time += delta;
+    this.computePose(subject, heading, delta);
+
+    if (this.blend < 1) {
+      this.blend = Math.min(this.blend + delta / CAMERA_BLEND_TIME, 1);
+      const t = smoothstep(this.blend);
+      camera.position.lerpVectors(this.blendFrom.position, desiredPosition, t);
+      blendedTarget.lerpVectors(this.blendFrom.target, desiredTarget, t);
+      this.target.copy(blendedTarget);
+    } else {
+      camera.position.copy(desiredPosition);
+      this.target.copy(desiredTarget);
+    }
+    if (this.bounds) clampToBounds(this.bounds, camera.position);
+    if (this.terrain) {
+      const floor = this.terrain.heightAt(camera.position.x, camera.position.z) + CAMERA_GROUND_CLEARANCE;
+      if (camera.position.y < floor) camera.position.y = floor;
+    }
+    camera.lookAt(this.target);
+  }
+}
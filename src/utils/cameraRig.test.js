@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+import { CAMERA_BLEND_TIME, CAMERA_GROUND_CLEARANCE, CameraRig } from './cameraRig';
+
+const subject = new THREE.Vector3(10, 1.2, -4);
+const heading = new THREE.Vector3(1, 0, 0);
+
+test('switching modes eases from the old view into the new one', () => {
+  const rig = new CameraRig();
+  const camera = new THREE.PerspectiveCamera();
+  rig.reset(camera, subject);
+  const start = camera.position.clone();
+
+  rig.setMode('topdown', camera, subject, heading);
+  rig.update(camera, subject, heading, CAMERA_BLEND_TIME / 2);
+  expect(camera.position.y).toBeGreaterThan(start.y);
+  expect(camera.position.y).toBeLessThan(subject.y + 30);
+
+  for (let i = 0; i < 200; i++) rig.update(camera, subject, heading, 1 / 60);
+  expect(camera.position.x).toBeCloseTo(subject.x, 1);
+  expect(camera.position.y).toBeGreaterThan(subject.y + 30);
+});
+
+test('first person looks along the heading from on top of the sphere', () => {
+  const rig = new CameraRig();
+  const camera = new THREE.PerspectiveCamera();
+  rig.reset(camera, subject);
+  rig.setMode('firstperson', camera, subject, heading);
+  rig.update(camera, subject, heading, CAMERA_BLEND_TIME);
+
+  expect(camera.position.x).toBeCloseTo(subject.x);
+  expect(camera.position.y).toBeGreaterThan(subject.y);
+  const forward = camera.getWorldDirection(new THREE.Vector3());
+  expect(forward.x).toBeCloseTo(1);
+
+  rig.look(0.2, 0); // Mouse to the right turns right
+  rig.update(camera, subject, heading, 1 / 60);
+  expect(camera.getWorldDirection(forward).z).toBeGreaterThan(0.1);
+});
+
+test('the camera stays above the terrain', () => {
+  const rig = new CameraRig();
+  const camera = new THREE.PerspectiveCamera();
+  rig.setTerrain({ heightAt: (x) => (x < 8 ? 20 : 0) }); // A cliff behind the sphere
+  rig.reset(camera, subject);
+  rig.update(camera, subject, heading, 1 / 60);
+  expect(camera.position.x).toBeLessThan(8);
+  expect(camera.position.y).toBeCloseTo(20 + CAMERA_GROUND_CLEARANCE);
+});
+
+test('the camera stays inside the world bounds', () => {
+  const rig = new CameraRig();
+  const camera = new THREE.PerspectiveCamera();
+  rig.setBounds({ minX: 8, maxX: 100, minZ: -100, maxZ: 100 });
+  rig.reset(camera, subject);
+  rig.update(camera, subject, heading, 1 / 60);
+  expect(camera.position.x).toBe(8);
+});
+
+test('scripted shots take over from any mode and hand back smoothly', () => {
+  const rig = new CameraRig();
+  const camera = new THREE.PerspectiveCamera();
+  rig.reset(camera, subject);
+  const shot = new THREE.Vector3(30, 12, 30);
+
+  rig.setScript(camera, shot, subject);
+  rig.update(camera, subject, heading, CAMERA_BLEND_TIME / 2);
+  expect(camera.position.distanceTo(shot)).toBeGreaterThan(1); // Still easing in
+  rig.update(camera, subject, heading, CAMERA_BLEND_TIME);
+  expect(camera.position.distanceTo(shot)).toBeCloseTo(0);
+
+  rig.releaseScript(camera);
+  rig.update(camera, subject, heading, 1 / 60);
+  expect(camera.position.distanceTo(shot)).toBeLessThan(0.5); // No cut back to the chase camera
+});
+
+test('a saved rig carries on exactly as it would have, and filtered input is swallowed', () => {
+  const rig = new CameraRig();
+  const camera = new THREE.PerspectiveCamera();
+  rig.reset(camera, subject);
+  rig.setMode('orbit', camera, subject, heading);
+  rig.update(camera, subject, heading, 0.1);
+
+  const saved = JSON.parse(JSON.stringify(rig.saveState(camera)));
+  rig.look(0.3, 0.1);
+  rig.update(camera, subject, heading, 0.2);
+  const expected = camera.position.clone();
+
+  const replayed = new CameraRig();
+  const replayCamera = new THREE.PerspectiveCamera();
+  replayed.restoreState(saved, replayCamera);
+  replayed.inputFilter = () => false;
+  replayed.look(1, 1); // Live input while replaying
+  replayed.applyInput('look', [0.3, 0.1]);
+  replayed.update(replayCamera, subject, heading, 0.2);
+  expect(replayCamera.position.distanceTo(expected)).toBeCloseTo(0);
+});
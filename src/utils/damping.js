@@ -0,0 +1,93 @@
+import * as THREE from 'three';
+
+/**
+ * Frame-rate independent smoothing
+ *
+ * `value += (target - value) * 0.01` every frame runs twice as fast at
+ * 120 Hz as at 60 Hz. These helpers express the same easing as a half-life
+ * in seconds (the time to close half the remaining gap) and scale it by the
+ * frame's delta, so motion looks the same at any refresh rate.
+ *
+ * followTarget adds the physical limits the plain exponential lacks: a top
+ * speed and an acceleration, so far targets are approached at a steady pace
+ * and starts and turns ramp up instead of snapping to full speed.
+ */
+
+export const REFERENCE_FRAME_RATE = 60; // The rate the old per-frame factors were tuned at
+export const MAX_DAMPING_DELTA = 0.1; // Longer frames (tab switches, hitches) are treated as this long
+
+/**
+ * Half-life equivalent to a per-frame lerp factor at `frameRate`
+ */
+export const halfLifeFromLerp = (factor, frameRate = REFERENCE_FRAME_RATE) => (
+  -1 / (frameRate * Math.log2(1 - factor))
+);
+
+/**
+ * Fraction of the remaining gap to close over `delta` seconds
+ */
+export const dampFactor = (halfLife, delta) => {
+  if (halfLife <= 0) return 1;
+  return 1 - Math.pow(2, -Math.min(delta, MAX_DAMPING_DELTA) / halfLife);
+};
+
+/**
+ * Scalar exponential approach toward `target`
+ */
+export const damp = (current, target, halfLife, delta) => current + (target - current) * dampFactor(halfLife, delta);
+
+const desiredVelocity = new THREE.Vector3();
+const velocityChange = new THREE.Vector3();
+const gap = new THREE.Vector3();
+
+/**
+ * Move `position` toward `target`, updating `velocity` in place
+ *
+ * Unconstrained this is the exponential approach of `halfLife`; the
+ * velocity is capped at `maxSpeed` and may only change by `acceleration`
+ * per second. The step never overshoots the target.
+ *
+ * @param {THREE.Vector3} position - Moved in place
+ * @param {THREE.Vector3} velocity - Units per second, kept between frames by the caller
+ * @param {THREE.Vector3} target
+ * @param {{ halfLife: number, maxSpeed?: number, acceleration?: number }} motion
+ * @param {number} delta - Seconds
+ */
+export const followTarget = (position, velocity, target, motion, delta) => {
+  const { halfLife, maxSpeed = Infinity, acceleration = Infinity } = motion;
+  const dt = Math.min(delta, MAX_DAMPING_DELTA);
+  if (dt <= 0) return position;
+
+  gap.subVectors(target, position);
+  desiredVelocity.copy(gap).multiplyScalar(dampFactor(halfLife, dt) / dt);
+  if (desiredVelocity.length() > maxSpeed) desiredVelocity.setLength(maxSpeed);
+
+  velocityChange.subVectors(desiredVelocity, velocity);
+  const maxChange = acceleration * dt;
+  if (velocityChange.length() > maxChange) velocityChange.setLength(maxChange);
+  velocity.add(velocityChange);
+
+  // Arrive rather than overshoot when the allowed step is longer than the gap
+  const stepLength = velocity.length() * dt;
+  if (stepLength >= gap.length() && velocity.dot(gap) > 0) {
+    position.copy(target);
+    velocity.setScalar(0);
+  } else {
+    position.addScaledVector(velocity, dt);
+  }
+  return position;
+};
+
+const scratchPosition = new THREE.Vector3();
+const scratchVelocity = new THREE.Vector3();
+
+/**
+ * followTarget for one xyz entry of flat position and velocity arrays (particle buffers)
+ */
+export const followTargetAt = (positions, velocities, offset, target, motion, delta) => {
+  scratchPosition.fromArray(positions, offset);
+  scratchVelocity.fromArray(velocities, offset);
+  followTarget(scratchPosition, scratchVelocity, target, motion, delta);
+  scratchPosition.toArray(positions, offset);
+  scratchVelocity.toArray(velocities, offset);
+};
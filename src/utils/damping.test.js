@@ -0,0 +1,48 @@
+import * as THREE from 'three';
+import { damp, dampFactor, followTarget, halfLifeFromLerp } from './damping';
+
+const simulate = (frameRate, seconds, step) => {
+  for (let i = 0; i < Math.round(frameRate * seconds); i++) step(1 / frameRate);
+};
+
+test('half-lives reproduce the old per-frame lerp at 60 Hz and match at 120 Hz', () => {
+  const halfLife = halfLifeFromLerp(0.01);
+  expect(dampFactor(halfLife, 1 / 60)).toBeCloseTo(0.01);
+
+  let at60 = 0;
+  let at120 = 0;
+  simulate(60, 2, (dt) => { at60 = damp(at60, 10, halfLife, dt); });
+  simulate(120, 2, (dt) => { at120 = damp(at120, 10, halfLife, dt); });
+  expect(at120).toBeCloseTo(at60, 6);
+});
+
+test('followTarget respects top speed and acceleration at any frame rate', () => {
+  const motion = { halfLife: 0.5, maxSpeed: 4, acceleration: 8 };
+  const run = (frameRate) => {
+    const position = new THREE.Vector3();
+    const velocity = new THREE.Vector3();
+    const target = new THREE.Vector3(100, 0, 0);
+    let topSpeed = 0;
+    simulate(frameRate, 0.25, (dt) => followTarget(position, velocity, target, motion, dt));
+    const early = velocity.length();
+    simulate(frameRate, 3, (dt) => {
+      followTarget(position, velocity, target, motion, dt);
+      topSpeed = Math.max(topSpeed, velocity.length());
+    });
+    return { early, topSpeed, x: position.x };
+  };
+
+  const at60 = run(60);
+  const at144 = run(144);
+  expect(at60.early).toBeCloseTo(2, 1); // Still accelerating after a quarter second
+  expect(at60.topSpeed).toBeCloseTo(4);
+  expect(at144.x).toBeCloseTo(at60.x, 0);
+
+  // Close targets arrive without overshooting
+  const position = new THREE.Vector3();
+  const velocity = new THREE.Vector3();
+  const target = new THREE.Vector3(0.5, 0, 0);
+  simulate(60, 5, (dt) => followTarget(position, velocity, target, motion, dt));
+  expect(position.x).toBeLessThanOrEqual(0.5);
+  expect(position.x).toBeCloseTo(0.5, 2);
+});
@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+
+/**
+ * Direct sphere driving
+ *
+ * Keyboard (the App's KeyboardControls map) and the first connected gamepad
+ * are read into one drive input: `x` is right, `y` is forward, both in
+ * [-1, 1], plus a `boost` flag. Directions are relative to the camera
+ * heading, so "forward" is always into the screen.
+ *
+ * Whichever source is active this frame wins; the sphere falls back to
+ * pointer steering as soon as both are idle.
+ */
+
+export const GAMEPAD_DEADZONE = 0.15; // Stick travel ignored around the centre
+export const GAMEPAD_BOOST_THRESHOLD = 0.5; // Right trigger travel that counts as boost
+
+// Standard gamepad mapping
+const LEFT_STICK_X = 0;
+const LEFT_STICK_Y = 1;
+const BUTTON_RIGHT_TRIGGER = 7;
+const BUTTON_LEFT_STICK = 10;
+
+export const createDriveInput = () => ({ x: 0, y: 0, boost: false, source: null });
+
+/**
+ * Rescale a stick axis so the deadzone maps to 0 and full travel to 1
+ */
+export const applyDeadzone = (value, deadzone = GAMEPAD_DEADZONE) => {
+  const magnitude = Math.abs(value);
+  if (magnitude <= deadzone) return 0;
+  return Math.sign(value) * Math.min((magnitude - deadzone) / (1 - deadzone), 1);
+};
+
+/**
+ * Read the KeyboardControls state (forward/backward/left/right/shift) into `target`
+ */
+export const readKeyboardDrive = (keys, target = createDriveInput()) => {
+  target.x = (keys.rightKeyPressed ? 1 : 0) - (keys.leftKeyPressed ? 1 : 0);
+  target.y = (keys.forwardKeyPressed ? 1 : 0) - (keys.backwardKeyPressed ? 1 : 0);
+  target.boost = Boolean(keys.shiftKeyPressed);
+  target.source = target.x !== 0 || target.y !== 0 ? 'keyboard' : null;
+  return target;
+};
+
+/**
+ * Read the first connected gamepad's left stick and boost buttons into `target`
+ */
+export const readGamepadDrive = (target = createDriveInput()) => {
+  target.x = 0;
+  target.y = 0;
+  target.boost = false;
+  target.source = null;
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) return target;
+
+  const pad = Array.from(navigator.getGamepads()).find((gamepad) => gamepad && gamepad.connected);
+  if (!pad) return target;
+
+  target.x = applyDeadzone(pad.axes[LEFT_STICK_X] ?? 0);
+  target.y = -applyDeadzone(pad.axes[LEFT_STICK_Y] ?? 0); // Stick up is negative
+  target.boost = (pad.buttons[BUTTON_RIGHT_TRIGGER]?.value ?? 0) > GAMEPAD_BOOST_THRESHOLD
+    || Boolean(pad.buttons[BUTTON_LEFT_STICK]?.pressed);
+  target.source = target.x !== 0 || target.y !== 0 ? 'gamepad' : null;
+  return target;
+};
+
+const cameraForward = new THREE.Vector3();
+
+/**
+ * World XZ direction for a drive input relative to the camera heading
+ *
+ * Diagonals are clamped to unit length; gamepad input keeps its analogue magnitude.
+ *
+ * @returns {THREE.Vector3} target, with y = 0 and length in [0, 1]
+ */
+export const driveDirection = (input, camera, target = new THREE.Vector3()) => {
+  camera.getWorldDirection(cameraForward);
+  cameraForward.y = 0;
+  if (cameraForward.lengthSq() < 1e-8) cameraForward.set(0, 0, -1);
+  cameraForward.normalize();
+
+  // Right of the heading is forward x up
+  target.set(
+    cameraForward.x * input.y - cameraForward.z * input.x,
+    0,
+    cameraForward.z * input.y + cameraForward.x * input.x
+  );
+  if (target.lengthSq() > 1) target.normalize();
+  return target;
+};
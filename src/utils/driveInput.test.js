@@ -0,0 +1,22 @@
+import { PerspectiveCamera } from 'three';
+import { applyDeadzone, driveDirection, readKeyboardDrive } from './driveInput';
+
+test('stick deadzone rescales the remaining travel', () => {
+  expect(applyDeadzone(0.1)).toBe(0);
+  expect(applyDeadzone(-1)).toBe(-1);
+  expect(applyDeadzone(0.575)).toBeCloseTo(0.5);
+});
+
+test('keyboard input drives relative to the camera heading', () => {
+  const input = readKeyboardDrive({ forwardKeyPressed: true, rightKeyPressed: true, shiftKeyPressed: true });
+  expect(input).toMatchObject({ x: 1, y: 1, boost: true, source: 'keyboard' });
+
+  // Camera looking down -X: forward is -X and right is -Z
+  const camera = new PerspectiveCamera();
+  camera.lookAt(-1, 0, 0);
+  camera.updateMatrixWorld();
+  const forward = driveDirection({ x: 0, y: 1 }, camera);
+  expect(forward.x).toBeCloseTo(-1);
+  expect(driveDirection({ x: 1, y: 0 }, camera).z).toBeCloseTo(-1);
+  expect(driveDirection({ x: 1, y: 1 }, camera).length()).toBeCloseTo(1);
+});
@@ -0,0 +1,45 @@
+/* eslint-disable no-restricted-globals */
+import { streamGrassChunks } from './grassStream';
+import { chunkTransferables } from './grassInstances';
+
+/**
+ * Grass decoder worker
+ *
+ * Streams and decodes the instance binaries (or generates instances from
+ * mask images), applies jitter, composes the instance matrices and splits
+ * them into spatial tiles off the main thread.
+ *
+ * Messages received:
+ *   { id, options } - start a request
+ *   { id, cancel }  - stop request `id`; nothing more is posted for it
+ *
+ * Messages posted back for a request `id`:
+ *   { id, progress } - download progress, see streamGrassInstanceData
+ *   { id, batch }    - { count, chunks } for the instances decoded so far;
+ *                      buffers are transferred so nothing is copied
+ *   { id, done }     - every batch has been posted
+ *   { id, error }    - { name, message }
+ */
+const controllers = new Map();
+
+self.onmessage = async ({ data: { id, options, cancel } }) => {
+  if (cancel) {
+    controllers.get(id)?.abort();
+    return;
+  }
+
+  const controller = new AbortController();
+  controllers.set(id, controller);
+  try {
+    await streamGrassChunks(options, {
+      signal: controller.signal,
+      onProgress: (progress) => self.postMessage({ id, progress }),
+      onChunks: (batch) => self.postMessage({ id, batch }, chunkTransferables(batch.chunks)),
+    });
+    self.postMessage({ id, done: true });
+  } catch (error) {
+    if (!controller.signal.aborted) self.postMessage({ id, error: { name: error.name, message: error.message } });
+  } finally {
+    controllers.delete(id);
+  }
+};
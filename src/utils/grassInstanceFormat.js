@@ -0,0 +1,332 @@
+/**
+ * Grass instance container format
+ *
+ * A single versioned binary file replacing the legacy four-file layout
+ * (positions.bin, rotations.bin, scales.bin, colors.bin).
+ *
+ * Layout (little endian):
+ *   0   char[4]  magic "GRSI"
+ *   4   uint16   version
+ *   6   uint16   flags (bit 0: colours stored as 0-255 and need normalising)
+ *   8   uint32   instance count
+ *   12  uint32   attribute count
+ *   16  float32  bbox min x, y, z
+ *   28  float32  bbox max x, y, z
+ *   40  attribute table, 8 bytes per attribute:
+ *         char[4] name, uint8 components, uint8[3] reserved
+ *   ..  instance records, float32, interleaved in attribute table order
+ *
+ * Records are interleaved per instance so any prefix of the payload holds
+ * complete instances, which keeps the format friendly to streamed reads.
+ */
+
+export const GRASS_MAGIC = 'GRSI';
+export const GRASS_FORMAT_VERSION = 1;
+export const FLAG_COLORS_NEED_NORMALIZE = 1;
+
+const HEADER_SIZE = 40;
+const ATTRIBUTE_ENTRY_SIZE = 8;
+const BYTES_PER_FLOAT = 4;
+
+// Attributes every container must provide, in legacy file order
+export const REQUIRED_ATTRIBUTES = ['posi', 'rota', 'scal', 'colr'];
+
+// Names are four characters so they fit the attribute table
+export const ATTRIBUTE_COMPONENTS = {
+  posi: 3,
+  rota: 3,
+  scal: 3,
+  colr: 3,
+  vari: 1, // Optional blade texture variant
+};
+
+/**
+ * Error raised for malformed, truncated or inconsistent grass data
+ */
+export class GrassDataError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'GrassDataError';
+    this.source = source;
+  }
+}
+
+const readMagic = (view) => String.fromCharCode(
+  view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3)
+);
+
+/**
+ * Returns true when the buffer starts with the container magic
+ */
+export const isGrassContainer = (buffer) => {
+  if (!buffer || buffer.byteLength < 4) return false;
+  return readMagic(new DataView(buffer)) === GRASS_MAGIC;
+};
+
+/**
+ * Parse the container header and attribute table
+ *
+ * @param {ArrayBuffer} buffer - Container bytes (may be a partial download)
+ * @param {string} source - Name used in error messages
+ * @returns {object} header with count, attributes, stride, dataOffset, bbox, flags
+ */
+export const readGrassHeader = (buffer, source = 'grass container') => {
+  if (buffer.byteLength < HEADER_SIZE) {
+    throw new GrassDataError(`truncated header (${buffer.byteLength} of ${HEADER_SIZE} bytes)`, source);
+  }
+
+  const view = new DataView(buffer);
+  const magic = readMagic(view);
+  if (magic !== GRASS_MAGIC) {
+    throw new GrassDataError(`bad magic "${magic}", expected "${GRASS_MAGIC}"`, source);
+  }
+
+  const version = view.getUint16(4, true);
+  if (version !== GRASS_FORMAT_VERSION) {
+    throw new GrassDataError(`unsupported version ${version} (this build reads version ${GRASS_FORMAT_VERSION})`, source);
+  }
+
+  const flags = view.getUint16(6, true);
+  const count = view.getUint32(8, true);
+  const attributeCount = view.getUint32(12, true);
+  const bbox = {
+    min: [view.getFloat32(16, true), view.getFloat32(20, true), view.getFloat32(24, true)],
+    max: [view.getFloat32(28, true), view.getFloat32(32, true), view.getFloat32(36, true)],
+  };
+
+  const dataOffset = HEADER_SIZE + attributeCount * ATTRIBUTE_ENTRY_SIZE;
+  if (buffer.byteLength < dataOffset) {
+    throw new GrassDataError(`truncated attribute table (${attributeCount} attributes declared)`, source);
+  }
+
+  const attributes = [];
+  let stride = 0;
+  for (let i = 0; i < attributeCount; i++) {
+    const base = HEADER_SIZE + i * ATTRIBUTE_ENTRY_SIZE;
+    const name = String.fromCharCode(
+      view.getUint8(base), view.getUint8(base + 1), view.getUint8(base + 2), view.getUint8(base + 3)
+    );
+    const components = view.getUint8(base + 4);
+    const expected = ATTRIBUTE_COMPONENTS[name];
+    if (expected !== undefined && components !== expected) {
+      throw new GrassDataError(`attribute "${name}" has ${components} components, expected ${expected}`, source);
+    }
+    attributes.push({ name, components, offset: stride });
+    stride += components;
+  }
+
+  REQUIRED_ATTRIBUTES.forEach((name) => {
+    if (!attributes.some((attr) => attr.name === name)) {
+      throw new GrassDataError(`missing required attribute "${name}"`, source);
+    }
+  });
+
+  return {
+    version,
+    flags,
+    count,
+    attributes,
+    stride,
+    dataOffset,
+    bbox,
+    colorsNeedNormalize: (flags & FLAG_COLORS_NEED_NORMALIZE) !== 0,
+  };
+};
+
+/**
+ * De-interleave `count` records starting at `firstRecord` into per-attribute arrays
+ */
+export const readGrassRecords = (buffer, header, firstRecord, count) => {
+  const records = new Float32Array(
+    buffer,
+    header.dataOffset + firstRecord * header.stride * BYTES_PER_FLOAT,
+    count * header.stride
+  );
+
+  const out = {};
+  header.attributes.forEach(({ name, components, offset }) => {
+    const target = new Float32Array(count * components);
+    for (let i = 0; i < count; i++) {
+      const src = i * header.stride + offset;
+      const dst = i * components;
+      for (let c = 0; c < components; c++) {
+        target[dst + c] = records[src + c];
+      }
+    }
+    out[name] = target;
+  });
+  return out;
+};
+
+/**
+ * Number of complete instance records in the first `byteLength` bytes
+ */
+export const countAvailableRecords = (header, byteLength) => Math.max(0, Math.min(
+  header.count,
+  Math.floor((byteLength - header.dataOffset) / (header.stride * BYTES_PER_FLOAT))
+));
+
+/**
+ * Throw unless `byteLength` is exactly the size the header declares
+ */
+export const assertGrassPayloadSize = (header, byteLength, source = 'grass container') => {
+  const expectedBytes = header.dataOffset + header.count * header.stride * BYTES_PER_FLOAT;
+
+  if (byteLength < expectedBytes) {
+    throw new GrassDataError(
+      `truncated payload: header declares ${header.count} instances but only ${countAvailableRecords(header, byteLength)} are present`,
+      source
+    );
+  }
+  if (byteLength > expectedBytes) {
+    throw new GrassDataError(
+      `${byteLength - expectedBytes} unexpected trailing bytes after ${header.count} instances`,
+      source
+    );
+  }
+};
+
+/**
+ * Decode a complete container into the same shape as the legacy loader
+ *
+ * @param {ArrayBuffer} buffer - Complete container bytes
+ * @param {string} source - Name used in error messages
+ */
+export const decodeGrassContainer = (buffer, source = 'grass container') => {
+  const header = readGrassHeader(buffer, source);
+  assertGrassPayloadSize(header, buffer.byteLength, source);
+
+  const attrs = readGrassRecords(buffer, header, 0, header.count);
+  return {
+    count: header.count,
+    positions: attrs.posi,
+    rotations: attrs.rota,
+    scales: attrs.scal,
+    colors: attrs.colr,
+    variants: attrs.vari ?? null,
+    bbox: header.bbox,
+    colorsNeedNormalize: header.colorsNeedNormalize,
+  };
+};
+
+const computeBoundingBox = (positions) => {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let c = 0; c < 3; c++) {
+      const v = positions[i + c];
+      if (v < min[c]) min[c] = v;
+      if (v > max[c]) max[c] = v;
+    }
+  }
+  if (positions.length === 0) return { min: [0, 0, 0], max: [0, 0, 0] };
+  return { min, max };
+};
+
+/**
+ * Whether legacy colours are stored as 0-255 rather than 0-1; the files
+ * carry no flag, so any component above 1 anywhere in the file decides it
+ */
+export const detectColorsNeedNormalize = (colors) => {
+  for (let i = 0; i < colors.length; i++) {
+    if (colors[i] > 1) return true;
+  }
+  return false;
+};
+
+/**
+ * Validate the legacy four-file layout and return it in decoded form
+ *
+ * Each buffer must hold whole vec3 entries and all four must agree on the count.
+ * Colour normalisation is detected from the whole colour file (detectColorsNeedNormalize).
+ */
+export const decodeLegacyGrassFiles = ({ positions, rotations, scales, colors }, names = {}) => {
+  const files = [
+    ['positions', positions, names.positions],
+    ['rotations', rotations, names.rotations],
+    ['scales', scales, names.scales],
+    ['colors', colors, names.colors],
+  ];
+
+  const arrays = {};
+  let count = null;
+  files.forEach(([key, buffer, name]) => {
+    const source = name || `${key}.bin`;
+    if (buffer.byteLength % (3 * BYTES_PER_FLOAT) !== 0) {
+      throw new GrassDataError(`size ${buffer.byteLength} is not a whole number of vec3 float entries`, source);
+    }
+    const array = new Float32Array(buffer);
+    const entries = array.length / 3;
+    if (count === null) {
+      count = entries;
+    } else if (entries !== count) {
+      throw new GrassDataError(`holds ${entries} instances but ${files[0][2] || 'positions.bin'} holds ${count}`, source);
+    }
+    arrays[key] = array;
+  });
+
+  return {
+    count,
+    positions: arrays.positions,
+    rotations: arrays.rotations,
+    scales: arrays.scales,
+    colors: arrays.colors,
+    variants: null,
+    bbox: computeBoundingBox(arrays.positions),
+    colorsNeedNormalize: detectColorsNeedNormalize(arrays.colors),
+  };
+};
+
+/**
+ * Encode instance data into a container
+ *
+ * @param {object} data - { positions, rotations, scales, colors, variants?, colorsNeedNormalize? }
+ * @returns {ArrayBuffer}
+ */
+export const encodeGrassContainer = ({ positions, rotations, scales, colors, variants = null, colorsNeedNormalize = false }) => {
+  const count = positions.length / 3;
+  const sources = { posi: positions, rota: rotations, scal: scales, colr: colors };
+  if (variants) sources.vari = variants;
+
+  const attributes = [];
+  let stride = 0;
+  Object.entries(sources).forEach(([name, array]) => {
+    const components = ATTRIBUTE_COMPONENTS[name];
+    if (array.length !== count * components) {
+      throw new GrassDataError(`attribute "${name}" has ${array.length / components} entries, expected ${count}`, 'encoder');
+    }
+    attributes.push({ name, components, array, offset: stride });
+    stride += components;
+  });
+
+  const dataOffset = HEADER_SIZE + attributes.length * ATTRIBUTE_ENTRY_SIZE;
+  const buffer = new ArrayBuffer(dataOffset + count * stride * BYTES_PER_FLOAT);
+  const view = new DataView(buffer);
+
+  for (let i = 0; i < 4; i++) view.setUint8(i, GRASS_MAGIC.charCodeAt(i));
+  view.setUint16(4, GRASS_FORMAT_VERSION, true);
+  view.setUint16(6, colorsNeedNormalize ? FLAG_COLORS_NEED_NORMALIZE : 0, true);
+  view.setUint32(8, count, true);
+  view.setUint32(12, attributes.length, true);
+
+  const bbox = computeBoundingBox(positions);
+  bbox.min.forEach((v, i) => view.setFloat32(16 + i * 4, v, true));
+  bbox.max.forEach((v, i) => view.setFloat32(28 + i * 4, v, true));
+
+  attributes.forEach(({ name, components }, i) => {
+    const base = HEADER_SIZE + i * ATTRIBUTE_ENTRY_SIZE;
+    for (let c = 0; c < 4; c++) view.setUint8(base + c, name.charCodeAt(c));
+    view.setUint8(base + 4, components);
+  });
+
+  const records = new Float32Array(buffer, dataOffset);
+  attributes.forEach(({ components, array, offset }) => {
+    for (let i = 0; i < count; i++) {
+      for (let c = 0; c < components; c++) {
+        records[i * stride + offset + c] = array[i * components + c];
+      }
+    }
+  });
+
+  return buffer;
+};
@@ -0,0 +1,56 @@
+import {
+  GrassDataError,
+  decodeGrassContainer,
+  decodeLegacyGrassFiles,
+  encodeGrassContainer,
+  isGrassContainer,
+} from './grassInstanceFormat';
+
+const sample = () => ({
+  positions: new Float32Array([0, 0, 0, 1, 2, 3]),
+  rotations: new Float32Array([0, 0.5, 0, 0, 1, 0]),
+  scales: new Float32Array([1, 1, 1, 2, 2, 2]),
+  colors: new Float32Array([0.1, 0.2, 0.3, 0.4, 0.5, 0.6]),
+});
+
+test('round-trips instance data through the container', () => {
+  const buffer = encodeGrassContainer({ ...sample(), variants: new Float32Array([0, 3]) });
+  expect(isGrassContainer(buffer)).toBe(true);
+
+  const decoded = decodeGrassContainer(buffer);
+  expect(decoded.count).toBe(2);
+  expect(Array.from(decoded.positions)).toEqual([0, 0, 0, 1, 2, 3]);
+  expect(Array.from(decoded.variants)).toEqual([0, 3]);
+  expect(decoded.bbox.max).toEqual([1, 2, 3]);
+  expect(decoded.colorsNeedNormalize).toBe(false);
+});
+
+test('reports truncated containers', () => {
+  const buffer = encodeGrassContainer(sample());
+  expect(() => decodeGrassContainer(buffer.slice(0, buffer.byteLength - 4), 'grass.bin'))
+    .toThrow(/grass\.bin: truncated payload: header declares 2 instances but only 1 are present/);
+  expect(() => decodeGrassContainer(buffer.slice(0, 12))).toThrow(GrassDataError);
+});
+
+test('reports legacy files that disagree on the instance count', () => {
+  const files = sample();
+  const buffers = {
+    positions: files.positions.buffer,
+    rotations: files.rotations.buffer,
+    scales: files.scales.buffer.slice(0, 12),
+    colors: files.colors.buffer,
+  };
+  expect(() => decodeLegacyGrassFiles(buffers)).toThrow(/scales\.bin: holds 1 instances but positions\.bin holds 2/);
+});
+
+test('detects 0-255 colours in legacy files', () => {
+  const files = sample();
+  files.colors = new Float32Array([255, 128, 0, 0, 0, 0]);
+  const decoded = decodeLegacyGrassFiles({
+    positions: files.positions.buffer,
+    rotations: files.rotations.buffer,
+    scales: files.scales.buffer,
+    colors: files.colors.buffer,
+  });
+  expect(decoded.colorsNeedNormalize).toBe(true);
+});
@@ -0,0 +1,310 @@
+import { Euler, Matrix4, Quaternion, Vector3 } from 'three';
+import { createRandom } from './random';
+
+export const REDUCED_INSTANCE_COUNT = 400000; // Balanced for good coverage and performance
+
+// Source rotation/scale for generated blades: upright, full yaw range after jitter
+export const DEFAULT_BLADE_ROTATION = [Math.PI / 2, Math.PI * 2, 1];
+export const DEFAULT_BLADE_SCALE = [1, 1, 1];
+
+// Reusable objects for matrix composition
+const tmpPosition = new Vector3();
+const tmpEuler = new Euler();
+const tmpQuaternion = new Quaternion();
+const tmpScale = new Vector3();
+const tmpMatrix = new Matrix4();
+
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+/**
+ * Build a sampler that picks a variant index with probability proportional to its weight
+ */
+export const createWeightedPicker = (weights) => {
+  const cumulative = [];
+  let total = 0;
+  weights.forEach((w) => {
+    total += Math.max(0, w);
+    cumulative.push(total);
+  });
+  if (total <= 0) return () => 0;
+
+  return (r) => {
+    const target = r * total;
+    for (let i = 0; i < cumulative.length; i++) {
+      if (target < cumulative[i]) return i;
+    }
+    return cumulative.length - 1;
+  };
+};
+
+/**
+ * Turn decoded instance data into GPU-ready buffers
+ *
+ * Applies the smart sampling, rotation/scale/colour jitter and texture index
+ * selection, then composes one matrix per instance so the result can be
+ * uploaded straight into `instanceMatrix`, `color` and `aTextureIndex`.
+ *
+ * @param {object} data - Output of the grass loaders (positions, rotations, scales, colors, ...)
+ * @param {object} options
+ * @param {number} options.instanceCount - Optional cap on the instance count
+ * @param {number[]} options.variantWeights - Relative weight of each blade texture variant
+ * @param {string} options.seed - Scene seed for the jitter
+ * @param {function} options.random - Random stream to continue (streamed batches share one)
+ * @param {number} options.sourceOffset - Index of the batch's first instance in the full source
+ * @param {number} options.sourceTotal - Instance count of the full source
+ * @returns {{ count: number, matrices: Float32Array, colors: Float32Array, textureIndices: Float32Array }}
+ */
+export const buildGrassInstanceBuffers = (data, {
+  instanceCount,
+  variantWeights = [1, 1, 1, 1],
+  seed = 0,
+  random = createRandom(seed, 'grass'),
+  sourceOffset = 0,
+  sourceTotal = data.count,
+} = {}) => {
+  const { count: batchCount, positions, rotations, scales, colors, variants, colorsNeedNormalize } = data;
+  const pickVariant = createWeightedPicker(variantWeights);
+  const variantCount = variantWeights.length;
+
+  // Smart instance limiting - ensure good coverage while maintaining performance
+  const maxCount = Math.min(sourceTotal, REDUCED_INSTANCE_COUNT);
+
+  // If we have a lot of data, use sampling instead of just truncating
+  const useSmartSampling = sourceTotal > REDUCED_INSTANCE_COUNT;
+  const totalCount = instanceCount ? Math.min(instanceCount, maxCount) : maxCount;
+
+  // Output instances whose source falls inside this batch
+  const firstOutput = useSmartSampling
+    ? Math.ceil((sourceOffset * totalCount) / sourceTotal)
+    : Math.min(sourceOffset, totalCount);
+  const endOutput = useSmartSampling
+    ? Math.ceil(((sourceOffset + batchCount) * totalCount) / sourceTotal)
+    : Math.min(sourceOffset + batchCount, totalCount);
+  const count = Math.max(0, endOutput - firstOutput);
+
+  const matrices = new Float32Array(count * 16);
+  const instColors = new Float32Array(count * 3);
+  const textureIndices = new Float32Array(count);
+  const colorScale = colorsNeedNormalize ? 1 / 255 : 1;
+  const colorVar = 0.1; // Subtle colour variation for more natural grass
+
+  for (let i = 0; i < count; i++) {
+    // Distribute sampling evenly across the entire dataset
+    const outputIndex = firstOutput + i;
+    const sourceIndex = (useSmartSampling ? Math.floor((outputIndex * sourceTotal) / totalCount) : outputIndex) - sourceOffset;
+    const s3 = sourceIndex * 3;
+    const i3 = i * 3;
+
+    // Transform data with variation for a natural look
+    tmpPosition.set(positions[s3], positions[s3 + 1], positions[s3 + 2]);
+    tmpEuler.set(
+      rotations[s3] + 0.5 * random(),
+      rotations[s3 + 1] * random(),
+      rotations[s3 + 2] - 1 + 0.5 * random()
+    );
+    tmpQuaternion.setFromEuler(tmpEuler);
+    tmpScale.set(
+      scales[s3] * (0.8 + random() * 0.4),
+      scales[s3 + 1] * (0.9 + random() * 0.2),
+      scales[s3 + 2] * (0.8 + random() * 0.4)
+    );
+    tmpMatrix.compose(tmpPosition, tmpQuaternion, tmpScale);
+    tmpMatrix.toArray(matrices, i * 16);
+
+    instColors[i3] = clamp01(colors[s3] * colorScale + (random() - 0.5) * colorVar);
+    instColors[i3 + 1] = clamp01(colors[s3 + 1] * colorScale + (random() - 0.5) * colorVar);
+    instColors[i3 + 2] = clamp01(colors[s3 + 2] * colorScale + (random() - 0.5) * colorVar);
+
+    // Authored variants (e.g. from the container) win over weighted random picks;
+    // a negative variant (unassigned in the editor) falls back to the weighted pick
+    textureIndices[i] = variants && variants[sourceIndex] >= 0
+      ? Math.min(variants[sourceIndex], variantCount - 1)
+      : pickVariant(random());
+  }
+
+  return { count, matrices, colors: instColors, textureIndices };
+};
+
+export const GRASS_TILE_SIZE = 16; // Tile edge length in grass-local units
+const BLADE_MARGIN = 2.5; // Covers blade size and bending when building tile bounds
+
+const boundingSphereOf = (boxMin, boxMax) => {
+  const center = boxMin.map((v, k) => (v + boxMax[k]) / 2);
+  const radius = Math.hypot(boxMax[0] - center[0], boxMax[1] - center[1], boxMax[2] - center[2]);
+  return { center, radius };
+};
+
+// Fisher-Yates shuffle of a tile's instances so any prefix is an even subsample
+const shuffleTile = (tile, random) => {
+  const { matrices, colors, textureIndices } = tile;
+  const tmp = new Float32Array(16);
+  for (let i = tile.count - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    if (i === j) continue;
+
+    tmp.set(matrices.subarray(i * 16, i * 16 + 16));
+    matrices.copyWithin(i * 16, j * 16, j * 16 + 16);
+    matrices.set(tmp, j * 16);
+
+    for (let c = 0; c < 3; c++) {
+      const v = colors[i * 3 + c];
+      colors[i * 3 + c] = colors[j * 3 + c];
+      colors[j * 3 + c] = v;
+    }
+
+    const t = textureIndices[i];
+    textureIndices[i] = textureIndices[j];
+    textureIndices[j] = t;
+  }
+};
+
+/**
+ * Split instance buffers into a grid of tiles for per-tile frustum culling
+ *
+ * Instances are bucketed on their local XY position (the grass group is Z-up).
+ * Each tile gets its own matrices/colours/texture indices plus a bounding box
+ * and sphere in grass-local space, padded so bent blades never pop out.
+ *
+ * Instances are shuffled within each tile and given an LOD rank in [0, 1),
+ * so drawing the first N instances of a tile is an even density reduction.
+ *
+ * @param {object} buffers - Output of buildGrassInstanceBuffers
+ * @param {number} tileSize - Tile edge length in grass-local units
+ * @param {string} seed - Scene seed for the in-tile shuffle
+ * @param {string} shuffleKey - Random stream for the shuffle, distinct per streamed batch
+ * @returns {Array<object>} chunks, keyed by tile cell
+ */
+export const partitionGrassChunks = ({ count, matrices, colors, textureIndices }, tileSize = GRASS_TILE_SIZE, seed = 0, shuffleKey = '') => {
+  // First pass: count instances per tile
+  const tiles = new Map();
+  const tileOf = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const x = matrices[i * 16 + 12];
+    const y = matrices[i * 16 + 13];
+    const ix = Math.floor(x / tileSize);
+    const iy = Math.floor(y / tileSize);
+    const key = `${ix}:${iy}`;
+    let tile = tiles.get(key);
+    if (!tile) {
+      tile = {
+        key, ix, iy, count: 0, filled: 0,
+        min: [Infinity, Infinity, Infinity],
+        max: [-Infinity, -Infinity, -Infinity],
+      };
+      tiles.set(key, tile);
+    }
+    tile.count++;
+    tileOf[i] = tile;
+  }
+
+  tiles.forEach((tile) => {
+    tile.matrices = new Float32Array(tile.count * 16);
+    tile.colors = new Float32Array(tile.count * 3);
+    tile.textureIndices = new Float32Array(tile.count);
+  });
+
+  // Second pass: copy instance data into its tile and grow the tile bounds
+  for (let i = 0; i < count; i++) {
+    const tile = tileOf[i];
+    const j = tile.filled++;
+    tile.matrices.set(matrices.subarray(i * 16, i * 16 + 16), j * 16);
+    tile.colors.set(colors.subarray(i * 3, i * 3 + 3), j * 3);
+    tile.textureIndices[j] = textureIndices[i];
+    for (let c = 0; c < 3; c++) {
+      const v = matrices[i * 16 + 12 + c];
+      if (v < tile.min[c]) tile.min[c] = v;
+      if (v > tile.max[c]) tile.max[c] = v;
+    }
+  }
+
+  const random = createRandom(seed, `grass-lod${shuffleKey}`);
+  tiles.forEach((tile) => shuffleTile(tile, random));
+
+  return Array.from(tiles.values()).map(({ key, ix, iy, count: tileCount, matrices: m, colors: c, textureIndices: t, min, max }) => {
+    const lodRanks = new Float32Array(tileCount);
+    for (let j = 0; j < tileCount; j++) lodRanks[j] = (j + 0.5) / tileCount;
+
+    const boxMin = min.map((v) => v - BLADE_MARGIN);
+    const boxMax = max.map((v) => v + BLADE_MARGIN);
+    return {
+      key, ix, iy,
+      count: tileCount,
+      matrices: m,
+      colors: c,
+      textureIndices: t,
+      lodRanks,
+      bbox: { min: boxMin, max: boxMax },
+      boundingSphere: boundingSphereOf(boxMin, boxMax),
+    };
+  });
+};
+
+/**
+ * Join two tiles of the same cell into one
+ *
+ * Both are already shuffled, so interleaving them by LOD rank keeps drawing
+ * the first N instances an even density reduction; ranks are then spread
+ * evenly over the joined tile again.
+ */
+const joinGrassChunks = (a, b) => {
+  const count = a.count + b.count;
+  const matrices = new Float32Array(count * 16);
+  const colors = new Float32Array(count * 3);
+  const textureIndices = new Float32Array(count);
+  const lodRanks = new Float32Array(count);
+
+  let ia = 0;
+  let ib = 0;
+  for (let j = 0; j < count; j++) {
+    const fromA = ib >= b.count || (ia < a.count && a.lodRanks[ia] <= b.lodRanks[ib]);
+    const source = fromA ? a : b;
+    const i = fromA ? ia++ : ib++;
+    matrices.set(source.matrices.subarray(i * 16, i * 16 + 16), j * 16);
+    colors.set(source.colors.subarray(i * 3, i * 3 + 3), j * 3);
+    textureIndices[j] = source.textureIndices[i];
+    lodRanks[j] = (j + 0.5) / count;
+  }
+
+  const boxMin = a.bbox.min.map((v, k) => Math.min(v, b.bbox.min[k]));
+  const boxMax = a.bbox.max.map((v, k) => Math.max(v, b.bbox.max[k]));
+  return {
+    key: a.key, ix: a.ix, iy: a.iy,
+    count,
+    matrices,
+    colors,
+    textureIndices,
+    lodRanks,
+    bbox: { min: boxMin, max: boxMax },
+    boundingSphere: boundingSphereOf(boxMin, boxMax),
+  };
+};
+
+/**
+ * Fold a streamed batch's tiles into the tiles built so far
+ *
+ * Tiles of the same cell are joined, so a binary that streams in many
+ * batches still draws one mesh per tile. Tiles the batch does not touch are
+ * kept as they are.
+ *
+ * @param {Array<object>} chunks - Tiles so far
+ * @param {Array<object>} incoming - Tiles from partitionGrassChunks for the next batch
+ * @returns {Array<object>} new chunk list
+ */
+export const mergeGrassChunks = (chunks, incoming) => {
+  const byKey = new Map(chunks.map((chunk) => [chunk.key, chunk]));
+  incoming.forEach((chunk) => {
+    const existing = byKey.get(chunk.key);
+    byKey.set(chunk.key, existing ? joinGrassChunks(existing, chunk) : chunk);
+  });
+  return Array.from(byKey.values());
+};
+
+/**
+ * Collect the transferable buffers of a chunk list for postMessage
+ */
+export const chunkTransferables = (chunks) => chunks.flatMap((chunk) => [
+  chunk.matrices.buffer,
+  chunk.colors.buffer,
+  chunk.textureIndices.buffer,
+  chunk.lodRanks.buffer,
+]);
@@ -0,0 +1,33 @@
+import { mergeGrassChunks, partitionGrassChunks } from './grassInstances';
+
+// Instances spread over x in [0, 20) at y = 1, in two tiles of size 10
+const batch = (count, offset) => {
+  const matrices = new Float32Array(count * 16);
+  for (let i = 0; i < count; i++) {
+    matrices[i * 16] = 1;
+    matrices[i * 16 + 12] = ((i + offset) * 7.3) % 20;
+    matrices[i * 16 + 13] = 1;
+  }
+  return { count, matrices, colors: new Float32Array(count * 3), textureIndices: new Float32Array(count) };
+};
+
+test('streamed batches fold into one tile per cell', () => {
+  const first = partitionGrassChunks(batch(40, 0), 10, 'seed', ':b0');
+  const second = partitionGrassChunks(batch(30, 40), 10, 'seed', ':b1');
+  expect(first.map((chunk) => chunk.key).sort()).toEqual(['0:0', '1:0']);
+
+  const merged = mergeGrassChunks(first, second);
+  expect(merged.map((chunk) => chunk.key).sort()).toEqual(['0:0', '1:0']);
+  expect(merged.reduce((sum, chunk) => sum + chunk.count, 0)).toBe(70);
+
+  merged.forEach((chunk) => {
+    const ranks = Array.from(chunk.lodRanks);
+    expect(ranks).toEqual([...ranks].sort((a, b) => a - b));
+    expect(ranks[ranks.length - 1]).toBeCloseTo(1 - 0.5 / chunk.count);
+    for (let j = 0; j < chunk.count; j++) {
+      const x = chunk.matrices[j * 16 + 12];
+      expect(x).toBeGreaterThanOrEqual(chunk.bbox.min[0]);
+      expect(x).toBeLessThanOrEqual(chunk.bbox.max[0]);
+    }
+  });
+});
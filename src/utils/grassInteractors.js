@@ -0,0 +1,87 @@
+import { useEffect, useRef } from 'react';
+import * as THREE from 'three';
+
+/**
+ * Grass interactors
+ *
+ * Anything that should push grass aside registers here with its own radius
+ * and strength. The grass trample map stamps every registered interactor each
+ * frame, so new characters bend grass without touching Curve-base.jsx.
+ *
+ *   const unregister = registerGrassInteractor({
+ *     getPosition: (target) => target.copy(agent.position),
+ *     radius: 2,
+ *     strength: 0.8,
+ *   });
+ */
+
+export const MAX_GRASS_INTERACTORS = 16; // Extra registrations beyond this are ignored
+export const DEFAULT_INTERACTOR_RADIUS = 4.0;
+
+const interactors = new Set();
+
+/**
+ * Register an interactor
+ *
+ * @param {object} interactor
+ * @param {function(THREE.Vector3): THREE.Vector3|null} interactor.getPosition - Writes the world position into target, or returns null to skip this frame
+ * @param {number} interactor.radius - Bend radius in world units
+ * @param {number} interactor.strength - Influence multiplier, 1 matches the sphere
+ * @returns {function} unregister
+ */
+export const registerGrassInteractor = ({ getPosition, radius = DEFAULT_INTERACTOR_RADIUS, strength = 1 }) => {
+  const entry = { getPosition, radius, strength };
+  interactors.add(entry);
+  return () => interactors.delete(entry);
+};
+
+export const getGrassInteractors = () => interactors;
+
+/**
+ * Register a ref'd Object3D (or Vector3) as an interactor for the component's lifetime
+ *
+ * @param {React.RefObject} ref - Ref to an Object3D or a Vector3
+ * @param {object} options - { radius, strength, enabled }
+ */
+export const useGrassInteractor = (ref, { radius = DEFAULT_INTERACTOR_RADIUS, strength = 1, enabled = true } = {}) => {
+  const settings = useRef({ radius, strength });
+  settings.current.radius = radius;
+  settings.current.strength = strength;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const entry = {
+      getPosition: (target) => {
+        const value = ref.current;
+        if (!value) return null;
+        if (value.isVector3) return target.copy(value);
+        return value.getWorldPosition(target);
+      },
+      get radius() { return settings.current.radius; },
+      get strength() { return settings.current.strength; },
+    };
+    interactors.add(entry);
+    return () => interactors.delete(entry);
+  }, [ref, enabled]);
+};
+
+// Scratch vector for reading interactor positions
+const scratch = new THREE.Vector3();
+
+/**
+ * Write up to `max` interactors into a flat vec4 array (x, z, radius, strength)
+ *
+ * @returns {number} number of interactors written
+ */
+export const packGrassInteractors = (target, max = MAX_GRASS_INTERACTORS) => {
+  let count = 0;
+  for (const interactor of interactors) {
+    if (count >= max) break;
+    if (interactor.strength <= 0 || interactor.radius <= 0) continue;
+    if (!interactor.getPosition(scratch)) continue;
+    target[count].set(scratch.x, scratch.z, interactor.radius, interactor.strength);
+    count++;
+  }
+  return count;
+};
@@ -0,0 +1,119 @@
+import * as THREE from 'three';
+
+/**
+ * Lit grass
+ *
+ * Optional lighting for the grass blades, which are otherwise unlit vertex
+ * colours. Blades are thin and mostly seen edge-on, so instead of a full PBR
+ * model the shader uses a few cheap terms that read well on foliage:
+ *   wrap diffuse   - sun light wraps past the terminator so blades never go flat black
+ *   translucency   - sun shining through blades when looking towards it
+ *   hemisphere     - sky-to-ground ambient along the (normal-mapped) blade normal
+ *   root occlusion - darkens blades towards their roots, where they shade each other
+ *
+ * Like the wind, every grass material shares `grassLightingUniforms`, so
+ * settings changes reach all tiles without recompiling. Whether lighting is
+ * compiled in at all follows the performance tier (see isGrassLightingEnabled).
+ */
+
+export const GRASS_LIGHTING_MODES = ['auto', 'on', 'off'];
+
+export const DEFAULT_GRASS_LIGHTING = {
+  mode: 'auto', // 'auto' follows the performance tier, 'on' / 'off' force it
+  sunAzimuth: 135, // Degrees, 0 = +Z, 90 = +X
+  sunElevation: 40, // Degrees above the horizon
+  sunIntensity: 1.1,
+  ambientIntensity: 0.55,
+  wrap: 0.5, // 0 = Lambert, 1 = light wraps all the way round
+  translucency: 0.8,
+  rootOcclusion: 0.6, // Darkening at the blade root
+  normalStrength: 1.0,
+};
+
+// 'auto' mode switches lighting on at the first tier and keeps it while the tier
+// stays in the second list; the gap stops it flickering, since turning lighting
+// off raises the frame rate
+export const GRASS_LIGHTING_ENABLE_TIERS = ['EXCELLENT'];
+export const GRASS_LIGHTING_KEEP_TIERS = ['EXCELLENT', 'GOOD'];
+
+const SUN_COLOR = new THREE.Color('#fff1d0');
+const SKY_COLOR = new THREE.Color('#b4cfee');
+const GROUND_COLOR = new THREE.Color('#4a5a2c');
+const TRANSLUCENCY_COLOR = new THREE.Color('#b8e060'); // Light tinted by passing through chlorophyll
+
+export const grassLightingUniforms = {
+  sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+  sunColor: { value: new THREE.Color() },
+  skyColor: { value: new THREE.Color() },
+  groundColor: { value: new THREE.Color() },
+  translucencyColor: { value: TRANSLUCENCY_COLOR.clone() },
+  lightWrap: { value: DEFAULT_GRASS_LIGHTING.wrap },
+  translucency: { value: DEFAULT_GRASS_LIGHTING.translucency },
+  rootOcclusion: { value: DEFAULT_GRASS_LIGHTING.rootOcclusion },
+  grassNormalStrength: { value: DEFAULT_GRASS_LIGHTING.normalStrength },
+};
+
+/**
+ * Unit vector towards the sun for azimuth / elevation in degrees
+ */
+export const sunDirectionFromAngles = (azimuth, elevation, target = new THREE.Vector3()) => {
+  const az = THREE.MathUtils.degToRad(azimuth);
+  const el = THREE.MathUtils.degToRad(elevation);
+  return target.set(Math.cos(el) * Math.sin(az), Math.sin(el), Math.cos(el) * Math.cos(az));
+};
+
+/**
+ * Apply lighting settings (any subset of DEFAULT_GRASS_LIGHTING)
+ */
+export const setGrassLighting = (settings) => {
+  const merged = { ...DEFAULT_GRASS_LIGHTING, ...settings };
+  sunDirectionFromAngles(merged.sunAzimuth, merged.sunElevation, grassLightingUniforms.sunDirection.value);
+  grassLightingUniforms.sunColor.value.copy(SUN_COLOR).multiplyScalar(merged.sunIntensity);
+  grassLightingUniforms.skyColor.value.copy(SKY_COLOR).multiplyScalar(merged.ambientIntensity);
+  grassLightingUniforms.groundColor.value.copy(GROUND_COLOR).multiplyScalar(merged.ambientIntensity);
+  grassLightingUniforms.lightWrap.value = merged.wrap;
+  grassLightingUniforms.translucency.value = merged.translucency;
+  grassLightingUniforms.rootOcclusion.value = merged.rootOcclusion;
+  grassLightingUniforms.grassNormalStrength.value = merged.normalStrength;
+};
+
+setGrassLighting(DEFAULT_GRASS_LIGHTING);
+
+/**
+ * Whether the lit shader should be compiled in for this mode and performance tier
+ *
+ * @param {boolean} wasEnabled - Current state, for the 'auto' hysteresis
+ */
+export const isGrassLightingEnabled = (mode, performanceLevel, wasEnabled = false) => {
+  if (mode === 'on') return true;
+  if (mode === 'off') return false;
+  const tiers = wasEnabled ? GRASS_LIGHTING_KEEP_TIERS : GRASS_LIGHTING_ENABLE_TIERS;
+  return tiers.includes(performanceLevel);
+};
+
+export const GRASS_LIGHTING_SHADER = `
+  uniform vec3 sunDirection;
+  uniform vec3 sunColor;
+  uniform vec3 skyColor;
+  uniform vec3 groundColor;
+  uniform vec3 translucencyColor;
+  uniform float lightWrap;
+  uniform float translucency;
+  uniform float rootOcclusion;
+  uniform float grassNormalStrength;
+
+  // Light reaching a blade point; multiply by the blade albedo
+  vec3 grassLight(vec3 n, vec3 viewDir, float bladeHeight) {
+    float ndl = dot(n, sunDirection);
+    float wrapped = max((ndl + lightWrap) / (1.0 + lightWrap), 0.0);
+
+    // Back light scattered through the blade, strongest looking straight into the sun
+    vec3 scatterDir = normalize(sunDirection + n * 0.3);
+    float scatter = pow(clamp(dot(viewDir, -scatterDir), 0.0, 1.0), 3.0) * translucency;
+
+    vec3 ambient = mix(groundColor, skyColor, n.y * 0.5 + 0.5);
+    float occlusion = mix(1.0 - rootOcclusion, 1.0, smoothstep(0.0, 0.6, bladeHeight));
+
+    return (ambient + sunColor * wrapped + sunColor * translucencyColor * scatter) * occlusion;
+  }
+`;
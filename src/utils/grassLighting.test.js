@@ -0,0 +1,14 @@
+import { isGrassLightingEnabled, sunDirectionFromAngles } from './grassLighting';
+
+test('auto lighting switches on at the top tier and holds through the next one', () => {
+  expect(isGrassLightingEnabled('auto', 'GOOD', false)).toBe(false);
+  expect(isGrassLightingEnabled('auto', 'EXCELLENT', false)).toBe(true);
+  expect(isGrassLightingEnabled('auto', 'GOOD', true)).toBe(true);
+  expect(isGrassLightingEnabled('auto', 'POOR', true)).toBe(false);
+  expect(isGrassLightingEnabled('on', 'CRITICAL', false)).toBe(true);
+  expect(isGrassLightingEnabled('off', 'EXCELLENT', true)).toBe(false);
+
+  const overhead = sunDirectionFromAngles(0, 90);
+  expect(overhead.y).toBeCloseTo(1);
+  expect(sunDirectionFromAngles(90, 0).x).toBeCloseTo(1);
+});
@@ -0,0 +1,55 @@
+import {
+  GrassDataError,
+  decodeGrassContainer,
+  decodeLegacyGrassFiles,
+} from './grassInstanceFormat';
+import { generateGrassFromMasks } from './grassMasks';
+
+/**
+ * Fetch a binary asset, turning HTTP failures into GrassDataErrors
+ */
+export const fetchArrayBuffer = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new GrassDataError(`request failed with HTTP ${response.status}`, url);
+  }
+  return response.arrayBuffer();
+};
+
+/**
+ * Load grass instance data from either the single container file or the
+ * legacy four-file layout
+ *
+ * @param {object} options
+ * @param {string} options.dataBin - Container URL; when set the legacy files are ignored
+ * @param {string} options.posBin - Legacy positions URL
+ * @param {string} options.rotBin - Legacy rotations URL
+ * @param {string} options.sclBin - Legacy scales URL
+ * @param {string} options.colorBin - Legacy colours URL
+ */
+export const loadGrassInstanceData = async ({ dataBin, posBin, rotBin, sclBin, colorBin }) => {
+  if (dataBin) {
+    const buffer = await fetchArrayBuffer(dataBin);
+    return decodeGrassContainer(buffer, dataBin);
+  }
+
+  const [positions, rotations, scales, colors] = await Promise.all(
+    [posBin, rotBin, sclBin, colorBin].map(fetchArrayBuffer)
+  );
+
+  return decodeLegacyGrassFiles(
+    { positions, rotations, scales, colors },
+    { positions: posBin, rotations: rotBin, scales: sclBin, colors: colorBin }
+  );
+};
+
+/**
+ * Resolve grass instance data from whichever source the options carry:
+ * already decoded `data` (the grass editor), loaded mask images (`masks`,
+ * generated with `maskOptions`), or the binary files
+ */
+export const resolveGrassInstanceData = async (options) => {
+  if (options.data) return options.data;
+  if (options.masks) return generateGrassFromMasks(options.masks, options.maskOptions);
+  return loadGrassInstanceData(options);
+};
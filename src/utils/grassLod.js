@@ -0,0 +1,82 @@
+/**
+ * Grass level of detail
+ *
+ * Density is a piecewise-linear function of distance to the closest focus
+ * point (camera or sphere), defined by a list of bands:
+ *
+ *   [{ distance: 0, density: 1 }, { distance: 60, density: 0.4 }, ...]
+ *
+ * Each instance carries a random rank in [0, 1). A blade is drawn while its
+ * rank is below the local density and shrinks/dissolves over `fadeWidth`
+ * as it crosses, so blades fade rather than pop at band edges.
+ */
+
+export const MAX_LOD_BANDS = 6;
+
+export const DEFAULT_LOD_BANDS = [
+  { distance: 0, density: 1.0 },
+  { distance: 30, density: 1.0 },
+  { distance: 60, density: 0.4 },
+  { distance: 100, density: 0.1 },
+  { distance: 130, density: 0.0 },
+];
+
+export const DEFAULT_LOD_FADE_WIDTH = 0.08; // Rank range over which a blade fades in/out
+
+/**
+ * Sort bands by distance and pad/truncate them to MAX_LOD_BANDS entries
+ */
+export const normalizeLodBands = (bands = DEFAULT_LOD_BANDS) => {
+  const sorted = [...bands].sort((a, b) => a.distance - b.distance).slice(0, MAX_LOD_BANDS);
+  if (sorted.length === 0) sorted.push({ distance: 0, density: 1 });
+  const last = sorted[sorted.length - 1];
+  while (sorted.length < MAX_LOD_BANDS) {
+    sorted.push({ distance: last.distance + sorted.length, density: last.density });
+  }
+  return sorted;
+};
+
+/**
+ * Density at a given distance (matches `grassLodDensity` in LOD_SHADER)
+ */
+export const lodDensityAt = (bands, distance) => {
+  if (distance <= bands[0].distance) return bands[0].density;
+  for (let i = 1; i < bands.length; i++) {
+    if (distance < bands[i].distance) {
+      const prev = bands[i - 1];
+      const t = (distance - prev.distance) / (bands[i].distance - prev.distance);
+      return prev.density + (bands[i].density - prev.density) * t;
+    }
+  }
+  return bands[bands.length - 1].density;
+};
+
+/**
+ * Distance beyond which no grass is drawn, or Infinity if density never reaches zero
+ */
+export const lodCutoffDistance = (bands) => {
+  const index = bands.findIndex((band) => band.density <= 0);
+  return index === -1 ? Infinity : bands[index].distance;
+};
+
+export const lodUniformValues = (bands) => ({
+  lodDistances: bands.map((band) => band.distance),
+  lodDensities: bands.map((band) => band.density),
+});
+
+export const LOD_SHADER = `
+  uniform float lodDistances[${MAX_LOD_BANDS}];
+  uniform float lodDensities[${MAX_LOD_BANDS}];
+  uniform float lodFadeWidth;
+
+  float grassLodDensity(float dist) {
+    if (dist <= lodDistances[0]) return lodDensities[0];
+    for (int i = 1; i < ${MAX_LOD_BANDS}; i++) {
+      if (dist < lodDistances[i]) {
+        float t = (dist - lodDistances[i - 1]) / (lodDistances[i] - lodDistances[i - 1]);
+        return mix(lodDensities[i - 1], lodDensities[i], t);
+      }
+    }
+    return lodDensities[${MAX_LOD_BANDS - 1}];
+  }
+`;
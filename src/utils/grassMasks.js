@@ -0,0 +1,269 @@
+import { ImageLoader } from 'three';
+import { createRandom } from './random';
+import { rasterizeHeights } from './groundHeights';
+import { DEFAULT_BLADE_ROTATION, DEFAULT_BLADE_SCALE, REDUCED_INSTANCE_COUNT } from './grassInstances';
+
+/**
+ * Grass from mask images
+ *
+ * Generates grass instance data straight from images instead of the baked
+ * binaries:
+ *   densityMap - greyscale, white = full density (alpha multiplies it)
+ *   colorMap   - blade colour per pixel (optional, defaults to DEFAULT_MASK_COLOR)
+ *   heightMap  - greyscale terrain height, black = bounds.min z, white = bounds.max z
+ *                (optional, blades sit at bounds.min z without it)
+ *
+ * Images cover `bounds` in grass-local space (Z-up): the left edge is min x
+ * and the top row is max y, as in a top-down render. Any image size works;
+ * the three maps do not need to match.
+ *
+ * The output has the same shape as the binary loaders, so it goes through
+ * the usual jitter, tiling and LOD in the decoder worker.
+ *
+ * When the grass binaries fail to load, the same path scatters fallback grass
+ * from a procedural density mask and a height mask rasterized from the ground.
+ */
+
+// Terrain extent the original binaries were authored against
+export const DEFAULT_MASK_BOUNDS = {
+  min: [-99.99952, -99.99994, 0.0],
+  max: [99.99974, 99.99867, 9.200001],
+};
+export const DEFAULT_MASK_DENSITY = 10; // Blades per square unit at full density
+export const DEFAULT_MASK_COLOR = [0.31, 0.48, 0.17];
+
+const DENSITY_ESTIMATE_STEPS = 64; // Coarse grid used to estimate the blade count up front
+const SCATTER_MASK_SIZE = 128; // Resolution of the procedural fallback masks
+const SCATTER_OCTAVES = [{ cells: 6, weight: 0.65 }, { cells: 17, weight: 0.35 }];
+
+/**
+ * Load an image and read back its RGBA pixels at its natural size
+ *
+ * @returns {Promise<{ width: number, height: number, data: Uint8ClampedArray }>}
+ */
+export const loadImagePixels = async (url) => {
+  const image = await new ImageLoader().loadAsync(url);
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, width, height);
+  return { width, height, data: ctx.getImageData(0, 0, width, height).data };
+};
+
+/**
+ * Load the mask images that are set (main thread only, needs a canvas)
+ */
+export const loadGrassMasks = async ({ densityMap, colorMap = null, heightMap = null }) => {
+  const [density, color, height] = await Promise.all(
+    [densityMap, colorMap, heightMap].map((url) => (url ? loadImagePixels(url) : null))
+  );
+  return { density, color, height };
+};
+
+/**
+ * Bilinearly sample an RGBA pixel image at normalised (u, v), v = 0 at the top row
+ *
+ * @param {number[]} target - Receives r, g, b, a in 0-1
+ */
+export const sampleImage = ({ width, height, data }, u, v, target = [0, 0, 0, 0]) => {
+  const x = Math.min(Math.max(u * width - 0.5, 0), width - 1);
+  const y = Math.min(Math.max(v * height - 0.5, 0), height - 1);
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = x - x0;
+  const fy = y - y0;
+
+  const i00 = (y0 * width + x0) * 4;
+  const i10 = (y0 * width + x1) * 4;
+  const i01 = (y1 * width + x0) * 4;
+  const i11 = (y1 * width + x1) * 4;
+  for (let c = 0; c < 4; c++) {
+    const top = data[i00 + c] + (data[i10 + c] - data[i00 + c]) * fx;
+    const bottom = data[i01 + c] + (data[i11 + c] - data[i01 + c]) * fx;
+    target[c] = (top + (bottom - top) * fy) / 255;
+  }
+  return target;
+};
+
+const scratch = [0, 0, 0, 0];
+
+// Luminance times alpha, so both greyscale and alpha-cut masks work
+const densityAt = (image, u, v) => {
+  const [r, g, b, a] = sampleImage(image, u, v, scratch);
+  return (0.2126 * r + 0.7152 * g + 0.0722 * b) * a;
+};
+
+const createImage = (size) => ({ width: size, height: size, data: new Uint8ClampedArray(size * size * 4) });
+
+/**
+ * Procedural density mask for fallback grass: soft meadow patches from two
+ * octaves of seeded value noise, so a missing binary still gives a natural field
+ *
+ * @returns {{ width, height, data }} RGBA image in the loadImagePixels shape
+ */
+export const createScatterDensityMask = (seed, size = SCATTER_MASK_SIZE) => {
+  const random = createRandom(seed, 'grass-scatter');
+  const octaves = SCATTER_OCTAVES.map(({ cells, weight }) => {
+    const lattice = new Float32Array((cells + 1) * (cells + 1));
+    for (let i = 0; i < lattice.length; i++) lattice[i] = random();
+    return { cells, weight, lattice };
+  });
+
+  const image = createImage(size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let noise = 0;
+      octaves.forEach(({ cells, weight, lattice }) => {
+        const gx = (x / size) * cells;
+        const gy = (y / size) * cells;
+        const x0 = Math.floor(gx);
+        const y0 = Math.floor(gy);
+        const fx = (gx - x0) * (gx - x0) * (3 - 2 * (gx - x0));
+        const fy = (gy - y0) * (gy - y0) * (3 - 2 * (gy - y0));
+        const at = (i, j) => lattice[j * (cells + 1) + i];
+        const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * fx;
+        const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * fx;
+        noise += (top + (bottom - top) * fy) * weight;
+      });
+
+      // Mostly dense cover with a few sparse clearings
+      const t = Math.min(Math.max((noise - 0.3) / 0.3, 0), 1);
+      const value = Math.round(255 * (0.15 + 0.85 * t * t * (3 - 2 * t)));
+      image.data.set([value, value, value, 255], (y * size + x) * 4);
+    }
+  }
+  return image;
+};
+
+/**
+ * Rasterize a ground mesh into a height mask so generated grass follows the terrain
+ *
+ * @param {THREE.BufferGeometry} geometry - Ground geometry
+ * @param {THREE.Matrix4} matrix - Geometry to grass-local transform
+ * @param {object} bounds - { min, max } the mask covers (only x and y are used)
+ * @returns {{ image: object, minZ: number, maxZ: number }} RGBA height image and the z range it spans
+ */
+export const createHeightMaskFromGeometry = (geometry, matrix, bounds = DEFAULT_MASK_BOUNDS, size = SCATTER_MASK_SIZE) => {
+  const { heights, minZ, maxZ } = rasterizeHeights(geometry, matrix, bounds, size);
+
+  const range = maxZ - minZ;
+  const image = createImage(size);
+  heights.forEach((z, k) => {
+    const value = range === 0 ? 0 : Math.round(((z - minZ) / range) * 255);
+    image.data.set([value, value, value, 255], k * 4);
+  });
+  return { image, minZ, maxZ };
+};
+
+/**
+ * Generate grass instance data from loaded masks
+ *
+ * Jittered-grid sampling: one candidate per cell, kept with the probability
+ * of the density mask. The cell size is widened when the estimated blade
+ * count would exceed `maxInstances`; if the estimate still falls short, the
+ * kept candidates are thinned evenly across the whole mask down to the budget.
+ *
+ * @param {object} masks - Output of loadGrassMasks
+ * @param {object} options
+ * @param {object} options.bounds - { min: [x, y, z], max: [x, y, z] } in grass-local space
+ * @param {number} options.density - Blades per square unit where the mask is white
+ * @param {number} options.maxInstances - Cap on the generated blade count
+ * @param {string} options.seed - Scene seed
+ * @returns {object} decoded grass data (positions, rotations, scales, colors, ...)
+ */
+export const generateGrassFromMasks = ({ density: densityMask, color: colorMap = null, height: heightMap = null }, {
+  bounds = DEFAULT_MASK_BOUNDS,
+  density = DEFAULT_MASK_DENSITY,
+  maxInstances = REDUCED_INSTANCE_COUNT,
+  seed = 0,
+} = {}) => {
+  const random = createRandom(seed, 'grass-masks');
+  const [minX, minY, minZ] = bounds.min;
+  const sizeX = bounds.max[0] - minX;
+  const sizeY = bounds.max[1] - minY;
+  const sizeZ = bounds.max[2] - minZ;
+
+  // Estimate the blade count so dense masks stay within budget
+  let coverage = 0;
+  for (let j = 0; j < DENSITY_ESTIMATE_STEPS; j++) {
+    for (let i = 0; i < DENSITY_ESTIMATE_STEPS; i++) {
+      coverage += densityAt(densityMask, (i + 0.5) / DENSITY_ESTIMATE_STEPS, (j + 0.5) / DENSITY_ESTIMATE_STEPS);
+    }
+  }
+  coverage /= DENSITY_ESTIMATE_STEPS * DENSITY_ESTIMATE_STEPS;
+  const expected = coverage * sizeX * sizeY * density;
+  const effectiveDensity = expected > maxInstances ? density * (maxInstances / expected) : density;
+
+  const cell = 1 / Math.sqrt(Math.max(effectiveDensity, 1e-6));
+  const columns = Math.max(1, Math.floor(sizeX / cell));
+  const rows = Math.max(1, Math.floor(sizeY / cell));
+
+  // Keep candidates by the density mask first, so the budget is checked against the real count
+  let candidates = new Float32Array(Math.max(Math.min(columns * rows, maxInstances), 1) * 2);
+  let kept = 0;
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const u = (col + random()) / columns;
+      const v = (row + random()) / rows;
+      if (random() >= densityAt(densityMask, u, v)) continue;
+      if (kept * 2 === candidates.length) {
+        const grown = new Float32Array(candidates.length * 2);
+        grown.set(candidates);
+        candidates = grown;
+      }
+      candidates[kept * 2] = u;
+      candidates[kept * 2 + 1] = v;
+      kept++;
+    }
+  }
+
+  const capacity = Math.min(kept, maxInstances);
+  const positions = new Float32Array(capacity * 3);
+  const rotations = new Float32Array(capacity * 3);
+  const scales = new Float32Array(capacity * 3);
+  const colors = new Float32Array(capacity * 3);
+  let count = 0;
+
+  for (let k = 0; k < kept && count < capacity; k++) {
+    // Selection sampling: every candidate has the same chance, wherever it lies in the mask
+    if (random() * (kept - k) >= capacity - count) continue;
+    const u = candidates[k * 2];
+    const v = candidates[k * 2 + 1];
+
+    const i3 = count * 3;
+    const height = heightMap ? sampleImage(heightMap, u, v, scratch)[0] : 0;
+    positions[i3] = minX + u * sizeX;
+    positions[i3 + 1] = minY + (1 - v) * sizeY;
+    positions[i3 + 2] = minZ + height * sizeZ;
+
+    rotations.set(DEFAULT_BLADE_ROTATION, i3);
+    scales.set(DEFAULT_BLADE_SCALE, i3);
+
+    if (colorMap) {
+      sampleImage(colorMap, u, v, scratch);
+      colors[i3] = scratch[0];
+      colors[i3 + 1] = scratch[1];
+      colors[i3 + 2] = scratch[2];
+    } else {
+      colors.set(DEFAULT_MASK_COLOR, i3);
+    }
+    count++;
+  }
+
+  return {
+    count,
+    positions: positions.subarray(0, count * 3),
+    rotations: rotations.subarray(0, count * 3),
+    scales: scales.subarray(0, count * 3),
+    colors: colors.subarray(0, count * 3),
+    variants: null,
+    bbox: bounds,
+    colorsNeedNormalize: false,
+  };
+};
@@ -0,0 +1,59 @@
+import { BufferGeometry, Float32BufferAttribute, Matrix4 } from 'three';
+import { createHeightMaskFromGeometry, createScatterDensityMask, generateGrassFromMasks } from './grassMasks';
+
+// 2x1 RGBA image: left pixel white, right pixel black
+const halfMask = { width: 2, height: 1, data: new Uint8ClampedArray([255, 255, 255, 255, 0, 0, 0, 255]) };
+const flatHeight = { width: 1, height: 1, data: new Uint8ClampedArray([128, 128, 128, 255]) };
+const bounds = { min: [0, 0, 0], max: [10, 10, 2] };
+
+test('blades follow the density mask and sit on the height map', () => {
+  const data = generateGrassFromMasks({ density: halfMask, height: flatHeight }, { bounds, density: 4, seed: 'test' });
+
+  expect(data.count).toBeGreaterThan(50);
+  for (let i = 0; i < data.count; i++) {
+    // Bilinear filtering only blends across the centre column
+    expect(data.positions[i * 3]).toBeLessThan(7.5);
+    expect(data.positions[i * 3 + 2]).toBeCloseTo(2 * (128 / 255));
+  }
+});
+
+test('generation respects the instance budget', () => {
+  const data = generateGrassFromMasks({ density: halfMask }, { bounds, density: 100, maxInstances: 200, seed: 'test' });
+  expect(data.count).toBeLessThanOrEqual(220);
+});
+
+test('a mask the estimate undercounts is thinned evenly instead of cut off at the bottom', () => {
+  // Stripes the coarse estimate only ever samples between black pixels
+  const stripes = { width: 256, height: 1, data: new Uint8ClampedArray(256 * 4) };
+  for (let x = 0; x < 256; x++) {
+    const value = x % 4 === 0 || x % 4 === 3 ? 255 : 0;
+    stripes.data.set([value, value, value, 255], x * 4);
+  }
+  const data = generateGrassFromMasks({ density: stripes }, { bounds, density: 4, maxInstances: 100, seed: 'test' });
+
+  expect(data.count).toBe(100);
+  const ys = Array.from({ length: data.count }, (_, i) => data.positions[i * 3 + 1]);
+  expect(ys.filter((y) => y < 2.5).length).toBeGreaterThan(10); // The last rows generated
+  expect(ys.filter((y) => y > 7.5).length).toBeGreaterThan(10);
+});
+
+test('height masks rasterize the ground and scatter masks are seeded', () => {
+  // One quad sloping from z = 0 at x = 0 up to z = 4 at x = 10
+  const ground = new BufferGeometry();
+  ground.setAttribute('position', new Float32BufferAttribute([0, 0, 0, 10, 0, 4, 10, 10, 4, 0, 10, 0], 3));
+  ground.setIndex([0, 1, 2, 0, 2, 3]);
+
+  const { image, minZ, maxZ } = createHeightMaskFromGeometry(ground, new Matrix4(), bounds, 16);
+  expect(minZ).toBeGreaterThanOrEqual(0);
+  expect(maxZ).toBeLessThanOrEqual(4);
+  const data = generateGrassFromMasks(
+    { density: halfMask, height: image },
+    { bounds: { min: [0, 0, minZ], max: [10, 10, maxZ] }, density: 4, seed: 'test' }
+  );
+  for (let i = 0; i < data.count; i++) {
+    expect(data.positions[i * 3 + 2]).toBeCloseTo(data.positions[i * 3] * 0.4, 0);
+  }
+
+  expect(createScatterDensityMask('a', 8).data).toEqual(createScatterDensityMask('a', 8).data);
+  expect(createScatterDensityMask('a', 8).data).not.toEqual(createScatterDensityMask('b', 8).data);
+});
@@ -0,0 +1,272 @@
+import { encodeGrassContainer } from './grassInstanceFormat';
+import { DEFAULT_BLADE_ROTATION, DEFAULT_BLADE_SCALE } from './grassInstances';
+
+/**
+ * Grass painting
+ *
+ * An editable copy of the grass instance data that the in-browser editor
+ * paints into. All positions are in grass-local space (the grass group is
+ * Z-up), the same space the instance binaries are authored in, so the layer
+ * exports straight back to the files `PlaneInstancerWithColor` loads.
+ *
+ * Brush dabs operate on a disc around the brush centre:
+ *   paint   - tops the blade count up towards `density` blades per square unit
+ *   erase   - removes blades with a probability of `strength` x falloff
+ *   recolor - blends blade colours towards the brush colour
+ *
+ * Painted blades copy rotation and scale from a random existing blade so new
+ * grass matches the authored field, and store the brush variant; a variant of
+ * -1 leaves the blade to the usual weighted random pick.
+ */
+
+export const BRUSH_MODES = ['paint', 'erase', 'recolor'];
+
+export const DEFAULT_GRASS_BRUSH = {
+  mode: 'paint',
+  radius: 3,
+  falloff: 0.5, // 0 = hard edge, 1 = smooth all the way to the centre
+  density: 6, // Target blades per square unit when painting
+  strength: 0.5, // Fraction of the change applied per dab
+  variant: -1, // Blade texture variant for painted blades, -1 = weighted random
+  color: '#4f7a2c',
+};
+
+const ANY_VARIANT = -1;
+const MIN_CAPACITY = 1024;
+
+/**
+ * Brush weight in [0, 1] at `distance` from the centre
+ */
+export const brushWeight = (distance, radius, falloff) => {
+  if (distance >= radius) return 0;
+  const t = distance / radius;
+  const inner = 1 - Math.min(Math.max(falloff, 0), 1);
+  if (t <= inner) return 1;
+  const s = 1 - (t - inner) / (1 - inner);
+  return s * s * (3 - 2 * s);
+};
+
+/**
+ * Parse a '#rrggbb' colour into 0-1 components
+ */
+export const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255];
+};
+
+const grow = (array, size) => {
+  const next = new Float32Array(size);
+  next.set(array);
+  return next;
+};
+
+export class GrassPaintLayer {
+  constructor() {
+    this.count = 0;
+    this.capacity = 0;
+    this.positions = new Float32Array(0);
+    this.rotations = new Float32Array(0);
+    this.scales = new Float32Array(0);
+    this.colors = new Float32Array(0);
+    this.variants = new Float32Array(0);
+    this.loaded = false;
+    this.ready = null;
+    this.version = 0;
+  }
+
+  /**
+   * Load the layer once from `loadData()` (a promise of decoded grass data)
+   */
+  load(loadData) {
+    if (!this.ready) {
+      this.ready = loadData().then((data) => {
+        this.setData(data);
+        return this;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Replace the layer contents with decoded grass data (colours are stored 0-1)
+   */
+  setData({ count, positions, rotations, scales, colors, variants, colorsNeedNormalize }) {
+    this.count = 0;
+    this.reserve(count);
+    this.positions.set(positions.subarray(0, count * 3));
+    this.rotations.set(rotations.subarray(0, count * 3));
+    this.scales.set(scales.subarray(0, count * 3));
+
+    const colorScale = colorsNeedNormalize ? 1 / 255 : 1;
+    for (let i = 0; i < count * 3; i++) this.colors[i] = colors[i] * colorScale;
+
+    if (variants) this.variants.set(variants.subarray(0, count));
+    else this.variants.fill(ANY_VARIANT, 0, count);
+
+    this.count = count;
+    this.loaded = true;
+    this.version++;
+  }
+
+  reserve(count) {
+    if (count <= this.capacity) return;
+    const capacity = Math.max(MIN_CAPACITY, count, this.capacity * 2);
+    this.positions = grow(this.positions, capacity * 3);
+    this.rotations = grow(this.rotations, capacity * 3);
+    this.scales = grow(this.scales, capacity * 3);
+    this.colors = grow(this.colors, capacity * 3);
+    this.variants = grow(this.variants, capacity);
+    this.capacity = capacity;
+  }
+
+  /**
+   * Apply one brush dab
+   *
+   * @param {{x, y, z}} center - Brush centre in grass-local space
+   * @param {{x, y, z}} normal - Ground normal at the centre in grass-local space
+   * @param {object} brush - See DEFAULT_GRASS_BRUSH
+   * @param {function(): number} random - Seeded random stream
+   * @returns {boolean} whether anything changed
+   */
+  applyBrush(center, normal, brush, random) {
+    const changed = brush.mode === 'erase'
+      ? this.erase(center, brush, random)
+      : brush.mode === 'recolor'
+        ? this.recolor(center, brush)
+        : this.paint(center, normal, brush, random);
+    if (changed) this.version++;
+    return changed;
+  }
+
+  paint(center, normal, { radius, falloff, density, strength, variant, color }, random) {
+    // Expected blades inside the brush if it were filled to the target density
+    let existing = 0;
+    for (let i = 0; i < this.count; i++) {
+      const dx = this.positions[i * 3] - center.x;
+      const dy = this.positions[i * 3 + 1] - center.y;
+      existing += brushWeight(Math.sqrt(dx * dx + dy * dy), radius, falloff);
+    }
+
+    // Integral of the brush weight over the disc, approximated by its mean
+    let meanWeight = 0;
+    for (let s = 0; s < 16; s++) meanWeight += brushWeight(((s + 0.5) / 16) * radius, radius, falloff) * ((s + 0.5) / 8);
+    meanWeight /= 16;
+
+    const target = density * Math.PI * radius * radius * meanWeight;
+    const toAdd = Math.floor(Math.max(0, target - existing) * strength + random());
+    if (toAdd === 0) return false;
+
+    const rgb = hexToRgb(color);
+    const templateCount = this.count;
+    this.reserve(this.count + toAdd);
+
+    // Ground is treated as the plane through the brush centre
+    const nz = Math.abs(normal.z) > 0.1 ? normal.z : 1;
+    let added = 0;
+    for (let attempt = 0; added < toAdd && attempt < toAdd * 8; attempt++) {
+      const r = Math.sqrt(random()) * radius;
+      const angle = random() * Math.PI * 2;
+      if (random() > brushWeight(r, radius, falloff)) continue;
+
+      const x = center.x + Math.cos(angle) * r;
+      const y = center.y + Math.sin(angle) * r;
+      const z = center.z - (normal.x * (x - center.x) + normal.y * (y - center.y)) / nz;
+
+      const i = this.count;
+      this.positions.set([x, y, z], i * 3);
+      if (templateCount > 0) {
+        const t = Math.floor(random() * templateCount);
+        this.rotations.copyWithin(i * 3, t * 3, t * 3 + 3);
+        this.scales.copyWithin(i * 3, t * 3, t * 3 + 3);
+      } else {
+        this.rotations.set(DEFAULT_BLADE_ROTATION, i * 3);
+        this.scales.set(DEFAULT_BLADE_SCALE, i * 3);
+      }
+      this.colors.set(rgb, i * 3);
+      this.variants[i] = variant;
+      this.count++;
+      added++;
+    }
+    return added > 0;
+  }
+
+  erase(center, { radius, falloff, strength }, random) {
+    let removed = 0;
+    for (let i = this.count - 1; i >= 0; i--) {
+      const dx = this.positions[i * 3] - center.x;
+      const dy = this.positions[i * 3 + 1] - center.y;
+      const weight = brushWeight(Math.sqrt(dx * dx + dy * dy), radius, falloff);
+      if (weight > 0 && random() < weight * strength) {
+        this.removeAt(i);
+        removed++;
+      }
+    }
+    return removed > 0;
+  }
+
+  recolor(center, { radius, falloff, strength, color }) {
+    const rgb = hexToRgb(color);
+    let touched = 0;
+    for (let i = 0; i < this.count; i++) {
+      const dx = this.positions[i * 3] - center.x;
+      const dy = this.positions[i * 3 + 1] - center.y;
+      const amount = brushWeight(Math.sqrt(dx * dx + dy * dy), radius, falloff) * strength;
+      if (amount <= 0) continue;
+      for (let c = 0; c < 3; c++) {
+        const k = i * 3 + c;
+        this.colors[k] += (rgb[c] - this.colors[k]) * amount;
+      }
+      touched++;
+    }
+    return touched > 0;
+  }
+
+  // Swap-remove: order does not matter since tiles are shuffled anyway
+  removeAt(i) {
+    const last = this.count - 1;
+    if (i !== last) {
+      this.positions.copyWithin(i * 3, last * 3, last * 3 + 3);
+      this.rotations.copyWithin(i * 3, last * 3, last * 3 + 3);
+      this.scales.copyWithin(i * 3, last * 3, last * 3 + 3);
+      this.colors.copyWithin(i * 3, last * 3, last * 3 + 3);
+      this.variants[i] = this.variants[last];
+    }
+    this.count = last;
+  }
+
+  /**
+   * Snapshot in the decoded grass data shape (copies, safe to post to the worker)
+   */
+  toData() {
+    const n = this.count;
+    return {
+      count: n,
+      positions: this.positions.slice(0, n * 3),
+      rotations: this.rotations.slice(0, n * 3),
+      scales: this.scales.slice(0, n * 3),
+      colors: this.colors.slice(0, n * 3),
+      variants: this.variants.slice(0, n),
+      colorsNeedNormalize: false,
+    };
+  }
+
+  /**
+   * Encode as a single container file (keeps per-blade variants)
+   */
+  exportContainer() {
+    return encodeGrassContainer(this.toData());
+  }
+
+  /**
+   * Encode as the legacy four-file layout (variants are not representable)
+   */
+  exportLegacyFiles() {
+    const { positions, rotations, scales, colors } = this.toData();
+    return {
+      positions: positions.buffer,
+      rotations: rotations.buffer,
+      scales: scales.buffer,
+      colors: colors.buffer,
+    };
+  }
+}
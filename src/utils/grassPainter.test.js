@@ -0,0 +1,32 @@
+import { GrassPaintLayer, brushWeight } from './grassPainter';
+import { decodeGrassContainer } from './grassInstanceFormat';
+import { createRandom } from './random';
+
+const brush = { radius: 2, falloff: 0, density: 10, strength: 1, variant: 2, color: '#ff0000' };
+const center = { x: 0, y: 0, z: 1 };
+const up = { x: 0, y: 0, z: 1 };
+
+test('brush weight is full inside the hard core and zero outside the radius', () => {
+  expect(brushWeight(0.5, 2, 0.5)).toBe(1);
+  expect(brushWeight(1.5, 2, 0.5)).toBeGreaterThan(0);
+  expect(brushWeight(1.5, 2, 0.5)).toBeLessThan(1);
+  expect(brushWeight(2, 2, 0.5)).toBe(0);
+});
+
+test('painted and erased grass exports as a container', () => {
+  const layer = new GrassPaintLayer();
+  const random = createRandom('test', 'grass-editor');
+
+  layer.applyBrush(center, up, { ...brush, mode: 'paint' }, random);
+  const painted = layer.count;
+  expect(painted).toBeGreaterThan(100);
+
+  const decoded = decodeGrassContainer(layer.exportContainer());
+  expect(decoded.count).toBe(painted);
+  expect(Array.from(decoded.variants.slice(0, 3))).toEqual([2, 2, 2]);
+  expect(decoded.positions[2]).toBeCloseTo(1);
+  expect(Array.from(decoded.colors.slice(0, 3))).toEqual([1, 0, 0]);
+
+  layer.applyBrush(center, up, { ...brush, mode: 'erase' }, random);
+  expect(layer.count).toBe(0);
+});
@@ -0,0 +1,285 @@
+import {
+  GrassDataError,
+  assertGrassPayloadSize,
+  countAvailableRecords,
+  decodeLegacyGrassFiles,
+  detectColorsNeedNormalize,
+  readGrassHeader,
+  readGrassRecords,
+} from './grassInstanceFormat';
+import { buildGrassInstanceBuffers, partitionGrassChunks } from './grassInstances';
+import { resolveGrassInstanceData } from './grassLoader';
+import { createRandom } from './random';
+
+/**
+ * Streaming grass loader
+ *
+ * Reads the instance binaries as response streams and hands out complete
+ * instances in batches while the download is still running, so the grass
+ * field fills in progressively instead of appearing all at once.
+ *
+ *   container - records are interleaved, so every received prefix holds
+ *               whole instances (the header gives the total up front)
+ *   legacy    - the four files download side by side and a batch covers the
+ *               instances present in all of them; batches wait for the whole
+ *               colour file, which decides whether colours are 0-255
+ *
+ * Decoded `data` and mask sources are not streamed and arrive as one batch.
+ */
+
+export const GRASS_STREAM_BATCH_SIZE = 65536; // Instances per progressive batch
+
+const BYTES_PER_LEGACY_ENTRY = 12; // One vec3 of float32
+
+/**
+ * Why `signal` was aborted, as an Error (older engines leave `reason` unset)
+ */
+export const abortReason = (signal) => signal.reason ?? new DOMException('The load was aborted', 'AbortError');
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw abortReason(signal);
+};
+
+/**
+ * Growable byte buffer, preallocated when the final size is known
+ */
+const createAccumulator = (expectedLength) => {
+  let bytes = new Uint8Array(expectedLength || 1 << 16);
+  let length = 0;
+  return {
+    append(chunk) {
+      if (length + chunk.length > bytes.length) {
+        const next = new Uint8Array(Math.max(bytes.length * 2, length + chunk.length));
+        next.set(bytes.subarray(0, length));
+        bytes = next;
+      }
+      bytes.set(chunk, length);
+      length += chunk.length;
+    },
+    get buffer() { return bytes.buffer; },
+    get length() { return length; },
+    // Exact-size copy for validation once the stream has ended
+    finish() { return bytes.buffer.slice(0, length); },
+  };
+};
+
+/**
+ * Fetch `url` and feed its body to `onChunk` as it arrives; aborting `signal` stops the download
+ *
+ * @returns {Promise<void>}
+ */
+const streamResponse = async (url, onStart, onChunk, signal) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new GrassDataError(`request failed with HTTP ${response.status}`, url);
+  }
+
+  // Content-Length is the compressed size for encoded responses, so only trust it for identity bodies
+  const encoded = Boolean(response.headers.get('content-encoding'));
+  const contentLength = encoded ? 0 : Number(response.headers.get('content-length')) || 0;
+  onStart(contentLength);
+
+  if (!response.body?.getReader) {
+    onChunk(new Uint8Array(await response.arrayBuffer()));
+    return;
+  }
+
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    onChunk(value);
+  }
+};
+
+const streamContainer = async (url, { batchSize, onProgress, onBatch, signal }) => {
+  let accumulator = null;
+  let totalBytes = 0;
+  let header = null;
+  let emitted = 0;
+
+  const flush = (final) => {
+    if (!header && accumulator.length >= 16) {
+      const attributeCount = new DataView(accumulator.buffer).getUint32(12, true);
+      if (accumulator.length >= 40 + attributeCount * 8) {
+        header = readGrassHeader(accumulator.buffer.slice(0, accumulator.length), url);
+      }
+    }
+    if (!header) return;
+
+    const available = countAvailableRecords(header, accumulator.length);
+    while (available - emitted >= batchSize || (final && available > emitted)) {
+      const count = Math.min(batchSize, available - emitted);
+      const attrs = readGrassRecords(accumulator.buffer, header, emitted, count);
+      onBatch({
+        count,
+        positions: attrs.posi,
+        rotations: attrs.rota,
+        scales: attrs.scal,
+        colors: attrs.colr,
+        variants: attrs.vari ?? null,
+        bbox: header.bbox,
+        colorsNeedNormalize: header.colorsNeedNormalize,
+      }, emitted, header.count);
+      emitted += count;
+    }
+    onProgress({
+      loadedBytes: accumulator.length,
+      totalBytes,
+      loadedInstances: emitted,
+      totalInstances: header.count,
+    });
+  };
+
+  await streamResponse(url, (length) => {
+    totalBytes = length;
+    accumulator = createAccumulator(length);
+  }, (chunk) => {
+    accumulator.append(chunk);
+    flush(false);
+  }, signal);
+
+  const buffer = accumulator.finish();
+  header = header || readGrassHeader(buffer, url);
+  assertGrassPayloadSize(header, buffer.byteLength, url);
+  flush(true);
+  return header.count;
+};
+
+const streamLegacyFiles = async ({ posBin, rotBin, sclBin, colorBin }, { batchSize, onProgress, onBatch, signal }) => {
+  const urls = [posBin, rotBin, sclBin, colorBin];
+  const files = urls.map(() => ({ accumulator: null, totalBytes: 0 }));
+  const colorFile = files[3];
+  let emitted = 0;
+  let colorsNeedNormalize = null; // Unknown until the colour file is complete
+
+  // The instance total is only known when every file reports an exact size
+  const totalInstances = () => (
+    files.every((file) => file.totalBytes > 0)
+      ? Math.min(...files.map((file) => Math.floor(file.totalBytes / BYTES_PER_LEGACY_ENTRY)))
+      : 0
+  );
+
+  const emitBatch = (first, count, total) => {
+    const slice = (file) => new Float32Array(file.accumulator.buffer, first * BYTES_PER_LEGACY_ENTRY, count * 3).slice();
+    const [positions, rotations, scales, colors] = files.map(slice);
+    onBatch({ count, positions, rotations, scales, colors, variants: null, colorsNeedNormalize }, first, total);
+    emitted += count;
+  };
+
+  const flush = (final) => {
+    const total = totalInstances();
+    const ready = files.every((file) => file.accumulator);
+    const available = ready
+      ? Math.min(...files.map((file) => Math.floor(file.accumulator.length / BYTES_PER_LEGACY_ENTRY)))
+      : 0;
+
+    // Without a known total the sampling stride is unknown, so wait for the whole download
+    const canStream = total > 0 && !final && colorsNeedNormalize !== null;
+    while (canStream && available - emitted >= batchSize) {
+      emitBatch(emitted, batchSize, total);
+    }
+
+    onProgress({
+      loadedBytes: files.reduce((sum, file) => sum + (file.accumulator?.length || 0), 0),
+      totalBytes: files.every((file) => file.totalBytes > 0) ? files.reduce((sum, file) => sum + file.totalBytes, 0) : 0,
+      loadedInstances: emitted,
+      totalInstances: total,
+    });
+  };
+
+  await Promise.all(urls.map((url, i) => streamResponse(url, (length) => {
+    files[i].totalBytes = length;
+    files[i].accumulator = createAccumulator(length);
+  }, (chunk) => {
+    files[i].accumulator.append(chunk);
+    flush(false);
+  }, signal).then(() => {
+    if (files[i] !== colorFile) return;
+    // Same whole-file check as decodeLegacyGrassFiles, so streamed and decoded colours agree
+    const floats = Math.floor(colorFile.accumulator.length / Float32Array.BYTES_PER_ELEMENT);
+    colorsNeedNormalize = detectColorsNeedNormalize(new Float32Array(colorFile.accumulator.buffer, 0, floats));
+    flush(false);
+  })));
+
+  // Validate the complete files, then emit whatever has not been handed out yet
+  const [positions, rotations, scales, colors] = files.map((file) => file.accumulator.finish());
+  const data = decodeLegacyGrassFiles(
+    { positions, rotations, scales, colors },
+    { positions: posBin, rotations: rotBin, scales: sclBin, colors: colorBin }
+  );
+
+  for (let first = emitted; first < data.count; first += batchSize) {
+    const count = Math.min(batchSize, data.count - first);
+    onBatch({
+      count,
+      positions: data.positions.subarray(first * 3, (first + count) * 3),
+      rotations: data.rotations.subarray(first * 3, (first + count) * 3),
+      scales: data.scales.subarray(first * 3, (first + count) * 3),
+      colors: data.colors.subarray(first * 3, (first + count) * 3),
+      variants: null,
+      colorsNeedNormalize: data.colorsNeedNormalize,
+    }, first, data.count);
+    emitted += count;
+  }
+  flush(true);
+  return data.count;
+};
+
+/**
+ * Stream grass instance data in batches
+ *
+ * @param {object} options - Same sources as resolveGrassInstanceData
+ * @param {object} callbacks
+ * @param {function(object, number, number)} callbacks.onBatch - (batchData, sourceOffset, sourceTotal)
+ * @param {function(object)} callbacks.onProgress - ({ loadedBytes, totalBytes, loadedInstances, totalInstances }), totals are 0 when unknown
+ * @param {number} callbacks.batchSize - Instances per batch
+ * @param {AbortSignal} [callbacks.signal] - Aborting stops the downloads and rejects with an AbortError
+ * @returns {Promise<number>} total source instances
+ */
+export const streamGrassInstanceData = async (options, {
+  onBatch,
+  onProgress = () => {},
+  batchSize = GRASS_STREAM_BATCH_SIZE,
+  signal,
+}) => {
+  if (options.data || options.masks) {
+    const data = await resolveGrassInstanceData(options);
+    throwIfAborted(signal);
+    onBatch(data, 0, data.count);
+    onProgress({ loadedBytes: 0, totalBytes: 0, loadedInstances: data.count, totalInstances: data.count });
+    return data.count;
+  }
+
+  if (options.dataBin) {
+    return streamContainer(options.dataBin, { batchSize, onProgress, onBatch, signal });
+  }
+  return streamLegacyFiles(options, { batchSize, onProgress, onBatch, signal });
+};
+
+/**
+ * Stream, build and tile grass in batches (used by the decoder worker and its fallback)
+ *
+ * Jitter draws continue across batches from one random stream. Each batch
+ * is tiled on its own with the same cell keys, for the receiver to fold into
+ * the tiles it already has (mergeGrassChunks).
+ *
+ * @param {object} options - Source options plus instanceCount, tileSize, variantWeights and seed
+ * @param {object} callbacks - { onChunks({ count, chunks }), onProgress(progress), signal }
+ */
+export const streamGrassChunks = async (options, { onChunks, onProgress, signal }) => {
+  const random = createRandom(options.seed ?? 0, 'grass');
+  let batchIndex = 0;
+
+  return streamGrassInstanceData(options, {
+    onProgress,
+    signal,
+    onBatch: (batch, sourceOffset, sourceTotal) => {
+      throwIfAborted(signal); // Stop building tiles nobody will receive
+      const buffers = buildGrassInstanceBuffers(batch, { ...options, random, sourceOffset, sourceTotal });
+      if (buffers.count === 0) return;
+      const chunks = partitionGrassChunks(buffers, options.tileSize, options.seed, `:b${batchIndex++}`);
+      onChunks({ count: buffers.count, chunks });
+    },
+  });
+};
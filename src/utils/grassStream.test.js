@@ -0,0 +1,90 @@
+import { encodeGrassContainer } from './grassInstanceFormat';
+import { streamGrassChunks, streamGrassInstanceData } from './grassStream';
+
+const COUNT = 7;
+const container = () => {
+  const positions = new Float32Array(COUNT * 3).map((_, i) => i);
+  const filled = new Float32Array(COUNT * 3).fill(1);
+  return encodeGrassContainer({ positions, rotations: filled, scales: filled, colors: filled });
+};
+
+// Minimal fetch response without a readable body, delivered as one chunk
+const mockFetch = (buffer) => {
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: true,
+    headers: { get: (name) => (name === 'content-length' ? String(buffer.byteLength) : null) },
+    arrayBuffer: () => Promise.resolve(buffer),
+  }));
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('container streams in batches with their source offsets', async () => {
+  mockFetch(container());
+  const batches = [];
+  const progress = [];
+
+  const total = await streamGrassInstanceData({ dataBin: '/grass.bin' }, {
+    batchSize: 3,
+    onBatch: (batch, offset, sourceTotal) => batches.push([batch.count, offset, sourceTotal, batch.positions[0]]),
+    onProgress: (p) => progress.push(p),
+  });
+
+  expect(total).toBe(COUNT);
+  expect(batches).toEqual([[3, 0, 7, 0], [3, 3, 7, 9], [1, 6, 7, 18]]);
+  expect(progress[progress.length - 1].loadedInstances).toBe(COUNT);
+});
+
+test('missing binaries reject with the failing URL', async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404 }));
+  await expect(streamGrassInstanceData({ dataBin: '/grass.bin' }, { onBatch: () => {} }))
+    .rejects.toThrow('/grass.bin: request failed with HTTP 404');
+});
+
+test('aborted loads stop before handing out batches', async () => {
+  mockFetch(container());
+  const controller = new AbortController();
+  controller.abort();
+  const onChunks = jest.fn();
+
+  await expect(streamGrassChunks({ dataBin: '/grass.bin', tileSize: 10 }, { onChunks, signal: controller.signal }))
+    .rejects.toMatchObject({ name: 'AbortError' });
+  expect(onChunks).not.toHaveBeenCalled();
+  expect(global.fetch).toHaveBeenCalledWith('/grass.bin', { signal: controller.signal });
+});
+
+test('legacy colours are normalised by the whole colour file, not the first batch', async () => {
+  const files = {
+    '/p.bin': new Float32Array(COUNT * 3).map((_, i) => i),
+    '/r.bin': new Float32Array(COUNT * 3),
+    '/s.bin': new Float32Array(COUNT * 3).fill(1),
+    '/c.bin': new Float32Array(COUNT * 3).fill(0.5).fill(200, 18), // Only the last instance is 0-255
+  };
+  // Bodies arrive one instance at a time, so batches could go out before the colours are complete
+  global.fetch = jest.fn((url) => {
+    const bytes = new Uint8Array(files[url].buffer);
+    let offset = 0;
+    return Promise.resolve({
+      ok: true,
+      headers: { get: (name) => (name === 'content-length' ? String(bytes.length) : null) },
+      body: {
+        getReader: () => ({
+          read: async () => {
+            if (offset >= bytes.length) return { done: true };
+            offset += 12;
+            return { done: false, value: bytes.slice(offset - 12, offset) };
+          },
+        }),
+      },
+    });
+  });
+
+  const batches = [];
+  await streamGrassInstanceData({ posBin: '/p.bin', rotBin: '/r.bin', sclBin: '/s.bin', colorBin: '/c.bin' }, {
+    batchSize: 2,
+    onBatch: (batch) => batches.push(batch.colorsNeedNormalize),
+  });
+  expect(batches).toEqual([true, true, true, true]);
+});
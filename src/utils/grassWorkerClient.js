@@ -0,0 +1,92 @@
+import { mergeGrassChunks } from './grassInstances';
+import { abortReason, streamGrassChunks } from './grassStream';
+
+let worker = null;
+let nextRequestId = 0;
+const pending = new Map();
+
+// The worker failed to load or died outside a request: fail everything waiting on it and start afresh next time
+const failWorker = (message) => {
+  worker.terminate();
+  worker = null;
+  const requests = [...pending.values()];
+  pending.clear();
+  requests.forEach((request) => request.reject(new Error(message)));
+};
+
+const getWorker = () => {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./grassDecoder.worker.js', import.meta.url));
+  worker.onmessage = ({ data: { id, progress, batch, done, error } }) => {
+    const request = pending.get(id);
+    if (!request) return;
+
+    if (progress) {
+      request.onProgress(progress);
+    } else if (batch) {
+      request.addBatch(batch);
+    } else if (error) {
+      pending.delete(id);
+      const err = new Error(error.message);
+      err.name = error.name;
+      request.reject(err);
+    } else if (done) {
+      pending.delete(id);
+      request.resolve(request.collected());
+    }
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    failWorker(`Grass decoder worker failed: ${event.message || 'could not be loaded'}`);
+  };
+  worker.onmessageerror = () => failWorker('Grass decoder worker sent a message that could not be read');
+  return worker;
+};
+
+/**
+ * Load and decode grass instances in the decoder worker
+ *
+ * Instances arrive in batches while the binaries download; `onBatch` gets
+ * everything decoded so far after each one, so the field can be revealed
+ * progressively. Falls back to decoding on the calling thread where Workers
+ * are unavailable (tests, very old browsers).
+ *
+ * @param {object} options - Loader URLs, loaded `masks` or decoded `data`, plus `instanceCount` and `tileSize`
+ * @param {object} callbacks
+ * @param {function({ count, chunks })} callbacks.onBatch - Called with the accumulated result after each batch
+ * @param {function(object)} callbacks.onProgress - Download progress ({ loadedBytes, totalBytes, loadedInstances, totalInstances })
+ * @param {AbortSignal} [callbacks.signal] - Aborting cancels the request in the worker and rejects with an AbortError
+ * @returns {Promise<{ count, chunks }>} every batch once the load completes
+ */
+export const requestGrassInstances = (options, { onBatch = () => {}, onProgress = () => {}, signal } = {}) => {
+  let count = 0;
+  let chunks = [];
+  const collected = () => ({ count, chunks });
+  const addBatch = (batch) => {
+    count += batch.count;
+    chunks = mergeGrassChunks(chunks, batch.chunks); // One tile per cell however many batches fill it
+    onBatch(collected());
+  };
+
+  if (typeof Worker === 'undefined') {
+    return streamGrassChunks(options, { onChunks: addBatch, onProgress, signal }).then(collected);
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortReason(signal));
+      return;
+    }
+    const id = nextRequestId++;
+    pending.set(id, { resolve, reject, onProgress, addBatch, collected });
+    getWorker().postMessage({ id, options });
+
+    // Superseded requests stop in the worker instead of holding up the ones after them
+    signal?.addEventListener('abort', () => {
+      if (!pending.delete(id)) return;
+      worker?.postMessage({ id, cancel: true });
+      reject(abortReason(signal));
+    }, { once: true });
+  });
+};
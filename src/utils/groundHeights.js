@@ -0,0 +1,159 @@
+import { Box3, Matrix4, Vector3 } from 'three';
+
+/**
+ * Ground height rasterization
+ *
+ * Bakes a ground mesh into a regular grid of heights by drawing its
+ * triangles top-down, for consumers that need terrain height without
+ * raycasting every frame (fallback grass, the physics heightfield).
+ *
+ * The mesh is transformed into a Z-up frame by `matrix`; the grid covers the
+ * x/y extent of `bounds` with samples at cell centres, stored row-major with
+ * row 0 at max y (the top row of a top-down image) and column 0 at min x.
+ *
+ * bakeGroundHeights wraps it for world-space consumers (utils/terrain):
+ * the grid covers the mesh's world bounding box with rows along +Z and
+ * columns along +X, and sampleGroundHeight reads it back bilinearly.
+ */
+
+// World Y-up to the Z-up grid frame: (x, y, z) -> (x, -z, y), so grid row 0 is min world z
+const WORLD_TO_GRID = new Matrix4().makeRotationX(Math.PI / 2);
+
+/**
+ * Rasterize `geometry` into a `size` x `size` height grid
+ *
+ * Where several triangles overlap a cell the highest wins; cells no triangle
+ * covers take the height of their nearest covered neighbour.
+ *
+ * @param {THREE.BufferGeometry} geometry - Ground geometry
+ * @param {THREE.Matrix4} matrix - Geometry to Z-up grid space transform
+ * @param {object} bounds - { min: [x, y, z], max: [x, y, z] } (only x and y are used)
+ * @param {number} size - Samples per side
+ * @returns {{ heights: Float32Array, minZ: number, maxZ: number }}
+ */
+export const rasterizeHeights = (geometry, matrix, bounds, size) => {
+  const position = geometry.attributes.position;
+  const local = new Float32Array(position.count * 3);
+  const vertex = new Vector3();
+  for (let i = 0; i < position.count; i++) {
+    vertex.fromBufferAttribute(position, i).applyMatrix4(matrix).toArray(local, i * 3);
+  }
+
+  const [minX, minY] = bounds.min;
+  const sizeX = bounds.max[0] - minX;
+  const sizeY = bounds.max[1] - minY;
+  const heights = new Float32Array(size * size).fill(-Infinity);
+
+  // Grid coordinates of each vertex, sample centres at integers
+  const px = (i) => ((local[i * 3] - minX) / sizeX) * size - 0.5;
+  const py = (i) => ((bounds.max[1] - local[i * 3 + 1]) / sizeY) * size - 0.5;
+
+  const index = geometry.index;
+  const triangles = index ? index.count / 3 : position.count / 3;
+  for (let t = 0; t < triangles; t++) {
+    const a = index ? index.getX(t * 3) : t * 3;
+    const b = index ? index.getX(t * 3 + 1) : t * 3 + 1;
+    const c = index ? index.getX(t * 3 + 2) : t * 3 + 2;
+    const ax = px(a); const ay = py(a);
+    const bx = px(b); const by = py(b);
+    const cx = px(c); const cy = py(c);
+    const area = (bx - ax) * (cy - ay) - (cx - ax) * (by - ay);
+    if (Math.abs(area) < 1e-12) continue;
+
+    const x0 = Math.max(0, Math.ceil(Math.min(ax, bx, cx)));
+    const x1 = Math.min(size - 1, Math.floor(Math.max(ax, bx, cx)));
+    const y0 = Math.max(0, Math.ceil(Math.min(ay, by, cy)));
+    const y1 = Math.min(size - 1, Math.floor(Math.max(ay, by, cy)));
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const wa = ((bx - x) * (cy - y) - (cx - x) * (by - y)) / area;
+        const wb = ((cx - x) * (ay - y) - (ax - x) * (cy - y)) / area;
+        const wc = 1 - wa - wb;
+        if (wa < -1e-6 || wb < -1e-6 || wc < -1e-6) continue;
+        const z = wa * local[a * 3 + 2] + wb * local[b * 3 + 2] + wc * local[c * 3 + 2];
+        const k = y * size + x;
+        if (z > heights[k]) heights[k] = z;
+      }
+    }
+  }
+
+  // Grow covered cells into the gaps (small triangles can miss pixel centres)
+  for (let pass = 0, filled = true; filled && pass < size; pass++) {
+    filled = false;
+    const previous = heights.slice();
+    for (let k = 0; k < heights.length; k++) {
+      if (previous[k] !== -Infinity) continue;
+      const x = k % size;
+      const neighbours = [x > 0 ? k - 1 : -1, x < size - 1 ? k + 1 : -1, k - size, k + size];
+      const n = neighbours.find((j) => j >= 0 && j < heights.length && previous[j] !== -Infinity);
+      if (n !== undefined) {
+        heights[k] = previous[n];
+        filled = true;
+      }
+    }
+  }
+
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+  heights.forEach((z) => {
+    if (z === -Infinity) return;
+    if (z < minZ) minZ = z;
+    if (z > maxZ) maxZ = z;
+  });
+  if (minZ === Infinity) minZ = maxZ = 0;
+
+  // Anything still uncovered (the mesh misses the bounds entirely) sits at the lowest point
+  for (let k = 0; k < heights.length; k++) {
+    if (heights[k] === -Infinity) heights[k] = minZ;
+  }
+  return { heights, minZ, maxZ };
+};
+
+/**
+ * Bake a world-space ground mesh into a height grid over its bounding box
+ *
+ * Sample (row, col) sits at world x = minX + (col + 0.5) * cellX and
+ * z = minZ + (row + 0.5) * cellZ.
+ *
+ * @param {THREE.Mesh} groundMesh - Ground mesh in the scene
+ * @param {number} size - Samples per side
+ * @returns {{ heights: Float32Array, size: number, minX: number, minZ: number,
+ *   maxX: number, maxZ: number, cellX: number, cellZ: number, minHeight: number, maxHeight: number }}
+ */
+export const bakeGroundHeights = (groundMesh, size) => {
+  groundMesh.updateWorldMatrix(true, false);
+  const box = new Box3().setFromObject(groundMesh);
+  const bounds = { min: [box.min.x, -box.max.z, 0], max: [box.max.x, -box.min.z, 0] };
+  const matrix = WORLD_TO_GRID.clone().multiply(groundMesh.matrixWorld);
+  const { heights, minZ, maxZ } = rasterizeHeights(groundMesh.geometry, matrix, bounds, size);
+
+  return {
+    heights,
+    size,
+    minX: box.min.x,
+    minZ: box.min.z,
+    maxX: box.max.x,
+    maxZ: box.max.z,
+    cellX: (box.max.x - box.min.x) / size,
+    cellZ: (box.max.z - box.min.z) / size,
+    minHeight: minZ,
+    maxHeight: maxZ,
+  };
+};
+
+/**
+ * Bilinear ground height at world (x, z); positions off the grid clamp to its edge
+ */
+export const sampleGroundHeight = (ground, x, z) => {
+  const { heights, size } = ground;
+  const gx = Math.min(Math.max((x - ground.minX) / ground.cellX - 0.5, 0), size - 1);
+  const gz = Math.min(Math.max((z - ground.minZ) / ground.cellZ - 0.5, 0), size - 1);
+  const col = Math.min(Math.floor(gx), size - 2);
+  const row = Math.min(Math.floor(gz), size - 2);
+  const fx = gx - col;
+  const fz = gz - row;
+  const k = row * size + col;
+  const top = heights[k] + (heights[k + 1] - heights[k]) * fx;
+  const bottom = heights[k + size] + (heights[k + size + 1] - heights[k + size]) * fx;
+  return top + (bottom - top) * fz;
+};
@@ -0,0 +1,218 @@
+/**
+ * Sphere journeys
+ *
+ * A journey is a recording of one trip as input, not as poses: the state of
+ * the sphere and camera rig when recording started, the length of every
+ * frame, and every input with the frame it arrived in (pointer steering,
+ * routes, drive sticks, camera look / zoom / orbit), plus the swarm, ribbon
+ * and camera mode changes. Playback restores the start state and runs the
+ * recorded frames through the same update as live input, frame for frame
+ * with the recorded deltas, so it reproduces what the steering, routing,
+ * bounds and camera code did, bugs included. Faster or slower playback runs
+ * more or fewer recorded frames per rendered one.
+ *
+ * Journeys are plain JSON:
+ *
+ *   { version: 2, duration, start: { ... },
+ *     frames: [delta, ...],
+ *     inputs: [[frame, type, ...args], ...],
+ *     events: [{ f, type, value }, ...] }
+ *
+ * `start` is whatever the scene saved (see MovingSphere); inputs and mode
+ * events apply before the frame they name is run.
+ */
+
+export const JOURNEY_VERSION = 2;
+export const JOURNEY_MODE_TYPES = ['swarmMode', 'ribbonMode', 'cameraMode'];
+export const JOURNEY_INPUT_TYPES = ['travel', 'navigate', 'drive', 'look', 'zoom', 'orbit'];
+
+const sameArgs = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+/**
+ * The value of every mode as of the start of frame `frame` ({ swarmMode: 'swarm', ... })
+ */
+export const journeyModesAt = (journey, frame) => {
+  const modes = {};
+  journey.events.forEach((event) => {
+    if (event.f <= frame) modes[event.type] = event.value;
+  });
+  return modes;
+};
+
+export const serializeJourney = (journey) => JSON.stringify(journey);
+
+/**
+ * Read a journey from JSON, throwing a readable Error if it is not one
+ */
+export const parseJourney = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Journey is not valid JSON (${error.message})`);
+  }
+  if (!data || data.version !== JOURNEY_VERSION) {
+    throw new Error(`Unsupported journey version ${data?.version} (expected ${JOURNEY_VERSION})`);
+  }
+  if (!data.start || typeof data.start !== 'object') throw new Error('Journey has no start state');
+  const framesValid = Array.isArray(data.frames) && data.frames.every((delta) => Number.isFinite(delta) && delta >= 0);
+  if (!framesValid || data.frames.length === 0) throw new Error('Journey has no valid frames');
+  const inputsValid = Array.isArray(data.inputs) && data.inputs.every((input) => (
+    Array.isArray(input) && Number.isInteger(input[0]) && JOURNEY_INPUT_TYPES.includes(input[1])
+  ));
+  if (!inputsValid) throw new Error('Journey has invalid inputs');
+  const eventsValid = Array.isArray(data.events) && data.events.every((event) => (
+    Number.isInteger(event?.f) && JOURNEY_MODE_TYPES.includes(event.type) && typeof event.value === 'string'
+  ));
+  if (!eventsValid) throw new Error('Journey has invalid mode events');
+
+  const { start, frames } = data;
+  const inputs = [...data.inputs].sort((a, b) => a[0] - b[0]);
+  const events = [...data.events].sort((a, b) => a.f - b.f);
+  const duration = frames.reduce((sum, delta) => sum + delta, 0);
+  return { version: JOURNEY_VERSION, duration, start, frames, inputs, events };
+};
+
+export class JourneyRecorder {
+  constructor() {
+    this.journey = null;
+    this.time = 0;
+    this.lastDrive = null;
+  }
+
+  get isRecording() {
+    return this.journey !== null;
+  }
+
+  // Recording but no frame captured yet, so the start state is still to come
+  get needsStart() {
+    return this.journey !== null && this.journey.start === null;
+  }
+
+  /**
+   * Begin a new journey, starting from the modes currently in effect
+   */
+  start(modes = {}) {
+    this.journey = { version: JOURNEY_VERSION, duration: 0, start: null, frames: [], inputs: [], events: [] };
+    this.time = 0;
+    this.lastDrive = null;
+    Object.entries(modes).forEach(([type, value]) => this.recordMode(type, value));
+  }
+
+  /**
+   * State to replay from, saved just before the first frame; input before it is already part of it
+   */
+  begin(state) {
+    if (!this.needsStart) return;
+    this.journey.start = state;
+    this.lastDrive = null;
+  }
+
+  recordMode(type, value) {
+    if (!this.journey) return;
+    this.journey.events.push({ f: this.journey.frames.length, type, value });
+  }
+
+  /**
+   * Input for the frame about to run; drive sticks are only kept when they change
+   */
+  recordInput(type, args) {
+    if (!this.journey?.start) return;
+    if (type === 'drive') {
+      if (this.lastDrive && sameArgs(args, this.lastDrive)) return;
+      this.lastDrive = args;
+    }
+    this.journey.inputs.push([this.journey.frames.length, type, ...args]);
+  }
+
+  /**
+   * Call once at the end of every frame
+   */
+  capture(delta) {
+    if (!this.journey?.start) return;
+    this.journey.frames.push(delta);
+    this.time += delta;
+  }
+
+  /**
+   * Finish and return the journey (null if nothing was captured)
+   */
+  stop() {
+    const { journey } = this;
+    this.journey = null;
+    if (!journey || journey.frames.length === 0) return null;
+    journey.duration = this.time;
+    return journey;
+  }
+}
+
+export class JourneyPlayer {
+  constructor(journey) {
+    this.journey = journey;
+    this.time = 0; // Playback clock
+    this.next = 0; // Index of the next frame to run
+    this.speed = 1;
+    this.playing = false;
+
+    // Time at the end of each frame, and inputs and mode changes grouped by frame
+    let time = 0;
+    this.frameEnds = journey.frames.map((delta) => (time += delta));
+    this.frameInputs = new Map();
+    journey.inputs.forEach(([frame, type, ...args]) => {
+      if (!this.frameInputs.has(frame)) this.frameInputs.set(frame, []);
+      this.frameInputs.get(frame).push({ type, args });
+    });
+    this.frameModes = new Map();
+    journey.events.forEach(({ f, type, value }) => {
+      if (!this.frameModes.has(f)) this.frameModes.set(f, {});
+      this.frameModes.get(f)[type] = value;
+    });
+  }
+
+  get atEnd() {
+    return this.next >= this.journey.frames.length;
+  }
+
+  /**
+   * Frame `index` to run: { delta, inputs: [{ type, args }], modes: { type: value } }
+   */
+  frame(index) {
+    return {
+      delta: this.journey.frames[index],
+      inputs: this.frameInputs.get(index) ?? [],
+      modes: this.frameModes.get(index) ?? {},
+    };
+  }
+
+  // Frames whose end the clock has passed, from the next one on
+  runTo(time) {
+    const frames = [];
+    while (this.next < this.frameEnds.length && this.frameEnds[this.next] <= time + 1e-9) {
+      frames.push(this.frame(this.next++));
+    }
+    return frames;
+  }
+
+  /**
+   * Move playback on by `delta` real seconds; returns the frames to run
+   */
+  advance(delta) {
+    if (!this.playing) return [];
+    this.time = Math.min(this.time + delta * this.speed, this.journey.duration);
+    const frames = this.runTo(this.time);
+    if (this.atEnd) this.playing = false;
+    return frames;
+  }
+
+  /**
+   * Jump to `time`. Going back, or with `restart`, replays from the start
+   * state: { restart, frames: frames to run, modes: modes in effect there }
+   */
+  seek(time, restart = false) {
+    this.time = Math.min(Math.max(time, 0), this.journey.duration);
+    const rewind = restart || (this.next > 0 && this.frameEnds[this.next - 1] > this.time + 1e-9);
+    if (rewind) this.next = 0;
+    const frames = this.runTo(this.time);
+    return { restart: rewind, frames, modes: journeyModesAt(this.journey, this.next) };
+  }
+}
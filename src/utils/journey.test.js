@@ -0,0 +1,81 @@
+import * as THREE from 'three';
+import { JourneyPlayer, JourneyRecorder, parseJourney, serializeJourney } from './journey';
+import { followTarget } from './damping';
+
+const MOTION = { halfLife: 0.5, maxSpeed: 6, acceleration: 10 };
+
+// A sphere easing toward its target, stepped the way MovingSphere does it
+const createScene = () => ({ position: new THREE.Vector3(), velocity: new THREE.Vector3(), target: new THREE.Vector3() });
+const step = (scene, delta) => followTarget(scene.position, scene.velocity, scene.target, MOTION, delta);
+
+// Two seconds at an uneven frame rate, steered twice and swarming from frame 30
+const recordTrip = () => {
+  const scene = createScene();
+  const recorder = new JourneyRecorder();
+  recorder.start({ swarmMode: 'normal', cameraMode: 'chase' });
+  for (let frame = 0; frame < 120; frame++) {
+    if (frame === 0) recorder.begin({ position: scene.position.toArray(), velocity: scene.velocity.toArray(), target: scene.target.toArray() });
+    if (frame === 10 || frame === 70) {
+      const point = frame === 10 ? [8, 0, 3] : [-4, 0, 6];
+      recorder.recordInput('travel', point);
+      scene.target.fromArray(point);
+    }
+    if (frame === 30) recorder.recordMode('swarmMode', 'swarm');
+    const delta = frame % 3 === 0 ? 1 / 30 : 1 / 90;
+    step(scene, delta);
+    recorder.capture(delta);
+  }
+  return { journey: recorder.stop(), end: scene.position.clone() };
+};
+
+test('replaying the recorded frames and input ends exactly where the trip did', () => {
+  const { journey, end } = recordTrip();
+  expect(journey.frames).toHaveLength(120);
+  expect(journey.duration).toBeCloseTo(40 / 30 + 80 / 90);
+
+  const player = new JourneyPlayer(parseJourney(serializeJourney(journey)));
+  const scene = createScene();
+  const { restart, frames } = player.seek(0, true);
+  expect(restart).toBe(true);
+  scene.position.fromArray(player.journey.start.position);
+  scene.target.fromArray(player.journey.start.target);
+
+  player.playing = true;
+  const run = (list) => list.forEach((frame) => {
+    frame.inputs.forEach(({ type, args }) => {
+      if (type === 'travel') scene.target.fromArray(args);
+    });
+    step(scene, frame.delta);
+  });
+  run(frames);
+  while (player.playing) run(player.advance(1 / 60));
+
+  expect(scene.position.toArray()).toEqual(end.toArray());
+});
+
+test('players hand out the frames that are due, with their modes, and rewind on seeking back', () => {
+  const { journey } = recordTrip();
+  const player = new JourneyPlayer(journey);
+  player.playing = true;
+  player.speed = 2;
+
+  const first = player.advance(0.1);
+  expect(first.length).toBeGreaterThan(1);
+  expect(first[0].modes).toEqual({ swarmMode: 'normal', cameraMode: 'chase' });
+  const passed = [...first, ...player.advance(0.4)];
+  expect(passed.find((frame) => frame.modes.swarmMode === 'swarm')).toBe(passed[30]);
+  expect(passed[10].inputs).toEqual([{ type: 'travel', args: [8, 0, 3] }]);
+
+  const back = player.seek(0.1);
+  expect(back.restart).toBe(true);
+  expect(back.modes).toEqual({ swarmMode: 'normal', cameraMode: 'chase' });
+  expect(player.seek(0.2).restart).toBe(false);
+
+  player.playing = true;
+  player.advance(10);
+  expect(player.atEnd).toBe(true);
+  expect(player.playing).toBe(false);
+
+  expect(() => parseJourney('{"version": 99}')).toThrow(/version/);
+  expect(() => parseJourney('not json')).toThrow(/JSON/);
+});
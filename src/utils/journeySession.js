@@ -0,0 +1,219 @@
+import { useSyncExternalStore } from 'react';
+import { JourneyPlayer, JourneyRecorder, parseJourney, serializeJourney } from './journey';
+
+/**
+ * Journey session store
+ *
+ * The one recorder and player shared by the scene and the UI. MovingSphere
+ * reports its input and frames while recording and, while replaying, runs
+ * the recorded frames through its own update instead of live input; App
+ * reports mode changes and applies them back on playback; JourneyControls
+ * drives record, play, pause, scrub and speed.
+ *
+ *   status: 'idle' | 'recording' | 'playing' | 'paused'
+ */
+
+const TIME_EMIT_STEP = 0.1; // Seconds of progress between UI updates while recording or playing
+
+const recorder = new JourneyRecorder();
+const liveModes = {}; // Latest swarm / ribbon / camera modes, so recordings start from them
+const listeners = new Set();
+const modeListeners = new Set();
+let journey = null;
+let player = null;
+let status = 'idle';
+let error = null;
+let snapshot = null;
+let queued = null; // { start, frames } for the scene to run on its next frame
+
+const currentTime = () => (status === 'recording' ? recorder.time : player?.time ?? 0);
+
+const emit = () => {
+  snapshot = {
+    status,
+    time: currentTime(),
+    duration: journey?.duration ?? 0,
+    speed: player?.speed ?? 1,
+    hasJourney: journey !== null,
+    error,
+  };
+  listeners.forEach((listener) => listener());
+};
+emit();
+
+const applyModes = (modes) => {
+  Object.entries(modes).forEach(([type, value]) => {
+    modeListeners.forEach((listener) => listener(type, value));
+  });
+};
+
+// Hand frames to the scene; a restart drops whatever was queued before it
+const queueFrames = ({ restart = false, frames }) => {
+  if (restart || !queued) queued = { start: restart ? journey.start : null, frames: [] };
+  queued.frames.push(...frames);
+};
+
+// Jump playback to `time`; from idle the scene is live, so playback starts over from the start state
+const seekTo = (time) => {
+  const { restart, frames, modes } = player.seek(time, status === 'idle');
+  queueFrames({ restart, frames });
+  applyModes(modes);
+};
+
+export const startRecording = () => {
+  if (status !== 'idle') return;
+  recorder.start(liveModes);
+  status = 'recording';
+  error = null;
+  emit();
+};
+
+export const stopRecording = () => {
+  if (status !== 'recording') return;
+  const recorded = recorder.stop();
+  if (recorded) {
+    journey = recorded;
+    player = new JourneyPlayer(journey);
+  }
+  status = 'idle';
+  emit();
+};
+
+export const playJourney = () => {
+  if (!player || status === 'recording') return;
+  if (status === 'idle' || player.atEnd) seekTo(player.atEnd ? 0 : player.time);
+  player.playing = true;
+  status = 'playing';
+  emit();
+};
+
+export const pauseJourney = () => {
+  if (status !== 'playing') return;
+  player.playing = false;
+  status = 'paused';
+  emit();
+};
+
+// Leave playback where it is and hand the sphere back to live input
+export const stopJourney = () => {
+  if (status !== 'playing' && status !== 'paused') return;
+  player.playing = false;
+  status = 'idle';
+  queued = null;
+  emit();
+};
+
+export const seekJourney = (time) => {
+  if (!player || status === 'recording') return;
+  seekTo(time);
+  if (status === 'idle') status = 'paused';
+  emit();
+};
+
+export const setJourneySpeed = (speed) => {
+  if (!player) return;
+  player.speed = speed;
+  emit();
+};
+
+/**
+ * Replace the current journey with one read from JSON; bad files are reported through `error`
+ */
+export const loadJourney = (text) => {
+  if (status === 'recording') return;
+  try {
+    const loaded = parseJourney(text);
+    const speed = player?.speed ?? 1;
+    journey = loaded;
+    player = new JourneyPlayer(journey);
+    player.speed = speed;
+    status = 'idle';
+    queued = null;
+    error = null;
+  } catch (loadError) {
+    console.error('Journey import failed:', loadError);
+    error = loadError.message;
+  }
+  emit();
+};
+
+export const exportJourney = () => (journey ? serializeJourney(journey) : null);
+
+/**
+ * Report a live mode change (App); recorded while recording
+ */
+export const recordJourneyMode = (type, value) => {
+  liveModes[type] = value;
+  if (status === 'recording') recorder.recordMode(type, value);
+};
+
+/**
+ * Listen for modes set by playback: listener(type, value); returns an unsubscribe
+ */
+export const onJourneyModeChange = (listener) => {
+  modeListeners.add(listener);
+  return () => modeListeners.delete(listener);
+};
+
+export const isJourneyReplaying = () => status === 'playing' || status === 'paused';
+
+/**
+ * Report live input (MovingSphere, camera rig): recorded while recording.
+ * Returns false while replaying, when live input must be ignored
+ */
+export const recordJourneyInput = (type, args) => {
+  if (isJourneyReplaying()) return false;
+  if (status === 'recording') recorder.recordInput(type, args);
+  return true;
+};
+
+/**
+ * Start of every live frame (MovingSphere): `saveStart` is called for the
+ * state to replay from when a recording still needs one
+ */
+export const beginJourneyFrame = (saveStart) => {
+  if (status !== 'recording' || !recorder.needsStart) return;
+  recorder.begin(saveStart());
+};
+
+/**
+ * End of every live frame (MovingSphere)
+ */
+export const endJourneyFrame = (delta) => {
+  if (status !== 'recording') return;
+  recorder.capture(delta);
+  if (recorder.time - snapshot.time >= TIME_EMIT_STEP) emit();
+};
+
+/**
+ * Per frame while replaying (MovingSphere): { start, frames } to run, where
+ * `start` is the state to restore first (or null) and each frame is
+ * { delta, inputs, modes }; null when not replaying
+ */
+export const advanceJourney = (delta) => {
+  if (!isJourneyReplaying()) return null;
+  const frames = player.advance(delta);
+  frames.forEach((frame) => applyModes(frame.modes));
+  queueFrames({ frames });
+  if (!player.playing && status === 'playing') {
+    status = 'paused'; // Reached the end
+    emit();
+  } else if (Math.abs(player.time - snapshot.time) >= TIME_EMIT_STEP) {
+    emit();
+  }
+  const replay = queued;
+  queued = null;
+  return replay;
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getSnapshot = () => snapshot;
+
+/**
+ * Recorder and player state for the UI
+ */
+export const useJourneySession = () => useSyncExternalStore(subscribe, getSnapshot);
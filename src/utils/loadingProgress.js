@@ -0,0 +1,56 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Loading progress store
+ *
+ * Loads that three.js's DefaultLoadingManager cannot see (streamed fetches,
+ * worker-side decoding) report here so the loading screen can show them next
+ * to the GLB, HDRI and texture progress from drei's `useProgress`.
+ *
+ *   reportLoadingProgress('grass', { label: 'Grass', loaded, total });
+ *   reportLoadingProgress('grass', { done: true });
+ */
+
+const tasks = new Map();
+const listeners = new Set();
+let snapshot = [];
+
+const emit = () => {
+  snapshot = Array.from(tasks.values());
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Merge a progress update into the task `key`
+ *
+ * @param {string} key
+ * @param {object} update - { label, loaded, total, done, ...extra }; `total` is 0 when unknown
+ */
+export const reportLoadingProgress = (key, update) => {
+  tasks.set(key, { key, loaded: 0, total: 0, done: false, ...tasks.get(key), ...update });
+  emit();
+};
+
+export const clearLoadingProgress = (key) => {
+  if (tasks.delete(key)) emit();
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getSnapshot = () => snapshot;
+
+/**
+ * Current tasks, re-rendering on every report
+ */
+export const useLoadingTasks = () => useSyncExternalStore(subscribe, getSnapshot);
+
+/**
+ * Fraction complete of one task in [0, 1]
+ */
+export const taskFraction = (task) => {
+  if (task.done) return 1;
+  return task.total > 0 ? Math.min(task.loaded / task.total, 1) : 0;
+};
@@ -0,0 +1,264 @@
+import { sampleGroundHeight } from './groundHeights';
+
+/**
+ * Terrain navigation
+ *
+ * A walkability grid derived from a baked ground height grid (see
+ * bakeGroundHeights) and A* pathfinding over it, so the sphere can travel
+ * to a clicked point around slopes it should not climb.
+ *
+ * A cell is blocked when its slope exceeds `maxSlope` or its height falls
+ * outside [minHeight, maxHeight]; walkable cells cost more the steeper they
+ * are, so routes prefer flat ground even where a climb is allowed. Moves go
+ * to the 8 neighbours, but never diagonally past a blocked corner.
+ */
+
+export const DEFAULT_NAV_OPTIONS = {
+  maxSlope: 35, // Degrees; steeper cells are blocked
+  minHeight: -Infinity, // World heights outside this range are blocked
+  maxHeight: Infinity,
+  slopeCost: 3, // Extra cost at maxSlope, scaled linearly from flat ground
+};
+
+const NEIGHBOURS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [1, -1], [-1, 1], [-1, -1],
+];
+const GOAL_SEARCH_RADIUS = 12; // Cells searched for a walkable stand-in when the goal is blocked
+
+/**
+ * Build a navigation grid from a baked ground height grid
+ */
+export const createNavGrid = (ground, options = {}) => {
+  const { maxSlope, minHeight, maxHeight, slopeCost } = { ...DEFAULT_NAV_OPTIONS, ...options };
+  const { heights, size, cellX, cellZ } = ground;
+  const maxGradient = Math.tan((maxSlope * Math.PI) / 180);
+  const walkable = new Uint8Array(size * size);
+  const cost = new Float32Array(size * size);
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const k = row * size + col;
+      // Steepest step to a neighbour on each axis, so one-cell ridges and pits count as steep
+      const height = heights[k];
+      const left = heights[row * size + Math.max(col - 1, 0)];
+      const right = heights[row * size + Math.min(col + 1, size - 1)];
+      const back = heights[Math.max(row - 1, 0) * size + col];
+      const front = heights[Math.min(row + 1, size - 1) * size + col];
+      const dx = Math.max(Math.abs(right - height), Math.abs(height - left)) / cellX;
+      const dz = Math.max(Math.abs(front - height), Math.abs(height - back)) / cellZ;
+      const gradient = Math.hypot(dx, dz);
+
+      walkable[k] = gradient <= maxGradient && height >= minHeight && height <= maxHeight ? 1 : 0;
+      cost[k] = 1 + slopeCost * Math.min(gradient / maxGradient, 1);
+    }
+  }
+
+  return { ...ground, walkable, cost };
+};
+
+const toCol = (grid, x) => Math.min(Math.max(Math.floor((x - grid.minX) / grid.cellX), 0), grid.size - 1);
+const toRow = (grid, z) => Math.min(Math.max(Math.floor((z - grid.minZ) / grid.cellZ), 0), grid.size - 1);
+
+const cellCenter = (grid, k) => {
+  const x = grid.minX + ((k % grid.size) + 0.5) * grid.cellX;
+  const z = grid.minZ + (Math.floor(k / grid.size) + 0.5) * grid.cellZ;
+  return { x, y: grid.heights[k], z };
+};
+
+// Nearest walkable cell to a blocked one, searched in growing square rings
+const nearestWalkable = (grid, k) => {
+  if (grid.walkable[k]) return k;
+  const { size } = grid;
+  const col = k % size;
+  const row = Math.floor(k / size);
+  for (let radius = 1; radius <= GOAL_SEARCH_RADIUS; radius++) {
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let r = row - radius; r <= row + radius; r++) {
+      for (let c = col - radius; c <= col + radius; c++) {
+        if (r < 0 || c < 0 || r >= size || c >= size) continue;
+        if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== radius) continue;
+        const j = r * size + c;
+        const distance = (r - row) ** 2 + (c - col) ** 2;
+        if (grid.walkable[j] && distance < bestDistance) {
+          best = j;
+          bestDistance = distance;
+        }
+      }
+    }
+    if (best >= 0) return best;
+  }
+  return -1;
+};
+
+// Binary min-heap of cell indices keyed by f score
+class CellHeap {
+  constructor() {
+    this.cells = [];
+    this.scores = [];
+  }
+
+  get size() {
+    return this.cells.length;
+  }
+
+  push(cell, score) {
+    const { cells, scores } = this;
+    let i = cells.length;
+    cells.push(cell);
+    scores.push(score);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (scores[parent] <= score) break;
+      cells[i] = cells[parent];
+      scores[i] = scores[parent];
+      i = parent;
+    }
+    cells[i] = cell;
+    scores[i] = score;
+  }
+
+  pop() {
+    const { cells, scores } = this;
+    const top = cells[0];
+    const lastCell = cells.pop();
+    const lastScore = scores.pop();
+    if (cells.length === 0) return top;
+
+    let i = 0;
+    for (;;) {
+      const left = i * 2 + 1;
+      if (left >= cells.length) break;
+      const child = left + 1 < cells.length && scores[left + 1] < scores[left] ? left + 1 : left;
+      if (scores[child] >= lastScore) break;
+      cells[i] = cells[child];
+      scores[i] = scores[child];
+      i = child;
+    }
+    cells[i] = lastCell;
+    scores[i] = lastScore;
+    return top;
+  }
+}
+
+// Whether the straight segment between two cells crosses only walkable cells
+const hasLineOfSight = (grid, from, to) => {
+  const { size } = grid;
+  const c0 = from % size;
+  const r0 = Math.floor(from / size);
+  const c1 = to % size;
+  const r1 = Math.floor(to / size);
+  const steps = Math.max(Math.abs(c1 - c0), Math.abs(r1 - r0)) * 2;
+  for (let i = 1; i < steps; i++) {
+    const t = i / steps;
+    const c = Math.round(c0 + (c1 - c0) * t);
+    const r = Math.round(r0 + (r1 - r0) * t);
+    if (!grid.walkable[r * size + c]) return false;
+  }
+  return true;
+};
+
+/**
+ * A* from `start` to `goal` (world { x, z }) across the grid
+ *
+ * A blocked goal is moved to the nearest walkable cell; the start may be
+ * blocked (the sphere can end up on a slope) and the route simply leaves it.
+ * Cell-by-cell routes are shortened to the corners that need line of sight.
+ *
+ * @returns {Array<{x, y, z}>|null} World waypoints ending at the goal, or null when unreachable
+ */
+export const findPath = (grid, start, goal) => {
+  const { size, walkable, cost } = grid;
+  const startCell = toRow(grid, start.z) * size + toCol(grid, start.x);
+  const requestedGoal = toRow(grid, goal.z) * size + toCol(grid, goal.x);
+  const goalCell = nearestWalkable(grid, requestedGoal);
+  if (goalCell < 0) return null;
+
+  const goalCol = goalCell % size;
+  const goalRow = Math.floor(goalCell / size);
+  // Octile distance at the minimum cost; cells need not be square, so diagonals are measured per step
+  const diagonal = Math.hypot(grid.cellX, grid.cellZ);
+  const heuristic = (k) => {
+    const cols = Math.abs((k % size) - goalCol);
+    const rows = Math.abs(Math.floor(k / size) - goalRow);
+    const diagonals = Math.min(cols, rows);
+    return diagonals * diagonal + (cols - diagonals) * grid.cellX + (rows - diagonals) * grid.cellZ;
+  };
+
+  const gScore = new Float32Array(size * size).fill(Infinity);
+  const cameFrom = new Int32Array(size * size).fill(-1);
+  const closed = new Uint8Array(size * size);
+  const open = new CellHeap();
+  gScore[startCell] = 0;
+  open.push(startCell, heuristic(startCell));
+
+  while (open.size > 0) {
+    const current = open.pop();
+    if (current === goalCell) break;
+    if (closed[current]) continue;
+    closed[current] = 1;
+
+    const col = current % size;
+    const row = Math.floor(current / size);
+    for (const [dc, dr] of NEIGHBOURS) {
+      const c = col + dc;
+      const r = row + dr;
+      if (c < 0 || r < 0 || c >= size || r >= size) continue;
+      const next = r * size + c;
+      if (!walkable[next] || closed[next]) continue;
+      // No cutting diagonally past a blocked cell
+      if (dc !== 0 && dr !== 0 && (!walkable[row * size + c] || !walkable[r * size + col])) continue;
+
+      const step = Math.hypot(dc * grid.cellX, dr * grid.cellZ) * (cost[current] + cost[next]) * 0.5;
+      const score = gScore[current] + step;
+      if (score < gScore[next]) {
+        gScore[next] = score;
+        cameFrom[next] = current;
+        open.push(next, score + heuristic(next));
+      }
+    }
+  }
+
+  if (goalCell !== startCell && cameFrom[goalCell] < 0) return null;
+
+  const cells = [goalCell];
+  while (cells[cells.length - 1] !== startCell) cells.push(cameFrom[cells[cells.length - 1]]);
+  cells.reverse();
+
+  // String-pull: keep a corner only when the next one is out of sight
+  const corners = [cells[0]];
+  for (let i = 1; i < cells.length - 1; i++) {
+    if (!hasLineOfSight(grid, corners[corners.length - 1], cells[i + 1])) corners.push(cells[i]);
+  }
+
+  const waypoints = corners.slice(1).map((k) => cellCenter(grid, k));
+  // Finish exactly at the clicked point when it was reachable
+  const end = goalCell === requestedGoal
+    ? { x: goal.x, y: sampleGroundHeight(grid, goal.x, goal.z), z: goal.z }
+    : cellCenter(grid, goalCell);
+  waypoints.push(end);
+  return waypoints;
+};
+
+/**
+ * Resample a route every `spacing` units with ground heights, for drawing it on the terrain
+ *
+ * @returns {Array<[number, number, number]>} Points from `start` along the waypoints
+ */
+export const drapePath = (ground, start, waypoints, spacing = 0.5, lift = 0.15) => {
+  const points = [];
+  let from = start;
+  const push = (x, z) => points.push([x, sampleGroundHeight(ground, x, z) + lift, z]);
+  push(from.x, from.z);
+  waypoints.forEach((to) => {
+    const length = Math.hypot(to.x - from.x, to.z - from.z);
+    const steps = Math.max(Math.ceil(length / spacing), 1);
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      push(from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t);
+    }
+    from = to;
+  });
+  return points;
+};
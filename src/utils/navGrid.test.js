@@ -0,0 +1,39 @@
+import { createNavGrid, drapePath, findPath } from './navGrid';
+
+// 20 x 20 one-unit cells over [0, 20] with a tall wall along x = 10, open only for z > 16
+const createWalledGround = () => {
+  const size = 20;
+  const heights = new Float32Array(size * size);
+  for (let row = 0; row < 16; row++) heights[row * size + 10] = 10;
+  return { heights, size, minX: 0, minZ: 0, maxX: 20, maxZ: 20, cellX: 1, cellZ: 1, minHeight: 0, maxHeight: 10 };
+};
+
+test('steep cells are blocked and routes go round them', () => {
+  const grid = createNavGrid(createWalledGround());
+  expect(grid.walkable[5 * 20 + 10]).toBe(0);
+  expect(grid.walkable[5 * 20 + 9]).toBe(0); // The wall's flanks are steep too
+  expect(grid.walkable[5 * 20 + 2]).toBe(1);
+
+  const path = findPath(grid, { x: 2.5, z: 2.5 }, { x: 17.5, z: 2.5 });
+  expect(path).not.toBeNull();
+  expect(path[path.length - 1]).toMatchObject({ x: 17.5, z: 2.5 });
+  // Somewhere the route has to pass the gap beyond the wall's end
+  expect(Math.max(...path.map((point) => point.z))).toBeGreaterThan(16);
+});
+
+test('blocked goals snap to walkable ground and unreachable goals give no route', () => {
+  const grid = createNavGrid(createWalledGround());
+  const path = findPath(grid, { x: 2.5, z: 2.5 }, { x: 10.5, z: 5.5 });
+  const end = path[path.length - 1];
+  expect(grid.walkable[Math.floor(end.z) * 20 + Math.floor(end.x)]).toBe(1);
+
+  const sealed = createNavGrid(createWalledGround(), { maxHeight: -1 });
+  expect(findPath(sealed, { x: 2.5, z: 2.5 }, { x: 17.5, z: 2.5 })).toBeNull();
+});
+
+test('draped routes follow the ground height', () => {
+  const ground = createWalledGround();
+  const points = drapePath(ground, { x: 2.5, z: 2.5 }, [{ x: 2.5, z: 6.5 }], 1, 0.1);
+  expect(points).toHaveLength(5);
+  points.forEach(([, y]) => expect(y).toBeCloseTo(0.1));
+});
@@ -0,0 +1,76 @@
+import { Matrix4, Plane, Vector3, Vector4 } from 'three';
+
+/**
+ * Portals
+ *
+ * A portal joins two frames: the entrance the viewer looks into and the exit
+ * the view comes out of. Through the entrance the world is drawn from a
+ * virtual camera standing at the exit exactly where the real camera stands
+ * relative to the entrance. Both frames face along their local +Z: the viewer
+ * looks through the entrance from its -Z side and sees what lies on the +Z
+ * side of the exit.
+ */
+
+const relative = new Matrix4();
+const framePosition = new Vector3();
+const frameNormal = new Vector3();
+const clipPlane = new Plane();
+const clipVector = new Vector4();
+const clipCorner = new Vector4();
+
+/**
+ * Pose `virtualCamera` at the exit where `camera` is relative to the entrance
+ *
+ * @param {THREE.Camera} camera - The viewer's camera, world matrix up to date
+ * @param {THREE.Matrix4} entrance - World matrix of the entrance frame
+ * @param {THREE.Matrix4} exit - World matrix of the exit frame
+ * @param {THREE.Camera} virtualCamera - Camera without a parent to move
+ */
+export const linkPortalCamera = (camera, entrance, exit, virtualCamera) => {
+  relative.copy(entrance).invert().premultiply(exit).multiply(camera.matrixWorld);
+  relative.decompose(virtualCamera.position, virtualCamera.quaternion, virtualCamera.scale);
+  virtualCamera.updateMatrixWorld(true);
+  return virtualCamera;
+};
+
+/**
+ * Whether `point` is on the side of `frame` that looks through it
+ */
+export const isBehindPortal = (frame, point) => {
+  framePosition.setFromMatrixPosition(frame);
+  frameNormal.set(0, 0, 1).transformDirection(frame);
+  return frameNormal.dot(framePosition.sub(point)) > 0;
+};
+
+/**
+ * Replace the near plane of `camera`'s projection with the exit frame, so
+ * nothing between the virtual camera and the exit shows through the portal
+ * (oblique near-plane clipping, after Lengyel, as three's Reflector does)
+ *
+ * @param {THREE.PerspectiveCamera} camera - Virtual camera, matrices up to date
+ * @param {THREE.Matrix4} exit - World matrix of the exit frame
+ * @param {number} [bias] - Pulls the clip plane towards the camera to hide seams
+ */
+export const clipToPortal = (camera, exit, bias = 0) => {
+  frameNormal.set(0, 0, 1).transformDirection(exit);
+  clipPlane.setFromNormalAndCoplanarPoint(frameNormal, framePosition.setFromMatrixPosition(exit));
+  clipPlane.applyMatrix4(camera.matrixWorldInverse);
+  clipVector.set(clipPlane.normal.x, clipPlane.normal.y, clipPlane.normal.z, clipPlane.constant);
+
+  // Far corner of the view frustum opposite the plane, in clip space
+  const e = camera.projectionMatrix.elements;
+  clipCorner.set(
+    (Math.sign(clipVector.x) + e[8]) / e[0],
+    (Math.sign(clipVector.y) + e[9]) / e[5],
+    -1,
+    (1 + e[10]) / e[14]
+  );
+  clipVector.multiplyScalar(2 / clipVector.dot(clipCorner));
+
+  e[2] = clipVector.x;
+  e[6] = clipVector.y;
+  e[10] = clipVector.z + 1 - bias;
+  e[14] = clipVector.w;
+  camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
+  return camera;
+};
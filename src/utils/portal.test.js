@@ -0,0 +1,45 @@
+import * as THREE from 'three';
+import { clipToPortal, isBehindPortal, linkPortalCamera } from './portal';
+
+// Entrance at the origin facing +Z; exit 50 units along +X, turned to face +X
+const entrance = new THREE.Matrix4();
+const exit = new THREE.Matrix4().compose(
+  new THREE.Vector3(50, 0, 0),
+  new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2),
+  new THREE.Vector3(1, 1, 1)
+);
+
+const viewer = () => {
+  const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+  camera.position.set(0, 0, -5);
+  camera.lookAt(0, 0, 0);
+  camera.updateMatrixWorld(true);
+  return camera;
+};
+
+test('the virtual camera stands at the exit where the viewer stands at the entrance', () => {
+  const camera = viewer();
+  const virtualCamera = linkPortalCamera(camera, entrance, exit, new THREE.PerspectiveCamera());
+
+  expect(virtualCamera.position.x).toBeCloseTo(45);
+  expect(virtualCamera.position.z).toBeCloseTo(0);
+  const direction = virtualCamera.getWorldDirection(new THREE.Vector3());
+  expect(direction.x).toBeCloseTo(1);
+  expect(direction.z).toBeCloseTo(0);
+
+  expect(isBehindPortal(entrance, camera.position)).toBe(true);
+  expect(isBehindPortal(entrance, new THREE.Vector3(0, 0, 5))).toBe(false);
+});
+
+test('oblique clipping hides what lies between the virtual camera and the exit', () => {
+  const camera = viewer();
+  const virtualCamera = linkPortalCamera(camera, entrance, exit, new THREE.PerspectiveCamera());
+  virtualCamera.projectionMatrix.copy(camera.projectionMatrix);
+  clipToPortal(virtualCamera, exit);
+
+  const depth = (x) => new THREE.Vector3(x, 0, 0).project(virtualCamera).z;
+  expect(depth(47)).toBeLessThan(-1); // In front of the near plane: clipped
+  expect(depth(50.01)).toBeGreaterThanOrEqual(-1);
+  expect(depth(80)).toBeGreaterThan(-1);
+  expect(depth(80)).toBeLessThan(1);
+});
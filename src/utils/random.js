@@ -0,0 +1,60 @@
+/**
+ * Seeded deterministic randomness for scene generation
+ *
+ * Every system that scatters or jitters content draws from its own named
+ * stream of the scene seed, so adding draws in one system never shifts the
+ * sequence another system sees:
+ *
+ *   const random = createRandom(seed, 'grass');
+ *   random(); // 0 <= n < 1, same sequence for the same seed and stream
+ *
+ * The scene seed comes from the `?seed=` URL parameter, then the `seed`
+ * prop, then a freshly generated one that is logged so it can be reproduced.
+ */
+
+export const SEED_URL_PARAM = 'seed';
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+export const hashString = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Mulberry32 PRNG for a given seed and stream name
+ *
+ * @param {string|number} seed - Scene seed
+ * @param {string} stream - Name of the consuming system
+ * @returns {function(): number} uniform random numbers in [0, 1)
+ */
+export const createRandom = (seed, stream = '') => {
+  let state = hashString(`${seed}:${stream}`);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Pick the scene seed: URL parameter, then prop, then a new random seed
+ */
+export const resolveSceneSeed = (propSeed) => {
+  if (typeof window !== 'undefined') {
+    const urlSeed = new URLSearchParams(window.location.search).get(SEED_URL_PARAM);
+    if (urlSeed) return urlSeed;
+  }
+  if (propSeed !== undefined && propSeed !== null) return String(propSeed);
+
+  const generated = Math.floor(Math.random() * 0xffffffff).toString(36);
+  console.log(`Scene seed: ${generated} (reload with ?${SEED_URL_PARAM}=${generated} to reproduce)`);
+  return generated;
+};
@@ -0,0 +1,16 @@
+import { createRandom } from './random';
+
+test('same seed and stream give the same sequence', () => {
+  const a = createRandom('demo', 'grass');
+  const b = createRandom('demo', 'grass');
+  const seqA = [a(), a(), a()];
+  expect([b(), b(), b()]).toEqual(seqA);
+  seqA.forEach((n) => {
+    expect(n).toBeGreaterThanOrEqual(0);
+    expect(n).toBeLessThan(1);
+  });
+});
+
+test('streams of one seed are independent', () => {
+  expect(createRandom('demo', 'grass')()).not.toEqual(createRandom('demo', 'particles')());
+});
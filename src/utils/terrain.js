@@ -0,0 +1,96 @@
+import { Vector3 } from 'three';
+import { bakeGroundHeights, sampleGroundHeight } from './groundHeights';
+
+/**
+ * Terrain sampler
+ *
+ * The ground baked once into height and normal grids (see bakeGroundHeights),
+ * so the sphere, camera, portal, props and navigation can ask for the ground
+ * under any point in constant time instead of raycasting the mesh every frame.
+ *
+ * Heights and normals are read back bilinearly; points off the ground clamp
+ * to its edge. `ground` is the raw height grid, for consumers that build on
+ * it directly (createNavGrid, the physics heightfield).
+ */
+
+export const TERRAIN_GRID_SIZE = 256; // Samples per side over the ground's bounding box
+
+const normalSample = new Vector3();
+
+export class Terrain {
+  /**
+   * @param {object} ground - Height grid from bakeGroundHeights
+   */
+  constructor(ground) {
+    this.ground = ground;
+    this.normals = Terrain.bakeNormals(ground);
+  }
+
+  // Unit normals at each sample from central differences of the heights
+  static bakeNormals({ heights, size, cellX, cellZ }) {
+    const normals = new Float32Array(size * size * 3);
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const left = Math.max(col - 1, 0);
+        const right = Math.min(col + 1, size - 1);
+        const back = Math.max(row - 1, 0);
+        const front = Math.min(row + 1, size - 1);
+        const dx = (heights[row * size + right] - heights[row * size + left]) / (Math.max(right - left, 1) * cellX);
+        const dz = (heights[front * size + col] - heights[back * size + col]) / (Math.max(front - back, 1) * cellZ);
+        normalSample.set(-dx, 1, -dz).normalize().toArray(normals, (row * size + col) * 3);
+      }
+    }
+    return normals;
+  }
+
+  /**
+   * Ground height at world (x, z)
+   */
+  heightAt(x, z) {
+    return sampleGroundHeight(this.ground, x, z);
+  }
+
+  /**
+   * Upward unit ground normal at world (x, z)
+   *
+   * @param {THREE.Vector3} [target] - Written and returned
+   */
+  normalAt(x, z, target = new Vector3()) {
+    const { size, minX, minZ, cellX, cellZ } = this.ground;
+    const gx = Math.min(Math.max((x - minX) / cellX - 0.5, 0), size - 1);
+    const gz = Math.min(Math.max((z - minZ) / cellZ - 0.5, 0), size - 1);
+    const col = Math.min(Math.floor(gx), size - 2);
+    const row = Math.min(Math.floor(gz), size - 2);
+    const fx = gx - col;
+    const fz = gz - row;
+
+    target.set(0, 0, 0);
+    const add = (k, weight) => {
+      target.x += this.normals[k * 3] * weight;
+      target.y += this.normals[k * 3 + 1] * weight;
+      target.z += this.normals[k * 3 + 2] * weight;
+    };
+    const k = row * size + col;
+    add(k, (1 - fx) * (1 - fz));
+    add(k + 1, fx * (1 - fz));
+    add(k + size, (1 - fx) * fz);
+    add(k + size + 1, fx * fz);
+    return target.normalize();
+  }
+
+  /**
+   * Ground slope at world (x, z) in degrees from horizontal
+   */
+  slopeAt(x, z) {
+    const normal = this.normalAt(x, z, normalSample);
+    return (Math.acos(Math.min(normal.y, 1)) * 180) / Math.PI;
+  }
+}
+
+/**
+ * Bake a ground mesh into a Terrain
+ *
+ * @param {THREE.Mesh} groundMesh - Ground mesh in the scene
+ * @param {number} [size] - Samples per side
+ */
+export const createTerrain = (groundMesh, size = TERRAIN_GRID_SIZE) => new Terrain(bakeGroundHeights(groundMesh, size));
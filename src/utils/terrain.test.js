@@ -0,0 +1,25 @@
+import * as THREE from 'three';
+import { createTerrain } from './terrain';
+
+// 40 x 40 ground rising 1 unit per 2 along +X (about 26.6 degrees)
+const createRampMesh = () => {
+  const geometry = new THREE.PlaneGeometry(40, 40, 20, 20);
+  geometry.rotateX(-Math.PI / 2);
+  const position = geometry.attributes.position;
+  for (let i = 0; i < position.count; i++) position.setY(i, position.getX(i) * 0.5);
+  return new THREE.Mesh(geometry);
+};
+
+test('heights, normals and slopes match the baked ground', () => {
+  const terrain = createTerrain(createRampMesh(), 64);
+
+  expect(terrain.heightAt(0, 3)).toBeCloseTo(0, 1);
+  expect(terrain.heightAt(10, -7)).toBeCloseTo(5, 1);
+  expect(terrain.heightAt(100, 0)).toBeCloseTo(terrain.heightAt(19.9, 0), 1); // Off the ground clamps to the edge
+
+  const normal = terrain.normalAt(5, 5);
+  expect(normal.length()).toBeCloseTo(1);
+  expect(normal.x).toBeLessThan(0); // Leans away from the climb
+  expect(normal.z).toBeCloseTo(0);
+  expect(terrain.slopeAt(-5, 12)).toBeCloseTo((Math.atan(0.5) * 180) / Math.PI, 0);
+});
@@ -0,0 +1,125 @@
+/**
+ * Touch gestures
+ *
+ * Turns raw touch pointers (screen pixels, ms timestamps) into the gestures
+ * the scene understands:
+ *   tap   - one short touch that barely moves: travel to that point
+ *   drag  - one finger moved past the tap slop: a virtual stick measured from
+ *           where the finger went down, `x` right and `y` up in [-1, 1]
+ *   pinch - two fingers: `scale` is the change in finger spread since the
+ *           last move (> 1 spreading) and `twist` the change in their angle
+ *           in radians (positive clockwise on screen)
+ *
+ * Once a second finger lands the gesture stays a pinch until every finger is
+ * lifted, so letting go of one finger never turns into a drag or a tap.
+ */
+
+export const TAP_MAX_DURATION = 300; // ms
+export const TAP_MAX_MOVEMENT = 10; // px a tap may wander before it becomes a drag
+export const DRAG_FULL_DEFLECTION = 80; // px of drag for a full stick push
+
+const wrapAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+export class TouchGestureTracker {
+  constructor() {
+    this.pointers = new Map(); // id -> { startX, startY, x, y, startTime }
+    this.mode = null; // null, 'pending', 'drag' or 'pinch'
+    this.spread = 0;
+    this.angle = 0;
+  }
+
+  /**
+   * @returns {object|null} A `dragEnd` event when a second finger interrupts a drag
+   */
+  down(id, x, y, time) {
+    this.pointers.set(id, { startX: x, startY: y, x, y, startTime: time });
+
+    if (this.pointers.size === 1) {
+      this.mode = 'pending';
+      return null;
+    }
+
+    const wasDragging = this.mode === 'drag';
+    this.mode = 'pinch';
+    this.measurePinch();
+    return wasDragging ? { type: 'dragEnd' } : null;
+  }
+
+  /**
+   * @returns {object|null} A `drag` or `pinch` event
+   */
+  move(id, x, y) {
+    const pointer = this.pointers.get(id);
+    if (!pointer) return null;
+    pointer.x = x;
+    pointer.y = y;
+
+    if (this.mode === 'pinch') {
+      if (this.pointers.size < 2) return null;
+      const previousSpread = this.spread;
+      const previousAngle = this.angle;
+      this.measurePinch();
+      return {
+        type: 'pinch',
+        scale: previousSpread > 0 ? this.spread / previousSpread : 1,
+        twist: wrapAngle(this.angle - previousAngle),
+      };
+    }
+
+    const dx = x - pointer.startX;
+    const dy = y - pointer.startY;
+    if (this.mode === 'pending' && Math.hypot(dx, dy) > TAP_MAX_MOVEMENT) {
+      this.mode = 'drag';
+    }
+    if (this.mode !== 'drag') return null;
+
+    // Clamp to the unit circle so diagonals are no faster than straight pushes
+    let stickX = dx / DRAG_FULL_DEFLECTION;
+    let stickY = -dy / DRAG_FULL_DEFLECTION; // Screen y points down
+    const length = Math.hypot(stickX, stickY);
+    if (length > 1) {
+      stickX /= length;
+      stickY /= length;
+    }
+    return { type: 'drag', x: stickX, y: stickY };
+  }
+
+  /**
+   * @returns {object|null} A `tap` or `dragEnd` event
+   */
+  up(id, x, y, time) {
+    const pointer = this.pointers.get(id);
+    if (!pointer) return null;
+    this.pointers.delete(id);
+
+    let event = null;
+    if (this.mode === 'pending') {
+      const moved = Math.hypot(x - pointer.startX, y - pointer.startY);
+      if (time - pointer.startTime <= TAP_MAX_DURATION && moved <= TAP_MAX_MOVEMENT) {
+        event = { type: 'tap', x, y };
+      }
+    } else if (this.mode === 'drag') {
+      event = { type: 'dragEnd' };
+    }
+
+    if (this.pointers.size === 0) this.mode = null;
+    return event;
+  }
+
+  /**
+   * A cancelled touch ends the gesture without a tap
+   */
+  cancel(id) {
+    if (!this.pointers.delete(id)) return null;
+    const event = this.mode === 'drag' ? { type: 'dragEnd' } : null;
+    if (this.pointers.size === 0) this.mode = null;
+    else if (this.mode !== 'pinch') this.mode = 'pinch'; // Remaining fingers must all lift first
+    return event;
+  }
+
+  measurePinch() {
+    const [a, b] = this.pointers.values();
+    this.spread = Math.hypot(b.x - a.x, b.y - a.y);
+    this.angle = Math.atan2(b.y - a.y, b.x - a.x);
+  }
+}
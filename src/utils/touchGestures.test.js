@@ -0,0 +1,37 @@
+import { DRAG_FULL_DEFLECTION, TouchGestureTracker } from './touchGestures';
+
+test('a short still touch is a tap and a long drag steers like a stick', () => {
+  const tracker = new TouchGestureTracker();
+
+  tracker.down(1, 100, 100, 0);
+  tracker.move(1, 103, 102);
+  expect(tracker.up(1, 103, 102, 150)).toEqual({ type: 'tap', x: 103, y: 102 });
+
+  tracker.down(2, 100, 100, 1000);
+  const drag = tracker.move(2, 100 + DRAG_FULL_DEFLECTION * 2, 100);
+  expect(drag.type).toBe('drag');
+  expect(drag.x).toBeCloseTo(1);
+  expect(drag.y).toBeCloseTo(0);
+  expect(tracker.move(2, 100, 100 - DRAG_FULL_DEFLECTION / 2).y).toBeCloseTo(0.5);
+  expect(tracker.up(2, 100, 50, 2000)).toEqual({ type: 'dragEnd' });
+});
+
+test('two fingers pinch and twist until both are lifted', () => {
+  const tracker = new TouchGestureTracker();
+
+  tracker.down(1, 0, 0, 0);
+  tracker.move(1, 40, 0);
+  expect(tracker.down(2, 140, 0, 10)).toEqual({ type: 'dragEnd' });
+
+  const spread = tracker.move(2, 240, 0);
+  expect(spread.scale).toBeCloseTo(2);
+  expect(spread.twist).toBeCloseTo(0);
+
+  const twist = tracker.move(2, 40, 200);
+  expect(twist.twist).toBeCloseTo(Math.PI / 2);
+
+  // The finger left behind neither drags nor taps
+  expect(tracker.up(2, 40, 200, 100)).toBeNull();
+  expect(tracker.move(1, 200, 200)).toBeNull();
+  expect(tracker.up(1, 200, 200, 120)).toBeNull();
+});
@@ -0,0 +1,206 @@
+import { CatmullRomCurve3, MathUtils, Vector3 } from 'three';
+
+/**
+ * Guided tours
+ *
+ * A tour is an authored path across the landscape for visitors who just
+ * watch: the sphere glides along a Catmull-Rom spline through the tour's
+ * points, slowing into and out of stops where it dwells with a caption, and
+ * the camera optionally rides a second spline of its own.
+ *
+ * Tours are JSON files:
+ *
+ *   {
+ *     "name": "Meadow",
+ *     "speed": 4,            // cruise speed, units per second
+ *     "easeDistance": 8,     // speed eases in and out over this distance around stops
+ *     "loop": true,          // join the last point back to the first and go round forever
+ *     "points": [{ "x": 0, "z": 0, "dwell": 3, "caption": "..." }, ...],
+ *     "camera": [[x, height, z], ...]   // optional, height above the ground
+ *   }
+ *
+ * Points with a `dwell` (seconds) or a `caption` are stops: the sphere eases
+ * in, waits there with the caption showing (CAPTION_DWELL seconds if no
+ * dwell is given) and eases out again. Other points are passed through at
+ * cruise speed. The camera spline is walked at the same fraction of its
+ * length as the sphere's, so its points line up with the sphere's when there
+ * are as many of them.
+ */
+
+export const DEFAULT_TOUR_URL = '/tours/meadow.json';
+
+export const DEFAULT_TOUR = {
+  name: 'Tour',
+  speed: 4,
+  easeDistance: 8,
+  loop: false,
+  camera: null,
+};
+
+const CAPTION_DWELL = 3; // Seconds a captioned point holds the sphere when it gives no dwell
+const CAPTION_LINGER = 2; // Seconds a caption stays up after the sphere moves on
+const MIN_SPEED_FACTOR = 0.12; // Slowest crawl into and out of a stop, as a fraction of cruise speed
+const LOOK_AHEAD = 4; // Distance along the path to the point the sphere is heading for
+const ARC_DIVISIONS = 400; // Arc length table resolution for finding each point along the path
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Validate tour JSON, throwing a readable Error if it is not a tour
+ */
+export const parseTour = (data) => {
+  if (!data || !Array.isArray(data.points) || data.points.length < 2) {
+    throw new Error('Tour needs at least two entries in "points"');
+  }
+  const points = data.points.map((point, i) => {
+    if (!isFiniteNumber(point?.x) || !isFiniteNumber(point?.z)) {
+      throw new Error(`Tour point ${i} needs numeric "x" and "z"`);
+    }
+    const caption = typeof point.caption === 'string' ? point.caption : null;
+    const dwell = isFiniteNumber(point.dwell) ? Math.max(point.dwell, 0) : caption ? CAPTION_DWELL : 0;
+    return { x: point.x, z: point.z, dwell, caption };
+  });
+
+  let camera = null;
+  if (data.camera != null) {
+    const valid = Array.isArray(data.camera) && data.camera.length >= 2
+      && data.camera.every((entry) => Array.isArray(entry) && entry.length === 3 && entry.every(isFiniteNumber));
+    if (!valid) throw new Error('Tour "camera" must list at least two [x, height, z] entries');
+    camera = data.camera;
+  }
+
+  const tour = { ...DEFAULT_TOUR, ...data, points, camera };
+  if (!(tour.speed > 0)) throw new Error('Tour "speed" must be positive');
+  return tour;
+};
+
+/**
+ * Fetch and validate a tour file
+ */
+export const loadTour = async (url = DEFAULT_TOUR_URL) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url}: request failed with HTTP ${response.status}`);
+  }
+  return parseTour(await response.json());
+};
+
+export const createTourPose = () => ({
+  position: new Vector3(),
+  ahead: new Vector3(), // Where the sphere is heading, LOOK_AHEAD further along
+  camera: null, // Camera position on the camera spline, when the tour has one
+  caption: null,
+  finished: false,
+});
+
+export class TourPlayer {
+  /**
+   * @param {object} tour - From parseTour
+   * @param {{ heightAt: Function }} [terrain] - Lifts the camera spline off the ground
+   */
+  constructor(tour, terrain = null) {
+    this.tour = tour;
+    const { points, loop } = tour;
+    this.curve = new CatmullRomCurve3(points.map((point) => new Vector3(point.x, 0, point.z)), loop, 'centripetal');
+    this.length = this.curve.getLength();
+    this.start = this.curve.getPointAt(0);
+
+    // Distance along the path of every point that holds the sphere for a while
+    const lengths = this.curve.getLengths(ARC_DIVISIONS);
+    const segments = loop ? points.length : points.length - 1;
+    this.stops = [];
+    points.forEach((point, i) => {
+      if (point.dwell <= 0) return;
+      this.stops.push({ distance: lengths[Math.round((i / segments) * ARC_DIVISIONS)], dwell: point.dwell, caption: point.caption });
+    });
+    if (loop && this.stops[0]?.distance === 0) {
+      // The first point is also where each lap ends; let it catch the sphere there instead
+      this.stops.push({ ...this.stops.shift(), distance: this.length });
+    }
+
+    this.cameraCurve = tour.camera && new CatmullRomCurve3(
+      tour.camera.map(([x, height, z]) => new Vector3(x, (terrain ? terrain.heightAt(x, z) : 0) + height, z)),
+      loop,
+      'centripetal'
+    );
+
+    this.travelled = 0; // Total distance covered, laps included
+    this.nextStop = 0; // Index into the endless sequence of stops (lap * stops.length + i)
+    this.dwellLeft = 0;
+    this.caption = null;
+    this.captionLeft = 0;
+    this.finished = false;
+    if (this.stops[0]?.distance === 0) this.arrive();
+  }
+
+  // Distance along the whole trip of stop `k`, counting laps on loops
+  stopDistance(k) {
+    const { stops, length } = this;
+    if (k < 0) return 0;
+    if (this.tour.loop) {
+      if (stops.length === 0) return Infinity;
+      return stops[k % stops.length].distance + Math.floor(k / stops.length) * length;
+    }
+    return k < stops.length ? stops[k].distance : length;
+  }
+
+  arrive() {
+    const stop = this.stops[this.nextStop % Math.max(this.stops.length, 1)];
+    const atEnd = !this.tour.loop && this.nextStop >= this.stops.length;
+    this.dwellLeft = atEnd ? 0 : stop.dwell;
+    if (!atEnd && stop.caption) {
+      this.caption = stop.caption;
+      this.captionLeft = stop.dwell + CAPTION_LINGER;
+    }
+    if (atEnd) this.finished = true;
+    this.nextStop++;
+  }
+
+  /**
+   * Move the tour on by `delta` seconds
+   */
+  advance(delta, out = createTourPose()) {
+    if (this.caption) {
+      this.captionLeft -= delta;
+      if (this.captionLeft <= 0) this.caption = null;
+    }
+    if (!this.finished) {
+      if (this.dwellLeft > 0) {
+        this.dwellLeft -= delta;
+      } else {
+        const target = this.stopDistance(this.nextStop);
+        const previous = this.stopDistance(this.nextStop - 1);
+        const { speed, easeDistance } = this.tour;
+        const gap = Math.min(this.travelled - previous, target - this.travelled);
+        const ease = easeDistance > 0 ? MathUtils.smoothstep(gap / easeDistance, 0, 1) : 1;
+        this.travelled = Math.min(this.travelled + speed * Math.max(ease, MIN_SPEED_FACTOR) * delta, target);
+        if (this.travelled >= target) this.arrive();
+      }
+    }
+
+    this.pointAt(this.travelled, out.position);
+    this.pointAt(this.travelled + LOOK_AHEAD, out.ahead);
+    if (!this.tour.loop && this.travelled + LOOK_AHEAD > this.length) {
+      // Past the end keep heading the way the path ends
+      out.ahead.copy(this.curve.getTangentAt(1)).multiplyScalar(LOOK_AHEAD).add(out.position);
+    }
+    if (this.cameraCurve) {
+      out.camera = out.camera ?? new Vector3();
+      this.cameraCurve.getPointAt(this.fraction(this.travelled), out.camera);
+    }
+    out.caption = this.caption;
+    out.finished = this.finished;
+    return out;
+  }
+
+  fraction(distance) {
+    if (this.length <= 0) return 0;
+    return this.tour.loop
+      ? (distance % this.length) / this.length
+      : Math.min(distance / this.length, 1);
+  }
+
+  pointAt(distance, target) {
+    return this.curve.getPointAt(this.fraction(distance), target);
+  }
+}
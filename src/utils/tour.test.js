@@ -0,0 +1,51 @@
+import { TourPlayer, parseTour } from './tour';
+
+const straightTour = (extra = {}) => parseTour({
+  speed: 5,
+  easeDistance: 4,
+  points: [
+    { x: 0, z: 0 },
+    { x: 20, z: 0, dwell: 2, caption: 'Halfway' },
+    { x: 40, z: 0 },
+  ],
+  ...extra,
+});
+
+const run = (player, seconds, step = 1 / 60) => {
+  const poses = [];
+  for (let i = 0; i < Math.round(seconds / step); i++) poses.push({ ...player.advance(step) });
+  return poses;
+};
+
+test('the sphere eases into a stop, dwells with its caption and carries on to the end', () => {
+  const player = new TourPlayer(straightTour());
+  const poses = run(player, 30);
+  const xs = poses.map((pose) => pose.position.x);
+
+  // Slow at the start, cruising mid-way, slow again into the stop
+  expect(xs[1] - xs[0]).toBeLessThan((5 / 60) * 0.5);
+  const cruise = xs.findIndex((x) => x > 8);
+  expect(xs[cruise + 1] - xs[cruise]).toBeCloseTo(5 / 60, 2);
+
+  const atStop = poses.filter((pose) => Math.abs(pose.position.x - 20) < 1e-3);
+  expect(atStop.length).toBeGreaterThan(100); // About two seconds at 60 Hz
+  expect(atStop[0].caption).toBe('Halfway');
+
+  const last = poses[poses.length - 1];
+  expect(last.finished).toBe(true);
+  expect(last.position.x).toBeCloseTo(40);
+  expect(last.caption).toBeNull();
+});
+
+test('looping tours go round again, and bad tours are rejected', () => {
+  const player = new TourPlayer(straightTour({ loop: true, points: [
+    { x: 0, z: 0 }, { x: 20, z: 0 }, { x: 20, z: 20 }, { x: 0, z: 20 },
+  ] }));
+  run(player, (player.length / 5) * 1.5);
+  expect(player.finished).toBe(false);
+  expect(player.travelled).toBeGreaterThan(player.length);
+
+  expect(() => parseTour({ points: [{ x: 0, z: 0 }] })).toThrow(/two/);
+  expect(() => parseTour({ points: [{ x: 0 }, { x: 1, z: 1 }] })).toThrow(/point 0/);
+  expect(() => parseTour({ points: [{ x: 0, z: 0 }, { x: 1, z: 1 }], camera: [[0, 1]] })).toThrow(/camera/);
+});
@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+import { FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+import { MAX_GRASS_INTERACTORS, packGrassInteractors } from './grassInteractors';
+
+/**
+ * GPU trample map
+ *
+ * A ping-pong render target covering the world XZ plane that every registered
+ * grass interactor stamps into each frame. Each texel stores:
+ *   rg - bend direction (away from the stamp centre)
+ *   b  - normalised age, 0 when stamped and 1 once fully recovered
+ *   a  - influence at the time of stamping
+ *
+ * Ages advance by delta / recoveryTime each update, so grass recovers with the
+ * same quintic ease over `trailRecoveryTime` as the old 20-point trail, but
+ * trails can be any length and the grass vertex shader does one texture read.
+ */
+
+export const DEFAULT_TRAMPLE_RESOLUTION = 512;
+// Until the ground is known; callers move the map onto the real ground box with setBounds
+export const DEFAULT_TRAMPLE_BOUNDS = { minX: -100, minZ: -100, maxX: 100, maxZ: 100 };
+
+const updateMaterial = () => new THREE.ShaderMaterial({
+  uniforms: {
+    previous: { value: null },
+    bounds: { value: new THREE.Vector4() },
+    ageStep: { value: 0 },
+    stamps: { value: Array.from({ length: MAX_GRASS_INTERACTORS }, () => new THREE.Vector4()) },
+    stampCount: { value: 0 },
+  },
+  vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D previous;
+    uniform vec4 bounds; // minX, minZ, sizeX, sizeZ
+    uniform float ageStep;
+    uniform vec4 stamps[${MAX_GRASS_INTERACTORS}]; // x, z, radius, strength
+    uniform int stampCount;
+    varying vec2 vUv;
+
+    float recoveryEase(float t) {
+      return t * t * t * (t * (t * 6.0 - 15.0) + 10.0);
+    }
+
+    void main() {
+      vec4 prev = texture2D(previous, vUv);
+      prev.b = min(prev.b + ageStep, 1.0);
+
+      vec2 worldXZ = bounds.xy + vUv * bounds.zw;
+
+      // Combine every interactor: strongest influence, influence-weighted direction
+      vec2 bendDir = vec2(0.0);
+      float influence = 0.0;
+      for (int i = 0; i < ${MAX_GRASS_INTERACTORS}; i++) {
+        if (i >= stampCount) break;
+        vec2 toTexel = worldXZ - stamps[i].xy;
+        float dist = length(toTexel);
+        if (dist < stamps[i].z) {
+          float f = 1.0 - dist / stamps[i].z;
+          f = f * f * (3.0 - 2.0 * f) * stamps[i].w;
+          if (dist > 0.0001) bendDir += toTexel / dist * f;
+          influence = max(influence, f);
+        }
+      }
+
+      // Only overwrite when the new stamp is stronger than what remains of the old one
+      float remaining = prev.a * (1.0 - recoveryEase(prev.b));
+      if (influence > 0.0 && influence >= remaining) {
+        float len = length(bendDir);
+        prev = vec4(len > 0.0001 ? bendDir / len : vec2(0.0), 0.0, influence);
+      }
+
+      gl_FragColor = prev;
+    }
+  `,
+  depthTest: false,
+  depthWrite: false,
+});
+
+const createTarget = (resolution) => new THREE.WebGLRenderTarget(resolution, resolution, {
+  type: THREE.HalfFloatType,
+  format: THREE.RGBAFormat,
+  minFilter: THREE.LinearFilter,
+  magFilter: THREE.LinearFilter,
+  depthBuffer: false,
+  stencilBuffer: false,
+  generateMipmaps: false,
+});
+
+export class TrampleMap {
+  constructor({
+    resolution = DEFAULT_TRAMPLE_RESOLUTION,
+    bounds = DEFAULT_TRAMPLE_BOUNDS,
+    recoveryTime = 3.0,
+  } = {}) {
+    this.targets = [createTarget(resolution), createTarget(resolution)];
+    this.current = 0;
+    this.recoveryTime = recoveryTime;
+    this.needsClear = true;
+
+    this.material = updateMaterial();
+    this.quad = new FullScreenQuad(this.material);
+
+    // Shared with the grass shader: (minX, minZ, sizeX, sizeZ)
+    this.bounds = new THREE.Vector4();
+    this.setBounds(bounds);
+  }
+
+  get texture() {
+    return this.targets[this.current].texture;
+  }
+
+  /**
+   * Cover the world XZ rectangle { minX, minZ, maxX, maxZ }; existing trails are cleared
+   */
+  setBounds({ minX, minZ, maxX, maxZ }) {
+    this.bounds.set(minX, minZ, maxX - minX, maxZ - minZ);
+    this.material.uniforms.bounds.value.copy(this.bounds);
+    this.needsClear = true;
+  }
+
+  /**
+   * Age the map by `delta` seconds and stamp every registered grass interactor
+   */
+  update(renderer, delta) {
+    const previousTarget = renderer.getRenderTarget();
+
+    if (this.needsClear) {
+      // Start fully recovered: age 1, no influence
+      const clearColor = renderer.getClearColor(new THREE.Color());
+      const clearAlpha = renderer.getClearAlpha();
+      renderer.setClearColor(new THREE.Color(0, 0, 1), 0);
+      this.targets.forEach((target) => {
+        renderer.setRenderTarget(target);
+        renderer.clear(true, false, false);
+      });
+      renderer.setClearColor(clearColor, clearAlpha);
+      this.needsClear = false;
+    }
+
+    const read = this.targets[this.current];
+    const write = this.targets[1 - this.current];
+    const uniforms = this.material.uniforms;
+    uniforms.previous.value = read.texture;
+    uniforms.ageStep.value = delta / Math.max(this.recoveryTime, 0.0001);
+    uniforms.stampCount.value = packGrassInteractors(uniforms.stamps.value);
+
+    renderer.setRenderTarget(write);
+    this.quad.render(renderer);
+    renderer.setRenderTarget(previousTarget);
+
+    this.current = 1 - this.current;
+  }
+
+  dispose() {
+    this.targets.forEach((target) => target.dispose());
+    this.material.dispose();
+    this.quad.dispose();
+  }
+}
+
+/**
+ * GLSL for sampling the trample map from the grass vertex shader
+ */
+export const TRAMPLE_SHADER = `
+  uniform sampler2D trampleMap;
+  uniform vec4 trampleBounds; // minX, minZ, sizeX, sizeZ
+
+  // Returns bend direction in xy, remaining influence in z and normalised age in w
+  vec4 sampleTrample(vec2 worldXZ) {
+    vec2 uv = (worldXZ - trampleBounds.xy) / trampleBounds.zw;
+    if (any(lessThan(uv, vec2(0.0))) || any(greaterThan(uv, vec2(1.0)))) return vec4(0.0, 0.0, 0.0, 1.0);
+
+    vec4 t = texture2D(trampleMap, uv);
+    float age = t.b;
+    // Quintic ease: grass springs back naturally then settles
+    float decay = 1.0 - (age * age * age * (age * (age * 6.0 - 15.0) + 10.0));
+    float len = length(t.rg);
+    vec2 dir = len > 0.001 ? t.rg / len : vec2(0.0);
+    return vec4(dir, t.a * decay, age);
+  }
+`;
@@ -0,0 +1,91 @@
+import * as THREE from 'three';
+
+/**
+ * Global wind field
+ *
+ * One wind model shared by the grass shader, the ambient particles and the
+ * ribbon trails. Shaders read it through `windUniforms` (the same uniform
+ * objects are attached to every material, so one update reaches them all)
+ * and CPU systems call `sampleWind`, which mirrors the GLSL `windAt`.
+ *
+ * The field is a steady push along `direction`, travelling gust fronts and
+ * a cross-wind turbulence term. The returned vector is an XZ push in world
+ * units that consumers scale to taste.
+ */
+
+export const DEFAULT_WIND_SETTINGS = {
+  direction: 35, // Degrees, 0 = +X, 90 = +Z
+  strength: 0.5,
+  gustStrength: 0.4,
+  gustFrequency: 0.25, // Gust fronts per second
+  turbulence: 0.5,
+};
+
+const GUST_WAVELENGTH = 0.05; // Spatial frequency of gust fronts along the wind
+
+export const windUniforms = {
+  windDirection: { value: new THREE.Vector2(1, 0) },
+  windStrength: { value: DEFAULT_WIND_SETTINGS.strength },
+  windGustStrength: { value: DEFAULT_WIND_SETTINGS.gustStrength },
+  windGustFrequency: { value: DEFAULT_WIND_SETTINGS.gustFrequency },
+  windTurbulence: { value: DEFAULT_WIND_SETTINGS.turbulence },
+  windTime: { value: 0 },
+};
+
+/**
+ * Apply wind settings (any subset of DEFAULT_WIND_SETTINGS)
+ */
+export const setWindSettings = (settings) => {
+  const merged = { ...DEFAULT_WIND_SETTINGS, ...settings };
+  const angle = THREE.MathUtils.degToRad(merged.direction);
+  windUniforms.windDirection.value.set(Math.cos(angle), Math.sin(angle));
+  windUniforms.windStrength.value = merged.strength;
+  windUniforms.windGustStrength.value = merged.gustStrength;
+  windUniforms.windGustFrequency.value = merged.gustFrequency;
+  windUniforms.windTurbulence.value = merged.turbulence;
+};
+
+setWindSettings(DEFAULT_WIND_SETTINGS);
+
+export const updateWindTime = (time) => {
+  windUniforms.windTime.value = time;
+};
+
+export const getWindTime = () => windUniforms.windTime.value;
+
+/**
+ * Sample the wind push at world (x, z) and time t (matches GLSL windAt)
+ *
+ * @param {{x: number, z: number}} target - Receives the result
+ */
+export const sampleWind = (x, z, t = windUniforms.windTime.value, target = { x: 0, z: 0 }) => {
+  const dir = windUniforms.windDirection.value;
+  const along = x * dir.x + z * dir.y;
+
+  const gustWave = Math.max(0, Math.sin(along * GUST_WAVELENGTH - t * windUniforms.windGustFrequency.value * 6.2831853));
+  const gust = windUniforms.windGustStrength.value * gustWave * gustWave;
+  const turb = windUniforms.windTurbulence.value * Math.sin(x * 0.37 + t * 1.3) * Math.cos(z * 0.29 - t * 1.1);
+
+  const push = windUniforms.windStrength.value + gust;
+  target.x = dir.x * push - dir.y * turb * 0.5;
+  target.z = dir.y * push + dir.x * turb * 0.5;
+  return target;
+};
+
+export const WIND_SHADER = `
+  uniform vec2 windDirection;
+  uniform float windStrength;
+  uniform float windGustStrength;
+  uniform float windGustFrequency;
+  uniform float windTurbulence;
+  uniform float windTime;
+
+  vec2 windAt(vec2 p) {
+    float along = dot(p, windDirection);
+    float gustWave = max(0.0, sin(along * ${GUST_WAVELENGTH} - windTime * windGustFrequency * 6.2831853));
+    float gust = windGustStrength * gustWave * gustWave;
+    float turb = windTurbulence * sin(p.x * 0.37 + windTime * 1.3) * cos(p.y * 0.29 - windTime * 1.1);
+    vec2 crossWind = vec2(-windDirection.y, windDirection.x);
+    return windDirection * (windStrength + gust) + crossWind * turb * 0.5;
+  }
+`;
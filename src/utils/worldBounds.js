@@ -0,0 +1,98 @@
+/**
+ * World bounds
+ *
+ * A rectangle in XZ derived from the ground's bounding box, inset by
+ * `margin` so the sphere never reaches the bare edge of the ground and
+ * grass. Inside the limit runs a soft band `softZone` wide: the deeper the
+ * sphere goes into it the slower it may move outward and the harder it is
+ * pushed back, so it eases to a stop instead of hitting a wall.
+ *
+ * Targets and the camera are clamped to the limit itself.
+ */
+
+export const DEFAULT_WORLD_BOUNDS = {
+  margin: 4, // World units trimmed off each side of the ground's bounding box
+  softZone: 12, // Width of the band inside the limit where the push back builds up
+  pushAcceleration: 18, // Units per second squared of push back at the limit
+  maxOutwardSpeed: 12, // Outward speed allowed on entering the band, falling to zero at the limit
+};
+
+/**
+ * Bounds from a baked ground grid (or anything with minX / maxX / minZ / maxZ)
+ */
+export const createWorldBounds = (ground, options = {}) => {
+  const { margin, softZone, pushAcceleration, maxOutwardSpeed } = { ...DEFAULT_WORLD_BOUNDS, ...options };
+  // Small grounds keep at least a sliver of room in the middle
+  const insetX = Math.min(margin, (ground.maxX - ground.minX) * 0.25);
+  const insetZ = Math.min(margin, (ground.maxZ - ground.minZ) * 0.25);
+  const minX = ground.minX + insetX;
+  const maxX = ground.maxX - insetX;
+  const minZ = ground.minZ + insetZ;
+  const maxZ = ground.maxZ - insetZ;
+  return {
+    minX,
+    maxX,
+    minZ,
+    maxZ,
+    softZone: Math.min(softZone, (maxX - minX) / 2, (maxZ - minZ) / 2),
+    pushAcceleration,
+    maxOutwardSpeed,
+  };
+};
+
+/**
+ * Clamp the x and z of `point` into the bounds, shrunk by `padding`
+ */
+export const clampToBounds = (bounds, point, padding = 0) => {
+  point.x = Math.min(Math.max(point.x, bounds.minX + padding), bounds.maxX - padding);
+  point.z = Math.min(Math.max(point.z, bounds.minZ + padding), bounds.maxZ - padding);
+  return point;
+};
+
+/**
+ * How far into the soft band (x, z) is: 0 clear of it, 1 at or past the limit
+ */
+export const boundaryPressure = (bounds, x, z) => {
+  const edge = Math.min(x - bounds.minX, bounds.maxX - x, z - bounds.minZ, bounds.maxZ - z);
+  if (bounds.softZone <= 0) return edge > 0 ? 0 : 1;
+  return Math.min(Math.max(1 - edge / bounds.softZone, 0), 1);
+};
+
+// Pressure along one axis: > 0 near the min side (push toward +), < 0 near the max side
+const axisPressure = (value, min, max, softZone) => {
+  if (softZone <= 0) return value <= min ? 1 : value >= max ? -1 : 0;
+  const low = Math.min(Math.max(1 - (value - min) / softZone, 0), 1);
+  const high = Math.min(Math.max(1 - (max - value) / softZone, 0), 1);
+  return low - high;
+};
+
+const softenAxis = (velocity, axis, pressure, bounds, delta) => {
+  if (pressure === 0) return;
+  const inward = Math.sign(pressure);
+  const depth = Math.abs(pressure);
+  const outwardSpeed = -velocity[axis] * inward;
+  const allowed = bounds.maxOutwardSpeed * (1 - depth);
+  if (outwardSpeed > allowed) velocity[axis] = -allowed * inward;
+  velocity[axis] += inward * depth * depth * bounds.pushAcceleration * delta;
+};
+
+/**
+ * Slow and push back a body moving in XZ near the edge, then hold it inside the limit
+ *
+ * @param {object} bounds - From createWorldBounds
+ * @param {THREE.Vector3} position - Clamped in place
+ * @param {THREE.Vector3} velocity - Units per second, adjusted in place
+ * @param {number} delta - Seconds
+ */
+export const applySoftBoundary = (bounds, position, velocity, delta) => {
+  const { minX, maxX, minZ, maxZ, softZone } = bounds;
+  softenAxis(velocity, 'x', axisPressure(position.x, minX, maxX, softZone), bounds, delta);
+  softenAxis(velocity, 'z', axisPressure(position.z, minZ, maxZ, softZone), bounds, delta);
+
+  // Hard stop at the limit itself
+  if (position.x <= minX && velocity.x < 0) velocity.x = 0;
+  if (position.x >= maxX && velocity.x > 0) velocity.x = 0;
+  if (position.z <= minZ && velocity.z < 0) velocity.z = 0;
+  if (position.z >= maxZ && velocity.z > 0) velocity.z = 0;
+  return clampToBounds(bounds, position);
+};
@@ -0,0 +1,32 @@
+import * as THREE from 'three';
+import { applySoftBoundary, boundaryPressure, clampToBounds, createWorldBounds } from './worldBounds';
+import { followTarget } from './damping';
+
+const ground = { minX: -100, maxX: 100, minZ: -100, maxZ: 100 };
+
+test('bounds are inset from the ground and clamp points to the limit', () => {
+  const bounds = createWorldBounds(ground, { margin: 5, softZone: 10 });
+  expect(bounds).toMatchObject({ minX: -95, maxX: 95, minZ: -95, maxZ: 95 });
+  expect(clampToBounds(bounds, new THREE.Vector3(120, 3, -40))).toMatchObject({ x: 95, y: 3, z: -40 });
+  expect(boundaryPressure(bounds, 0, 0)).toBe(0);
+  expect(boundaryPressure(bounds, 90, 0)).toBeCloseTo(0.5);
+  expect(boundaryPressure(bounds, 0, -99)).toBe(1);
+});
+
+test('a body driven at the edge slows, stays inside and settles back from the limit', () => {
+  const bounds = createWorldBounds(ground, { margin: 5, softZone: 10 });
+  const motion = { halfLife: 1, maxSpeed: 12, acceleration: 10 };
+  const position = new THREE.Vector3(60, 0, 0);
+  const velocity = new THREE.Vector3();
+  const target = new THREE.Vector3(200, 0, 0);
+  let fastestInBand = 0;
+  for (let i = 0; i < 60 * 10; i++) {
+    followTarget(position, velocity, target, motion, 1 / 60);
+    applySoftBoundary(bounds, position, velocity, 1 / 60);
+    if (position.x > 90) fastestInBand = Math.max(fastestInBand, velocity.x);
+    expect(position.x).toBeLessThanOrEqual(95);
+  }
+  expect(fastestInBand).toBeLessThan(6.5);
+  expect(position.x).toBeLessThan(95);
+  expect(position.x).toBeGreaterThan(85);
+});